@@ -66,12 +66,40 @@ function getWallpaperCss(timer, photoDataUrl = null) {
 
 
 /* ════════════════════════════════════════════════════
-   2. INDEXEDDB — Photo Storage
+   2. INDEXEDDB — Timers, Settings & Photos
+
+   Everything the app keeps lives in one database:
+     settings — a single record, 'app': appState without
+                its timers and trash
+     timers   — one record per timer, keyed by id, with a
+                `position` that keeps the list order
+     trash    — trash entries, keyed by timer id
+     photos   — wallpaper photo blobs, keyed by timer id
+
+   DB_UPGRADES builds the schema one version at a time, so
+   a database from any earlier version is brought up to
+   date in order. Before this database existed, state was
+   a JSON blob in localStorage and photos had a database
+   of their own; migrateLegacyStorage() moves both in on
+   the first launch after updating.
 ════════════════════════════════════════════════════ */
 
-const IDB_NAME    = 'milestone_photos';
-const IDB_VERSION = 1;
-const IDB_STORE   = 'photos';
+const DB_NAME    = 'milestone';
+const DB_VERSION = 1;
+
+const LEGACY_STORAGE_KEY = 'milestoneCounter_v1';
+const LEGACY_PHOTO_DB    = 'milestone_photos';
+const LEGACY_PHOTO_STORE = 'photos';
+
+/** Schema changes, keyed by the version they upgrade to. */
+const DB_UPGRADES = {
+  1: (db) => {
+    db.createObjectStore('settings');
+    db.createObjectStore('timers', { keyPath: 'id' });
+    db.createObjectStore('trash');
+    db.createObjectStore('photos');
+  },
+};
 
 let idb = null;
 
@@ -79,25 +107,173 @@ function openDatabase() {
   return new Promise((resolve, reject) => {
     if (idb) { resolve(idb); return; }
 
-    const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
 
     request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(IDB_STORE)) {
-        db.createObjectStore(IDB_STORE);
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        DB_UPGRADES[version](request.result, request.transaction);
       }
     };
 
-    request.onsuccess = (event) => { idb = event.target.result; resolve(idb); };
-    request.onerror   = (event) => { console.warn('[Milestone] IndexedDB open failed:', event.target.error); reject(event.target.error); };
+    request.onsuccess = (event) => {
+      idb = event.target.result;
+      // A newer version of the app opened in another tab — step aside so it can upgrade
+      idb.onversionchange = () => { idb.close(); idb = null; };
+      resolve(idb);
+    };
+    request.onerror = (event) => { console.warn('[Milestone] IndexedDB open failed:', event.target.error); reject(event.target.error); };
+  });
+}
+
+/** Wrap an IDBRequest in a promise of its result. */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+/** Resolves once the transaction has committed; rejects if it fails or is aborted. */
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+/** @returns {Promise<{ settings: object, timers: object[], trash: object[] }|null>} null before the first save */
+async function readStoredState() {
+  const db = await openDatabase();
+  const tx = db.transaction(['settings', 'timers', 'trash'], 'readonly');
+  const [settings, timers, trash] = await Promise.all([
+    idbRequest(tx.objectStore('settings').get('app')),
+    idbRequest(tx.objectStore('timers').getAll()),
+    idbRequest(tx.objectStore('trash').getAll()),
+  ]);
+  if (!settings) return null;
+
+  return {
+    settings,
+    timers: timers.sort((a, b) => a.position - b.position).map(({ position, ...timer }) => timer),
+    trash:  trash.sort((a, b) => b.deletedAt - a.deletedAt),
+  };
+}
+
+/**
+ * Replace everything stored with the given state, in one transaction —
+ * a failed save leaves the previous state intact. The settings record
+ * carries a revision that goes up with every save; if it isn't the one
+ * this window last read, another window has saved in between, and the
+ * write is refused with a StaleStateError so the caller can merge.
+ * @param {object} state
+ * @param {number} expectedRevision — 0 before the first save
+ * @returns {Promise<number>} the new revision
+ */
+async function writeStoredState({ timers, trash, ...settings }, expectedRevision) {
+  const db       = await openDatabase();
+  const tx       = db.transaction(['settings', 'timers', 'trash'], 'readwrite');
+  const done     = idbTransactionDone(tx);
+  const revision = expectedRevision + 1;
+  let failure    = null;
+
+  const request = tx.objectStore('settings').get('app');
+  request.onsuccess = () => {
+    if (((request.result && request.result.revision) || 0) !== expectedRevision) {
+      failure      = new Error('Another window saved first');
+      failure.name = 'StaleStateError';
+      tx.abort();
+      return;
+    }
+
+    try {
+      tx.objectStore('settings').put({ ...settings, revision }, 'app');
+
+      const timerStore = tx.objectStore('timers');
+      timerStore.clear();
+      timers.forEach((timer, position) => timerStore.put({ ...timer, position }));
+
+      const trashStore = tx.objectStore('trash');
+      trashStore.clear();
+      trash.forEach(entry => trashStore.put(entry, entry.timer.id));
+    } catch (e) {
+      failure = e;
+      tx.abort();
+    }
+  };
+
+  try {
+    await done;
+  } catch (e) {
+    throw failure || e;
+  }
+  return revision;
+}
+
+/**
+ * Every photo in the pre-database photo store, keyed by timer ID.
+ * @returns {Promise<object|null>} {} when there never was one; null if it couldn't be read
+ */
+function readLegacyPhotos() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open(LEGACY_PHOTO_DB);
+    let created   = false;
+
+    // Opening a database that doesn't exist creates it — undo that
+    request.onupgradeneeded = () => { created = true; request.transaction.abort(); };
+    request.onerror   = () => resolve(created ? {} : null);
+    request.onsuccess = async () => {
+      const db = request.result;
+      try {
+        if (!db.objectStoreNames.contains(LEGACY_PHOTO_STORE)) { resolve({}); return; }
+        const store = db.transaction(LEGACY_PHOTO_STORE, 'readonly').objectStore(LEGACY_PHOTO_STORE);
+        const [keys, blobs] = await Promise.all([idbRequest(store.getAllKeys()), idbRequest(store.getAll())]);
+        resolve(Object.fromEntries(keys.map((key, i) => [key, blobs[i]])));
+      } catch (e) {
+        console.warn('[Milestone] Could not read old photos:', e);
+        resolve(null);
+      } finally {
+        db.close();
+      }
+    };
   });
 }
 
+/**
+ * First launch on the database: bring in the localStorage state and the
+ * old photo store, then remove both once everything is safely written.
+ * If the old photos can't be read, nothing moves: loadState() carries on
+ * from localStorage for now and the move is tried again next launch.
+ * @returns {Promise<object|null>} as readStoredState(), or null on a fresh install
+ */
+async function migrateLegacyStorage() {
+  const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!raw) return null;
+
+  const saved  = JSON.parse(raw);
+  const photos = await readLegacyPhotos();
+  if (!photos) throw new Error('Old photos could not be read, so they were left where they are');
+  const state  = mergeSettings(appState, saved);
+
+  // Photos first: once the settings record exists this never runs again
+  if (Object.keys(photos).length) {
+    const db = await openDatabase();
+    const tx = db.transaction('photos', 'readwrite');
+    Object.entries(photos).forEach(([timerId, blob]) => tx.objectStore('photos').put(blob, timerId));
+    await idbTransactionDone(tx);
+  }
+  await writeStoredState(state, 0);
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  indexedDB.deleteDatabase(LEGACY_PHOTO_DB);
+  return readStoredState();
+}
+
 async function savePhoto(timerId, blob) {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
-    const tx      = db.transaction(IDB_STORE, 'readwrite');
-    const store   = tx.objectStore(IDB_STORE);
+    const tx      = db.transaction('photos', 'readwrite');
+    const store   = tx.objectStore('photos');
     const request = store.put(blob, timerId);
     request.onsuccess = () => resolve();
     request.onerror   = (e) => reject(e.target.error);
@@ -108,8 +284,8 @@ async function loadPhoto(timerId) {
   try {
     const db   = await openDatabase();
     const blob = await new Promise((resolve, reject) => {
-      const tx      = db.transaction(IDB_STORE, 'readonly');
-      const store   = tx.objectStore(IDB_STORE);
+      const tx      = db.transaction('photos', 'readonly');
+      const store   = tx.objectStore('photos');
       const request = store.get(timerId);
       request.onsuccess = () => resolve(request.result || null);
       request.onerror   = (e) => reject(e.target.error);
@@ -133,8 +309,8 @@ async function deletePhoto(timerId) {
   try {
     const db = await openDatabase();
     await new Promise((resolve, reject) => {
-      const tx      = db.transaction(IDB_STORE, 'readwrite');
-      const store   = tx.objectStore(IDB_STORE);
+      const tx      = db.transaction('photos', 'readwrite');
+      const store   = tx.objectStore('photos');
       const request = store.delete(timerId);
       request.onsuccess = () => resolve();
       request.onerror   = (e) => reject(e.target.error);
@@ -147,39 +323,291 @@ async function deletePhoto(timerId) {
 
 /* ════════════════════════════════════════════════════
    3. MILESTONE DEFINITIONS
+
+   A milestone is a whole number of days on the timer's
+   totalDays count. Each timer stores the built-in
+   thresholds it has enabled in `milestones` and any
+   user-defined day counts in `customMilestones`.
+   Timers saved before milestones existed have no
+   `milestones` field and get every built-in enabled.
 ════════════════════════════════════════════════════ */
 
+const MILESTONES = [
+  { days: 7,    label: '1 week'    },
+  { days: 14,   label: '2 weeks'   },
+  { days: 30,   label: '1 month'   },
+  { days: 50,   label: '50 days'   },
+  { days: 60,   label: '2 months'  },
+  { days: 90,   label: '3 months'  },
+  { days: 100,  label: '100 days'  },
+  { days: 180,  label: '6 months'  },
+  { days: 200,  label: '200 days'  },
+  { days: 365,  label: '1 year'    },
+  { days: 500,  label: '500 days'  },
+  { days: 730,  label: '2 years'   },
+  { days: 1000, label: '1000 days' },
+  { days: 1095, label: '3 years'   },
+  { days: 1825, label: '5 years'   },
+];
+
+const MAX_CUSTOM_MILESTONE_DAYS = 36500; // 100 years
+
+function getDefaultMilestoneDays() {
+  return MILESTONES.map(m => m.days);
+}
+
+/** Built-in labels are English here and translated as they're shown (section 5b). */
+function formatMilestoneLabel(days) {
+  const builtIn = MILESTONES.find(m => m.days === days);
+  if (builtIn) return tr(builtIn.label);
+  return tr('{count} days', { count: days });
+}
+
+/**
+ * All milestones enabled on a timer, built-in and custom, sorted by day count.
+ * @param {object} timer
+ * @returns {{ days: number, label: string, custom: boolean }[]}
+ */
+function getTimerMilestones(timer) {
+  const enabled = Array.isArray(timer.milestones) ? timer.milestones : getDefaultMilestoneDays();
+  const custom  = Array.isArray(timer.customMilestones) ? timer.customMilestones : [];
+
+  const list = MILESTONES
+    .filter(m => enabled.includes(m.days))
+    .map(m => ({ days: m.days, label: formatMilestoneLabel(m.days), custom: false }));
+
+  custom.forEach(days => {
+    if (!list.some(m => m.days === days)) {
+      list.push({ days, label: formatMilestoneLabel(days), custom: true });
+    }
+  });
+
+  return list.sort((a, b) => a.days - b.days);
+}
 
 
 /* ════════════════════════════════════════════════════
    4. STATE & PERSISTENCE
 ════════════════════════════════════════════════════ */
 
-const STORAGE_KEY = 'milestoneCounter_v1';
-
 let appState = {
   timers: [],
   theme: 'dark',
+  language: null,     // a LANGUAGES code, or null to follow the device — see section 5b
   activeTimerId: null,
+  notifications: {
+    enabled:    false,
+    enabledAt:  null,
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  },
+  listView: {
+    sort:  'soonest',
+    group: false,
+    tag:   null,      // tag tab shown on the list, or null for every timer
+  },
+  trash: [],          // { timer, deletedAt, index } — see section 10e
+  autoArchiveDays: null, // archive countdowns this many days after they arrive; null = never
+  serverSync: {           // see section 4c
+    provider:     null,   // null (off), 'webdav' or 'rest'
+    url:          '',
+    username:     '',
+    password:     '',     // the access token for 'rest'
+    lastSyncedAt: null,
+    pending:      [],     // { id, changedAt } — timers changed here since the last sync
+  },
+  appLock: {              // see section 11e
+    hash:          null,  // salted PBKDF2 hash of the passcode; null = no passcode
+    salt:          null,
+    iterations:    null,
+    lockOnLaunch:  true,
+    relockMinutes: 5,     // lock again after this long in the background
+  },
 };
 
-function loadState() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (raw) appState = { ...appState, ...JSON.parse(raw) };
-  } catch (e) {
-    console.warn('[Milestone] Could not load state:', e);
+/**
+ * Lay saved state over the defaults, key by key. Only keys the defaults
+ * know are kept, nested settings are merged the same way, and a value of
+ * the wrong type falls back to its default. Defaults of null take any
+ * saved value.
+ * @param {object} defaults
+ * @param {object} saved
+ * @returns {object}
+ */
+function mergeSettings(defaults, saved) {
+  const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isPlainObject(saved)) return defaults;
+
+  const merged = {};
+  Object.entries(defaults).forEach(([key, fallback]) => {
+    const value = saved[key];
+    if (value === undefined)          merged[key] = fallback;
+    else if (isPlainObject(fallback)) merged[key] = mergeSettings(fallback, value);
+    else if (Array.isArray(fallback)) merged[key] = Array.isArray(value) ? value : fallback;
+    else if (fallback === null)       merged[key] = value;
+    else                              merged[key] = typeof value === typeof fallback ? value : fallback;
+  });
+  return merged;
+}
+
+/**
+ * Where state is saved: 'indexeddb', or 'localstorage' when the browser
+ * won't open a database (some private modes) — the app still works, in
+ * the old format, rather than not at all.
+ */
+let storageBackend = 'indexeddb';
+
+async function loadState() {
+  if (storageBackend === 'indexeddb') {
+    try {
+      const stored = (await readStoredState()) || (await migrateLegacyStorage());
+      if (stored) appState = mergeSettings(appState, { ...stored.settings, timers: stored.timers, trash: stored.trash });
+      storedRevision = stored ? (stored.settings.revision || 0) : 0;
+    } catch (e) {
+      console.warn('[Milestone] Could not load from IndexedDB, using localStorage:', e);
+      storageBackend = 'localstorage';
+    }
+  }
+
+  if (storageBackend === 'localstorage') {
+    try {
+      const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+      if (raw) appState = mergeSettings(appState, JSON.parse(raw));
+    } catch (e) {
+      console.warn('[Milestone] Could not load state:', e);
+    }
   }
+
+  lastSavedJson = JSON.stringify(appState);
+  snapshotTimerBaseline();
 }
 
+let saveInFlight   = null;
+let savePending    = false;
+let lastSavedJson  = null;  // what storage holds, so unchanged state isn't rewritten (or announced)
+let storedRevision = 0;     // revision of the stored state lastSavedJson came from
+
+/**
+ * Save appState. Writes happen one at a time; changes made while one is
+ * in progress are saved together straight after it. A failed save shows
+ * a banner with a retry instead of failing silently. Other windows are
+ * told about every save (section 4b).
+ */
 function saveState() {
+  if (applyingRemoteState) return;
+  stampTimerChanges();
+  savePending = true;
+  if (!saveInFlight) saveInFlight = flushState().finally(() => { saveInFlight = null; });
+  queueNotificationSync();
+}
+
+async function flushState() {
+  while (savePending) {
+    savePending = false;
+    const json = JSON.stringify(appState);
+    if (json === lastSavedJson) continue;
+    try {
+      if (storageBackend === 'indexeddb') storedRevision = await writeStoredState(JSON.parse(json), storedRevision);
+      else localStorage.setItem(LEGACY_STORAGE_KEY, json);
+      lastSavedJson = json;
+      hideSaveError();
+      postSyncMessage({ type: 'saved' });
+    } catch (e) {
+      if (e.name === 'StaleStateError') {
+        await mergeStoredChanges();
+        savePending = true;
+        continue;
+      }
+      console.warn('[Milestone] Could not save state:', e);
+      showSaveError(e);
+    }
+  }
+}
+
+/**
+ * Another window saved while this one had unsaved changes. Keep this
+ * window's changes and take theirs for everything this window hasn't
+ * touched since its last save. Their 'saved' message redraws the screen.
+ */
+async function mergeStoredChanges() {
+  const stored = await readStoredState();
+  const theirs = mergeSettings(appState, { ...stored.settings, timers: stored.timers, trash: stored.trash });
+  const base   = JSON.parse(lastSavedJson);
+  const same   = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const merged = {};
+  Object.keys(appState).forEach(key => {
+    merged[key] = same(appState[key], base[key]) ? theirs[key] : appState[key];
+  });
+  merged.timers = mergeListChanges(base.timers, appState.timers, theirs.timers, timer => timer.id);
+  merged.trash  = mergeListChanges(base.trash, appState.trash, theirs.trash, entry => entry.timer.id);
+
+  // Both windows may have queued changes for the server (section 4c)
+  const pending = new Map([...theirs.serverSync.pending, ...appState.serverSync.pending].map(entry => [entry.id, entry]));
+  merged.serverSync = { ...merged.serverSync, pending: [...pending.values()] };
+
+  appState       = merged;
+  lastSavedJson  = JSON.stringify(theirs);
+  storedRevision = stored.settings.revision || 0;
+  snapshotTimerBaseline();
+}
+
+/**
+ * Three-way merge of a list by ID: start from theirs, drop what this
+ * window deleted, use this window's version of anything it changed and
+ * add what it added.
+ */
+function mergeListChanges(base, mine, theirs, idOf) {
+  const index       = (list) => new Map(list.map(item => [idOf(item), item]));
+  const baseItems   = index(base);
+  const mineItems   = index(mine);
+  const changedHere = (id) => JSON.stringify(mineItems.get(id)) !== JSON.stringify(baseItems.get(id));
+
+  const merged = theirs
+    .filter(item => !(baseItems.has(idOf(item)) && !mineItems.has(idOf(item))))
+    .map(item => (mineItems.has(idOf(item)) && changedHere(idOf(item)) ? mineItems.get(idOf(item)) : item));
+
+  mine.forEach(item => {
+    if (!baseItems.has(idOf(item)) && !merged.some(m => idOf(m) === idOf(item))) merged.push(item);
+  });
+  return merged;
+}
+
+function showSaveError(error) {
+  const outOfSpace = error && (error.name === 'QuotaExceededError' || error.code === 22);
+  document.getElementById('save-error-message').textContent = outOfSpace
+    ? tr('Couldn\u2019t save \u2014 this device is out of storage. Free up some space, then retry.')
+    : tr('Couldn\u2019t save your latest changes. They\u2019ll be lost if you close the app.');
+  document.getElementById('save-error').classList.remove('hidden');
+}
+
+function hideSaveError() {
+  document.getElementById('save-error').classList.add('hidden');
+}
+
+/**
+ * Ask the browser not to clear our storage when space runs low.
+ * Browsers may grant it silently, ask the user, or refuse.
+ * @returns {Promise<boolean|null>} null where the API isn't available
+ */
+async function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) return null;
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(appState));
+    if (await navigator.storage.persisted()) return true;
+    return await navigator.storage.persist();
   } catch (e) {
-    console.warn('[Milestone] Could not save state:', e);
+    console.warn('[Milestone] Could not request persistent storage:', e);
+    return null;
   }
 }
 
+/** Result of requestPersistentStorage(), shown in Settings. */
+let storagePersisted = null;
+
+/** Timers on the list — everything not archived. */
+function getActiveTimers() {
+  return appState.timers.filter(t => !t.archivedAt);
+}
+
 function generateId() {
   if (crypto && crypto.randomUUID) return crypto.randomUUID();
   return Date.now().toString(36) + Math.random().toString(36).slice(2);
@@ -187,969 +615,5791 @@ function generateId() {
 
 
 /* ════════════════════════════════════════════════════
-   5. TIME CALCULATION HELPERS
+   4b. SYNC BETWEEN WINDOWS
+
+   Every save is announced on a BroadcastChannel — or,
+   where there isn't one, through a localStorage `storage`
+   event. Other windows reload the stored state and
+   re-render the screen they're on; the timer each window
+   has open (activeTimerId) stays its own, and nothing is
+   saved while re-rendering so windows never echo each
+   other. Windows also announce which timer they have open
+   in the form, so editing the same timer in two places
+   warns instead of silently overwriting — see
+   refreshFormAfterRemoteChange().
 ════════════════════════════════════════════════════ */
 
-function getTimerValues(timer) {
-  const now = new Date();
-  // Normalise to midnight so time-of-day never affects date arithmetic.
-  // Without this, on an exact anniversary the comparison overshoots,
-  // causing years to roll back to 0 and months/days to go negative.
-  now.setHours(0, 0, 0, 0);
+const SYNC_CHANNEL_NAME = 'milestone-sync';
+const SYNC_STORAGE_KEY  = 'milestoneSync';
+const WINDOW_ID         = generateId();
 
-  const target   = new Date(timer.date + 'T00:00:00');
-  const fromDate = timer.mode === 'countup' ? target : now;
-  const toDate   = timer.mode === 'countup' ? now    : target;
+let syncChannel         = null;
+let applyingRemoteState = false;
+let announcedEditingId  = null;
 
-  const isExpired = toDate < fromDate;
-  if (isExpired) return { years: 0, months: 0, weeks: 0, days: 0, totalDays: 0, isExpired: true };
+/** The timer each other window has open in its form, by window ID. */
+const remoteEditors = new Map();
 
-  // -- Years --
-  let years = toDate.getFullYear() - fromDate.getFullYear();
-  const afterYears = new Date(fromDate);
-  afterYears.setFullYear(afterYears.getFullYear() + years);
-  if (afterYears > toDate) { years--; afterYears.setFullYear(afterYears.getFullYear() - 1); }
+function startWindowSync() {
+  if ('BroadcastChannel' in window) {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.onmessage = (e) => handleSyncMessage(e.data);
+  } else {
+    window.addEventListener('storage', (e) => {
+      if (e.key === SYNC_STORAGE_KEY && e.newValue) handleSyncMessage(JSON.parse(e.newValue));
+    });
+  }
 
-  // -- Months after years --
-  let months = (toDate.getFullYear() - afterYears.getFullYear()) * 12
-             + (toDate.getMonth()    - afterYears.getMonth());
-  if (toDate.getDate() < afterYears.getDate()) months--;
-  if (months < 0) months = 0;
+  // Ask the other windows what they're editing, and tell them when this one goes
+  postSyncMessage({ type: 'hello' });
+  window.addEventListener('pagehide', () => postSyncMessage({ type: 'editing', timerId: null }));
+}
 
-  const afterMonths = new Date(afterYears);
-  afterMonths.setMonth(afterMonths.getMonth() + months);
+function postSyncMessage(message) {
+  const data = { ...message, from: WINDOW_ID };
+  if (syncChannel) {
+    syncChannel.postMessage(data);
+    return;
+  }
+  try {
+    // The `at` makes every message a change, so the storage event always fires
+    localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...data, at: Date.now() }));
+  } catch (e) {
+    console.warn('[Milestone] Could not notify other windows:', e);
+  }
+}
 
-  // -- Weeks and days after months --
-  const remainingDays = Math.floor((toDate - afterMonths) / (1000 * 60 * 60 * 24));
-  const weeks         = Math.floor(remainingDays / 7);
-  const days          = remainingDays % 7;
-  const totalDays     = Math.floor((toDate - fromDate) / (1000 * 60 * 60 * 24));
+function handleSyncMessage(message) {
+  if (!message || message.from === WINDOW_ID) return;
+
+  switch (message.type) {
+    case 'saved':
+      reloadFromOtherWindow();
+      break;
+    case 'editing':
+      if (message.timerId) remoteEditors.set(message.from, message.timerId);
+      else remoteEditors.delete(message.from);
+      updateFormConflictNotice();
+      break;
+    case 'hello':
+      if (announcedEditingId) postSyncMessage({ type: 'editing', timerId: announcedEditingId });
+      break;
+  }
+}
 
-  return { years, months, weeks, days, totalDays, isExpired };
+/** @param {string|null} timerId — the timer open in this window's form */
+function announceEditing(timerId) {
+  if (timerId === announcedEditingId) return;
+  announcedEditingId = timerId;
+  postSyncMessage({ type: 'editing', timerId });
 }
 
-function formatDate(dateStr) {
-  const d = new Date(dateStr + 'T00:00:00');
-  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+/** Another window saved — load what it wrote and redraw this window's screen. */
+async function reloadFromOtherWindow() {
+  if (saveInFlight) await saveInFlight;
+
+  const activeTimerId = appState.activeTimerId;
+  await loadState();
+  appState.activeTimerId = activeTimerId;
+
+  applyingRemoteState = true;
+  try {
+    applyTheme();
+    applyLanguage();
+    updateLockButton();
+    if (currentScreen === 'form') refreshFormAfterRemoteChange();
+    else renderRoute();
+  } finally {
+    applyingRemoteState = false;
+  }
 }
 
 
 /* ════════════════════════════════════════════════════
-   6. SCREEN ROUTER
+   4c. SYNC WITH A SERVER
+
+   Optional — off until a server is set up in Settings.
+   Every timer carries updatedAt, stamped whenever this
+   window changes it (stampTimerChanges, on every save),
+   and the IDs changed since the last sync wait in
+   appState.serverSync.pending, so changes made offline
+   go up the next time the server can be reached.
+
+   The server keeps one document of records, one for
+   every timer ever synced:
+     { id, updatedAt, timer }          — a timer
+     { id, updatedAt, deleted: true }  — a deleted one
+   plus each photo on its own, as a data URL. A sync
+   pulls the document, keeps whichever side changed each
+   timer last, sends photos, then writes the document
+   back only if no other device has in the meantime
+   (ETag / version) — otherwise it starts over. Timers
+   deleted on another device go to this one's trash.
+
+   Two kinds of server (SERVER_SYNC_PROVIDERS):
+     webdav — any WebDAV folder: milestone-sync.json and
+              milestone-photos/<id>, with Basic auth
+     rest   — GET/PUT <url>/timers as { records, version },
+              GET/PUT/DELETE <url>/photos/<id>, with a
+              bearer token
+   mock-sync-server.js serves both, for trying it locally.
 ════════════════════════════════════════════════════ */
 
-let currentScreen = 'list';
+const SERVER_SYNC_FORMAT      = 'milestone-sync';
+const SERVER_SYNC_DEBOUNCE_MS = 3000;            // after a change here
+const SERVER_SYNC_INTERVAL_MS = 5 * 60 * 1000;   // to pick up other devices' changes
+const SERVER_SYNC_ATTEMPTS    = 3;               // when other devices keep writing first
 
-function showScreen(name) {
-  currentScreen = name;
-  document.querySelectorAll('.screen').forEach(el => {
-    el.classList.toggle('active', el.id === `screen-${name}`);
+let serverSyncRunning = null;       // the sync in progress, if any
+let serverSyncHandle  = null;
+let serverSyncError   = null;       // why the last sync failed, shown in Settings
+let timerBaseline     = new Map();  // timer ID → JSON of the timer as last saved here
+
+/** Remember every timer as it is now, so the next save can tell what changed. */
+function snapshotTimerBaseline() {
+  timerBaseline = new Map(appState.timers.map(t => [t.id, JSON.stringify(t)]));
+}
+
+/**
+ * Stamp updatedAt on each timer changed since the last save, and queue
+ * it — or its deletion — for the server. Changes made before sync was
+ * set up aren't queued: the first sync sends every timer anyway.
+ */
+function stampTimerChanges() {
+  const now     = Date.now();
+  const changed = [];
+
+  appState.timers.forEach(timer => {
+    if (timerBaseline.get(timer.id) === JSON.stringify(timer)) return;
+    timer.updatedAt = now;
+    changed.push(timer.id);
   });
-  if (name !== 'detail') stopTicker();
+  const ids = new Set(appState.timers.map(t => t.id));
+  timerBaseline.forEach((json, id) => { if (!ids.has(id)) changed.push(id); });
+  snapshotTimerBaseline();
+
+  if (!changed.length || !getServerSyncProvider()) return;
+  const queued = new Set(changed);
+  appState.serverSync.pending = appState.serverSync.pending
+    .filter(entry => !queued.has(entry.id))
+    .concat(changed.map(id => ({ id, changedAt: now })));
+  scheduleServerSync(SERVER_SYNC_DEBOUNCE_MS);
 }
 
+function serverSyncConflict() {
+  const error = new Error('Another device saved first');
+  error.name  = 'SyncConflictError';
+  return error;
+}
 
-/* ════════════════════════════════════════════════════
-   7. TICKER
-════════════════════════════════════════════════════ */
+/**
+ * fetch() against the configured server, with its credentials. Any
+ * status outside 2xx that isn't in `allowed` is thrown as an Error.
+ */
+async function serverSyncFetch(config, path, options = {}, allowed = []) {
+  const headers = { ...options.headers };
+  if (config.provider === 'webdav' && config.username) {
+    const bytes = new TextEncoder().encode(`${config.username}:${config.password}`);
+    headers.Authorization = `Basic ${btoa(String.fromCharCode(...bytes))}`;
+  } else if (config.provider === 'rest' && config.password) {
+    headers.Authorization = `Bearer ${config.password}`;
+  }
 
-let tickerHandle = null;
+  let response;
+  try {
+    response = await fetch(`${config.url.replace(/\/+$/, '')}/${path}`, { ...options, headers, cache: 'no-store' });
+  } catch (e) {
+    throw new Error(tr('Couldn\u2019t reach the server'));
+  }
+  if (response.ok || allowed.includes(response.status)) return response;
+  if (response.status === 401 || response.status === 403) throw new Error(tr('The server didn\u2019t accept the sign-in details'));
+  throw new Error(tr('The server answered {status}', { status: `${response.status} ${response.statusText}`.trim() }));
+}
 
-function startTicker() {
-  stopTicker();
-  tickerHandle = setInterval(updateDetailDisplay, 60 * 1000);
+/** The records in a pulled document, or an error if it isn't one. */
+function readSyncDocument(doc) {
+  if (!doc || !Array.isArray(doc.records)) throw new Error(tr('The server\u2019s sync data isn\u2019t in a format Milestone understands'));
+  return doc.records;
 }
 
-function stopTicker() {
-  if (tickerHandle !== null) { clearInterval(tickerHandle); tickerHandle = null; }
+const SERVER_SYNC_PROVIDERS = {
+  webdav: {
+    async pull(config) {
+      const response = await serverSyncFetch(config, 'milestone-sync.json', {}, [404]);
+      if (response.status === 404) return { records: [], version: null };
+      // Without an ETag (a server that doesn't expose it) writes can't be checked — '' means write anyway
+      return { records: readSyncDocument(await response.json()), version: response.headers.get('ETag') || '' };
+    },
+    async push(config, records, version) {
+      const condition = version === null ? { 'If-None-Match': '*' } : (version ? { 'If-Match': version } : {});
+      const response  = await serverSyncFetch(config, 'milestone-sync.json', {
+        method:  'PUT',
+        headers: { ...condition, 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ format: SERVER_SYNC_FORMAT, records }),
+      }, [412]);
+      if (response.status === 412) throw serverSyncConflict();
+    },
+    async getPhoto(config, timerId) {
+      const response = await serverSyncFetch(config, `milestone-photos/${encodeURIComponent(timerId)}`, {}, [404]);
+      return response.status === 404 ? null : response.text();
+    },
+    async putPhoto(config, timerId, dataUrl) {
+      const path = `milestone-photos/${encodeURIComponent(timerId)}`;
+      const put  = (allowed) => serverSyncFetch(config, path, { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: dataUrl }, allowed);
+      // WebDAV won't create the folder on a PUT — 409 until it exists
+      if ((await put([409])).status !== 409) return;
+      await serverSyncFetch(config, 'milestone-photos/', { method: 'MKCOL' }, [405]);
+      await put();
+    },
+    async deletePhoto(config, timerId) {
+      await serverSyncFetch(config, `milestone-photos/${encodeURIComponent(timerId)}`, { method: 'DELETE' }, [404]);
+    },
+  },
+
+  rest: {
+    async pull(config) {
+      const response = await serverSyncFetch(config, 'timers');
+      const doc      = await response.json();
+      return { records: readSyncDocument(doc), version: doc.version ?? null };
+    },
+    async push(config, records, version) {
+      const response = await serverSyncFetch(config, 'timers', {
+        method:  'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ records, baseVersion: version }),
+      }, [409]);
+      if (response.status === 409) throw serverSyncConflict();
+    },
+    async getPhoto(config, timerId) {
+      const response = await serverSyncFetch(config, `photos/${encodeURIComponent(timerId)}`, {}, [404]);
+      return response.status === 404 ? null : response.text();
+    },
+    async putPhoto(config, timerId, dataUrl) {
+      await serverSyncFetch(config, `photos/${encodeURIComponent(timerId)}`, {
+        method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: dataUrl,
+      });
+    },
+    async deletePhoto(config, timerId) {
+      await serverSyncFetch(config, `photos/${encodeURIComponent(timerId)}`, { method: 'DELETE' }, [404]);
+    },
+  },
+};
+
+/** @returns {object|null} the provider for the configured server, or null when sync is off */
+function getServerSyncProvider() {
+  const { provider, url } = appState.serverSync;
+  return (provider && url && SERVER_SYNC_PROVIDERS[provider]) || null;
 }
 
+function scheduleServerSync(delay) {
+  clearTimeout(serverSyncHandle);
+  if (getServerSyncProvider()) serverSyncHandle = setTimeout(syncWithServer, delay);
+}
 
-/* ════════════════════════════════════════════════════
-   8. RENDERING — Timer List Screen
-════════════════════════════════════════════════════ */
+/** Start a sync, or join the one already running. */
+function syncWithServer() {
+  if (!serverSyncRunning) {
+    serverSyncRunning = runServerSync().finally(() => {
+      serverSyncRunning = null;
+      renderServerSyncStatus();
+    });
+    renderServerSyncStatus();
+  }
+  return serverSyncRunning;
+}
 
-function renderTimerList() {
-  const listEl  = document.getElementById('timer-list');
-  const emptyEl = document.getElementById('empty-state');
+async function runServerSync() {
+  const provider = getServerSyncProvider();
+  // Offline, the queue just waits — the 'online' event starts the next sync
+  if (!provider || !navigator.onLine) return;
 
-  emptyEl.classList.toggle('hidden', appState.timers.length > 0);
-  listEl.innerHTML = '';
+  clearTimeout(serverSyncHandle);
+  const config    = { ...appState.serverSync };
+  const startedAt = Date.now();
 
-  appState.timers.forEach(timer => {
-    const { totalDays, isExpired } = getTimerValues(timer);
-    const li = document.createElement('li');
-    li.className = 'timer-card';
-    li.setAttribute('role', 'listitem');
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const { records, version } = await provider.pull(config);
+      const plan = planServerSync(records);
 
-    const modeVerb = timer.mode === 'countdown' ? 'Until' : 'Since';
+      for (const timerId of plan.uploads) {
+        const dataUrl = await loadPhoto(timerId);
+        if (dataUrl) await provider.putPhoto(config, timerId, dataUrl);
+      }
+      for (const timerId of plan.downloads) {
+        plan.photos.set(timerId, await provider.getPhoto(config, timerId));
+      }
 
-    let thumbStyle = 'background: var(--border);';
-    if (timer.wallpaper && timer.wallpaper !== 'none') {
-      if (timer.wallpaper === 'photo') {
-        thumbStyle = 'background: linear-gradient(180deg, #f5a623, #e05c5c);';
-      } else {
-        const theme = getThemeByKey(timer.wallpaper);
-        if (theme) thumbStyle = `background: ${theme.css};`;
+      if (plan.outgoing) {
+        try {
+          await provider.push(config, plan.records, version);
+        } catch (e) {
+          if (e.name === 'SyncConflictError' && attempt < SERVER_SYNC_ATTEMPTS) continue;
+          throw e;
+        }
       }
+
+      for (const timerId of plan.removals) {
+        await provider.deletePhoto(config, timerId)
+          .catch(err => console.warn('[Milestone] Could not remove a photo from the server:', err));
+      }
+      await applyServerSyncPlan(plan, startedAt);
+      break;
     }
+    serverSyncError = null;
+  } catch (e) {
+    console.warn('[Milestone] Sync failed:', e);
+    serverSyncError = e.message;
+  }
+}
 
-    li.innerHTML = `
-      <div class="timer-card-thumb" style="${thumbStyle}" aria-hidden="true"></div>
-      <div class="timer-card-info">
-        <div class="timer-card-name">${escapeHtml(timer.name)}</div>
-        <div class="timer-card-sub">${modeVerb} ${formatDate(timer.date)}</div>
-      </div>
-      <div>
-        <div class="timer-card-days">${isExpired ? '\u2014' : totalDays}</div>
-        <div class="timer-card-days-label">${isExpired ? 'arrived' : (timer.mode === 'countdown' ? 'days left' : 'days')}</div>
-      </div>
-    `;
+/**
+ * Bookkeeping a synced timer carries beyond what validateBackupTimer()
+ * keeps, each with the check its value must pass. Nothing else the
+ * server sends is taken.
+ */
+const SYNC_TIMER_FIELDS = {
+  lastMilestoneDays:   value => Number.isFinite(value),
+  milestoneOccurrence: value => value === null || Number.isInteger(value),
+  notifyFrom:          value => Number.isFinite(value) && value > 0,
+  photoVersion:        value => Number.isFinite(value) && value > 0,
+};
 
-    li.addEventListener('click', () => openDetailScreen(timer.id));
-    listEl.appendChild(li);
+/** A pulled record with its timer validated, or null to leave it alone. */
+function validateSyncRecord(raw) {
+  if (!raw || typeof raw.id !== 'string' || !Number.isFinite(raw.updatedAt)) return null;
+  if (raw.deleted === true) return { id: raw.id, updatedAt: raw.updatedAt, deleted: true };
+
+  const result = validateBackupTimer(raw.timer);
+  if (result.error || result.timer.id !== raw.id) return null;
+
+  const timer = { ...result.timer, updatedAt: raw.updatedAt };
+  Object.entries(SYNC_TIMER_FIELDS).forEach(([key, isValid]) => {
+    if (raw.timer[key] !== undefined && isValid(raw.timer[key])) timer[key] = raw.timer[key];
   });
+  return { id: raw.id, updatedAt: raw.updatedAt, timer };
 }
 
+/**
+ * Decide, timer by timer, which side is newer. A timer this device has
+ * changed counts from its updatedAt, or — once deleted — from when it
+ * went. Records that don't validate are written back untouched.
+ * @param {object[]} pulled — the server's records
+ * @returns {object} what to apply here, what to send and which photos move
+ */
+function planServerSync(pulled) {
+  const records = new Map(pulled.filter(r => r && typeof r.id === 'string').map(r => [r.id, r]));
+  const remote  = new Map([...records.values()].map(validateSyncRecord).filter(Boolean).map(r => [r.id, r]));
+  const local   = new Map(appState.timers.map(t => [t.id, t]));
+  const pending = new Map(appState.serverSync.pending.map(entry => [entry.id, entry.changedAt]));
+  const trashed = new Map(appState.trash.map(entry => [entry.timer.id, entry.deletedAt]));
+
+  const hasPhoto = (timer) => Boolean(timer) && timer.wallpaper === 'photo';
+
+  const plan = { records, outgoing: 0, incoming: [], uploads: [], downloads: [], removals: [], photos: new Map() };
+
+  new Set([...remote.keys(), ...local.keys(), ...pending.keys()]).forEach(id => {
+    const theirs    = remote.get(id);
+    const mine      = local.get(id);
+    const changedAt = mine ? (mine.updatedAt || 0) : (pending.get(id) ?? trashed.get(id) ?? null);
+
+    if (theirs && (changedAt === null || theirs.updatedAt > changedAt)) {
+      if (theirs.deleted && !mine) return;
+      plan.incoming.push(theirs);
+      if (hasPhoto(theirs.timer) && !(hasPhoto(mine) && mine.photoVersion === theirs.timer.photoVersion)) {
+        plan.downloads.push(id);
+      }
+      return;
+    }
+    if ((theirs && theirs.updatedAt === changedAt) || (!theirs && !mine)) return;
 
-/* ════════════════════════════════════════════════════
-   9. RENDERING — Detail Screen
-════════════════════════════════════════════════════ */
+    plan.records.set(id, mine ? { id, updatedAt: changedAt, timer: mine } : { id, updatedAt: changedAt, deleted: true });
+    plan.outgoing++;
+    const theirPhoto = theirs && hasPhoto(theirs.timer);
+    if (hasPhoto(mine) && !(theirPhoto && theirs.timer.photoVersion === mine.photoVersion)) plan.uploads.push(id);
+    if (theirPhoto && !hasPhoto(mine)) plan.removals.push(id);
+  });
 
-async function applyTransformToCanvas(dataUrl, transform) {
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = () => {
-      const vw = window.innerWidth;
-      const vh = window.innerHeight;
+  plan.records = [...plan.records.values()];
+  return plan;
+}
 
-      const canvas  = document.createElement('canvas');
-      canvas.width  = vw;
-      canvas.height = vh;
-      const ctx     = canvas.getContext('2d');
+/**
+ * Bring the newer timers from the server into appState. A timer changed
+ * here while the sync ran keeps this device's version; it goes up next time.
+ */
+async function applyServerSyncPlan(plan, startedAt) {
+  const changedSince = new Set(appState.serverSync.pending.filter(e => e.changedAt >= startedAt).map(e => e.id));
+  const incoming     = plan.incoming.filter(record => !changedSince.has(record.id));
 
-      const scaledW    = img.naturalWidth  * transform.scale;
-      const scaledH    = img.naturalHeight * transform.scale;
-      const imgCentreX = vw / 2 + transform.x;
-      const imgCentreY = vh / 2 + transform.y;
+  for (const record of incoming) {
+    const dataUrl = plan.photos.get(record.id);
+    if (dataUrl) {
+      await savePhoto(record.id, dataUrlToBlob(dataUrl));
+    } else if (plan.photos.has(record.id)) {
+      // The photo never reached the server — show the timer without it
+      record.timer = { ...record.timer, wallpaper: 'none', photoTransform: null };
+    }
+  }
 
-      ctx.drawImage(img, imgCentreX - scaledW / 2, imgCentreY - scaledH / 2, scaledW, scaledH);
-      resolve(canvas.toDataURL('image/jpeg', 0.92));
-    };
-    img.onerror = () => resolve(dataUrl);
-    img.src = dataUrl;
+  incoming.forEach(record => {
+    const index = appState.timers.findIndex(t => t.id === record.id);
+    if (record.deleted) {
+      // Dated as the other device deleted it, so it isn't sent back as a newer deletion
+      if (moveTimerToTrash(record.id)) appState.trash[0].deletedAt = record.updatedAt;
+      return;
+    }
+    if (index === -1) {
+      forgetTrashedTimers([record.id]);
+      appState.timers.push(record.timer);
+      return;
+    }
+    if (appState.timers[index].wallpaper === 'photo' && record.timer.wallpaper !== 'photo') deletePhoto(record.id);
+    appState.timers[index] = record.timer;
   });
+
+  appState.serverSync.pending      = appState.serverSync.pending.filter(entry => changedSince.has(entry.id));
+  appState.serverSync.lastSyncedAt = Date.now();
+  snapshotTimerBaseline();
+  saveState();
+
+  if (!incoming.length) return;
+  if (currentScreen === 'form') refreshFormAfterRemoteChange();
+  else                          renderRoute();
 }
 
-async function applyDetailWallpaper(timer) {
-  const wallpaperEl = document.getElementById('detail-wallpaper');
-  const screenEl    = document.getElementById('screen-detail');
+/** Sync when the app starts, comes back online or is looked at again, and every few minutes. */
+function startServerSync() {
+  window.addEventListener('online', syncWithServer);
+  window.addEventListener('offline', renderServerSyncStatus);
+  setInterval(() => {
+    if (document.visibilityState === 'visible') syncWithServer();
+  }, SERVER_SYNC_INTERVAL_MS);
+  syncWithServer();
+}
 
-  if (!timer.wallpaper || timer.wallpaper === 'none') {
-    wallpaperEl.style.background = '';
-    screenEl.classList.add('no-wallpaper');
-    return;
-  }
+// -- Settings --
 
-  let css = null;
+function renderServerSyncSettings() {
+  const { provider, url, username, password } = appState.serverSync;
 
-  if (timer.wallpaper === 'photo') {
-    const dataUrl = await loadPhoto(timer.id);
-    if (dataUrl) {
-      if (timer.photoTransform) {
-        const croppedUrl = await applyTransformToCanvas(dataUrl, timer.photoTransform);
-        css = `url('${croppedUrl}') center / cover no-repeat`;
-      } else {
-        css = `url('${dataUrl}') center / cover no-repeat`;
-      }
-    }
-  } else {
-    const theme = getThemeByKey(timer.wallpaper);
-    if (theme) css = theme.css;
-  }
+  document.getElementById('input-sync-provider').value = provider || '';
+  document.getElementById('sync-server-fields').classList.toggle('hidden', !provider);
+  document.getElementById('sync-username-row').classList.toggle('hidden', provider !== 'webdav');
+  document.getElementById('label-sync-password').textContent = provider === 'rest' ? tr('Access token') : tr('Password');
+  document.getElementById('input-sync-url').value      = url;
+  document.getElementById('input-sync-username').value = username;
+  document.getElementById('input-sync-password').value = password;
+  renderServerSyncStatus();
+}
 
-  if (css) {
-    wallpaperEl.style.background = css;
-    screenEl.classList.remove('no-wallpaper');
+function renderServerSyncStatus() {
+  const statusEl = document.getElementById('server-sync-status');
+  const sync     = appState.serverSync;
+  const waiting  = sync.pending.length;
+  const queued   = waiting ? ` ${tr('{count} changes waiting.', { count: waiting })}` : '';
+
+  let status;
+  if (!sync.provider) {
+    status = tr('Keep timers the same on all your devices by syncing them through a WebDAV folder or your own Milestone sync server.');
+  } else if (!sync.url) {
+    status = tr('Enter the server address to start syncing.');
+  } else if (serverSyncRunning) {
+    status = tr('Syncing\u2026');
+  } else if (!navigator.onLine) {
+    status = waiting
+      ? tr('Offline \u2014 {count} changes will sync when you\u2019re back online.', { count: waiting })
+      : tr('Offline \u2014 syncing will resume when you\u2019re back online.');
+  } else if (serverSyncError) {
+    status = tr('Sync failed: {error}.', { error: serverSyncError }) + queued;
+  } else if (sync.lastSyncedAt) {
+    const when = new Date(sync.lastSyncedAt).toLocaleString(currentLocale, { dateStyle: 'medium', timeStyle: 'short' });
+    status = tr('Last synced {when}.', { when }) + queued;
   } else {
-    wallpaperEl.style.background = '';
-    screenEl.classList.add('no-wallpaper');
+    status = tr('Not synced yet.');
   }
+
+  statusEl.textContent = status;
+  document.getElementById('btn-sync-now').disabled = Boolean(serverSyncRunning);
 }
 
-async function openDetailScreen(timerId) {
-  appState.activeTimerId = timerId;
+/** A different server starts from scratch — the first sync merges every timer with what it holds. */
+function handleServerSyncSettingsChange() {
+  const sync     = appState.serverSync;
+  const provider = document.getElementById('input-sync-provider').value || null;
+  const url      = document.getElementById('input-sync-url').value.trim();
+
+  if (provider !== sync.provider || url !== sync.url) {
+    sync.lastSyncedAt = null;
+    sync.pending      = [];
+  }
+  sync.provider   = provider;
+  sync.url        = url;
+  sync.username   = document.getElementById('input-sync-username').value.trim();
+  sync.password   = document.getElementById('input-sync-password').value;
+  serverSyncError = null;
+
   saveState();
-  showScreen('detail');
+  renderServerSyncSettings();
+  scheduleServerSync(SERVER_SYNC_DEBOUNCE_MS);
+}
 
-  const timer = appState.timers.find(t => t.id === timerId);
-  if (!timer) return;
 
-  // Populate both the small header name and the large name below the countdown
-  document.getElementById('detail-timer-name').textContent       = timer.name;
-  document.getElementById('detail-timer-name-large').textContent = timer.name;
+/* ════════════════════════════════════════════════════
+   5. TIME CALCULATION HELPERS
+════════════════════════════════════════════════════ */
 
-  document.getElementById('detail-mode-label').textContent =
-    timer.mode === 'countdown' ? 'Counting down to' : 'Counting up from';
-  document.getElementById('detail-target-date').textContent = formatDate(timer.date);
+const MS_PER_DAY    = 1000 * 60 * 60 * 24;
+const MS_PER_HOUR   = 1000 * 60 * 60;
+const MS_PER_MINUTE = 1000 * 60;
 
-  sliderPosition = 0;
-  const sliderEl = document.getElementById('unit-slider');
-  if (sliderEl) sliderEl.value = 0;
+/**
+ * Recurring timers are countdowns that roll over to the same date every
+ * year — birthdays and anniversaries. `timer.date` stays the original date
+ * so the occurrence number can be worked out from it.
+ */
+function isRecurringTimer(timer) {
+  return Boolean(timer.repeatsYearly) && timer.mode === 'countdown';
+}
 
-  updateDetailDisplay();
-  startTicker();
+/**
+ * The timer's date and time of day in the given year of its calendar
+ * (section 5c). 29 February falls on 28 February in non-leap years.
+ */
+function getAnniversaryDate(timer, year) {
+  const [hours, minutes] = (timer.time || '00:00').split(':').map(Number);
+  const calendar         = getTimerCalendar(timer);
+  if (calendar) {
+    const date = fromCalendarDate(calendar, { ...getCalendarDate(parseDateOnly(timer.date), calendar), year });
+    date.setHours(hours, minutes);
+    return date;
+  }
 
-  applyDetailWallpaper(timer).catch(err => {
-    console.warn('[Milestone] Wallpaper apply failed:', err);
-  });
+  const [, month, day] = timer.date.split('-').map(Number);
+  const lastDayOfMonth = new Date(year, month, 0).getDate();
+  return new Date(year, month - 1, Math.min(day, lastDayOfMonth), hours, minutes);
 }
 
 /**
- * Slider position: 0=Years, 1=Months, 2=Weeks, 3=Days.
- * Units to the left of the chosen position display as 0.
+ * The next occurrence of a recurring timer that has not yet passed, which
+ * anniversary it is (0 while the original date is still ahead), and the
+ * year of the timer's calendar it falls in.
+ * A date-only occurrence stays current for the whole of its day.
+ * @param {object} timer
+ * @returns {{ date: Date, number: number, year: number }}
  */
-let sliderPosition = 0;
+function getNextOccurrence(timer) {
+  const now = new Date();
+  if (!timer.time) now.setHours(0, 0, 0, 0);
 
-function applySlider(vals) {
-  const { years, months, weeks, days, totalDays, isExpired } = vals;
-  if (isExpired) return { dispYears: 0, dispMonths: 0, dispWeeks: 0, dispDays: 0 };
+  const calendar     = getTimerCalendar(timer);
+  const originalYear = getCalendarYear(parseDateOnly(timer.date), calendar);
+  let year = Math.max(originalYear, getCalendarYear(now, calendar));
+  let date = getAnniversaryDate(timer, year);
+  if (date < now) { year++; date = getAnniversaryDate(timer, year); }
 
-  if (sliderPosition === 0) {
-    return { dispYears: years, dispMonths: months, dispWeeks: weeks, dispDays: days };
+  return { date, number: year - originalYear, year };
+}
 
-  } else if (sliderPosition === 1) {
-    // Months is largest — roll all years into months
-    const timer    = appState.timers.find(t => t.id === appState.activeTimerId);
-    const now      = new Date();
-    now.setHours(0, 0, 0, 0);
-    const target   = new Date(timer.date + 'T00:00:00');
-    const fromDate = timer.mode === 'countup' ? target : now;
-    const toDate   = timer.mode === 'countup' ? now    : target;
+/**
+ * The instant a timer counts to or from. Timers without a `time` use
+ * local midnight at the start of their date; recurring timers use their
+ * next occurrence.
+ * @param {object} timer
+ * @returns {Date}
+ */
+function getTimerTarget(timer) {
+  if (isRecurringTimer(timer)) return getNextOccurrence(timer).date;
+  return new Date(`${timer.date}T${timer.time || '00:00'}:00`);
+}
 
-    let totalMonths = (toDate.getFullYear() - fromDate.getFullYear()) * 12
-                    + (toDate.getMonth() - fromDate.getMonth());
-    if (toDate.getDate() < fromDate.getDate()) totalMonths--;
-    if (totalMonths < 0) totalMonths = 0;
+/**
+ * The span a timer measures, ordered so fromDate is the earlier end.
+ * @param {object} timer
+ * @returns {{ fromDate: Date, toDate: Date }}
+ */
+function getTimerRange(timer) {
+  const now = new Date();
+  // Date-only timers normalise to midnight so time-of-day never affects date arithmetic.
+  // Without this, on an exact anniversary the comparison overshoots,
+  // causing years to roll back to 0 and months/days to go negative.
+  if (!timer.time) now.setHours(0, 0, 0, 0);
 
-    const afterMonths = new Date(fromDate);
-    afterMonths.setMonth(afterMonths.getMonth() + totalMonths);
-    const remDays = Math.floor((toDate - afterMonths) / (1000 * 60 * 60 * 24));
+  const target = getTimerTarget(timer);
+  return timer.mode === 'countup'
+    ? { fromDate: target, toDate: now }
+    : { fromDate: now,    toDate: target };
+}
 
-    return { dispYears: 0, dispMonths: totalMonths, dispWeeks: Math.floor(remDays / 7), dispDays: remDays % 7 };
+/**
+ * Whole calendar days from a to b, counted on the wall clock so a
+ * daylight-saving change never gains or loses a day.
+ */
+function calendarDaysBetween(a, b) {
+  const utcA = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+  const utcB = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((utcB - utcA) / MS_PER_DAY);
+}
 
-  } else if (sliderPosition === 2) {
-    return { dispYears: 0, dispMonths: 0, dispWeeks: Math.floor(totalDays / 7), dispDays: totalDays % 7 };
+/**
+ * Whole days from fromDate to toDate, plus the date reached after adding them.
+ * A day only counts once its time of day has also been reached.
+ */
+function wholeDaysBetween(fromDate, toDate) {
+  let days = calendarDaysBetween(fromDate, toDate);
+  const afterDays = new Date(fromDate);
+  afterDays.setDate(afterDays.getDate() + days);
+  if (afterDays > toDate) { days--; afterDays.setDate(afterDays.getDate() - 1); }
+  return { days, afterDays };
+}
 
-  } else {
-    return { dispYears: 0, dispMonths: 0, dispWeeks: 0, dispDays: totalDays };
+/**
+ * Whole months from fromDate to toDate, plus the date reached after adding them.
+ * Months are the calendar's (section 5c), or Gregorian when it is null.
+ */
+function wholeMonthsBetween(fromDate, toDate, calendar = null) {
+  // No lunar month is shorter than 29 days, which caps the count to start from
+  let months = calendar
+    ? Math.floor(calendarDaysBetween(fromDate, toDate) / 29)
+    : (toDate.getFullYear() - fromDate.getFullYear()) * 12 + (toDate.getMonth() - fromDate.getMonth());
+  let afterMonths = addCalendarMonths(fromDate, months, calendar);
+
+  // Step back while the month count overshoots — either the day of month
+  // (or time of day) has not been reached yet, or a long month overflowed
+  while (months > 0 && afterMonths > toDate) {
+    months--;
+    afterMonths = addCalendarMonths(fromDate, months, calendar);
   }
-}
+  if (months < 0) months = 0;
 
-function updateDetailDisplay() {
-  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
-  if (!timer) return;
+  return { months, afterMonths };
+}
 
-  const vals = getTimerValues(timer);
-  const { totalDays, isExpired } = vals;
-  const { dispYears, dispMonths, dispWeeks, dispDays } = applySlider(vals);
+function getTimerValues(timer) {
+  const { fromDate, toDate } = getTimerRange(timer);
 
-  document.getElementById('disp-years').textContent  = isExpired ? '\u2014' : String(dispYears);
-  document.getElementById('disp-months').textContent = isExpired ? '--'     : String(dispMonths);
-  document.getElementById('disp-weeks').textContent  = isExpired ? '--'     : String(dispWeeks);
-  document.getElementById('disp-days').textContent   = isExpired ? '--'     : String(dispDays);
+  const isExpired = toDate < fromDate;
+  if (isExpired) {
+    return { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 0, totalDays: 0, isExpired: true };
+  }
 
-  updateDetailMessage(timer, totalDays);
-}
+  // -- Years, in the timer's calendar (section 5c) --
+  const calendar = getTimerCalendar(timer);
+  let years      = getCalendarYear(toDate, calendar) - getCalendarYear(fromDate, calendar);
+  let afterYears = addCalendarYears(fromDate, years, calendar);
+  if (afterYears > toDate) { years--; afterYears = addCalendarYears(fromDate, years, calendar); }
 
+  // -- Months after years --
+  const { months, afterMonths } = wholeMonthsBetween(afterYears, toDate, calendar);
 
-/* ════════════════════════════════════════════════════
-   9b. SHARE TIMER
+  // -- Weeks and days after months --
+  const { days: remainingDays, afterDays } = wholeDaysBetween(afterMonths, toDate);
+  const weeks     = Math.floor(remainingDays / 7);
+  const days      = remainingDays % 7;
+  const totalDays = wholeDaysBetween(fromDate, toDate).days;
+
+  // -- Hours, minutes and seconds after days (always 0 for date-only timers) --
+  const remainingMs = toDate - afterDays;
+  const hours       = Math.floor(remainingMs / MS_PER_HOUR);
+  const minutes     = Math.floor((remainingMs % MS_PER_HOUR) / MS_PER_MINUTE);
+  const seconds     = Math.floor((remainingMs % MS_PER_MINUTE) / 1000);
+
+  return { years, months, weeks, days, hours, minutes, seconds, totalDays, isExpired };
+}
 
-   Uses the Web Share API (navigator.share).
-   On iOS this opens the native share sheet — Messages,
-   Mail, AirDrop, WhatsApp, etc.
-   Falls back to clipboard copy on desktop browsers.
-════════════════════════════════════════════════════ */
+/** A Date's local calendar day as "YYYY-MM-DD", the format timers store. */
+function toLocalDateString(d) {
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day   = String(d.getDate()).padStart(2, '0');
+  return `${String(d.getFullYear()).padStart(4, '0')}-${month}-${day}`;
+}
 
 /**
- * Build a readable time string, e.g. "1 year, 2 months and 3 days".
- * Omits any unit that is zero.
- * @param {{ years, months, weeks, days }} vals
- * @returns {string}
+ * e.g. "3 March 2025", in the current locale (section 5b) — or in another
+ * calendar (section 5c), e.g. "1 Nisan 5785".
  */
-function buildTimeString(vals) {
-  const { years, months, weeks, days } = vals;
-  const parts = [];
-  if (years  > 0) parts.push(`${years} year${years   !== 1 ? 's' : ''}`);
-  if (months > 0) parts.push(`${months} month${months !== 1 ? 's' : ''}`);
-  if (weeks  > 0) parts.push(`${weeks} week${weeks   !== 1 ? 's' : ''}`);
-  if (days   > 0) parts.push(`${days} day${days     !== 1 ? 's' : ''}`);
+function formatDate(dateStr, calendar = null) {
+  const d = new Date(dateStr + 'T00:00:00');
+  return d.toLocaleDateString(currentLocale, { day: 'numeric', month: 'long', year: 'numeric', ...(calendar && { calendar }) });
+}
 
-  if (parts.length === 0) return 'today';
-  if (parts.length === 1) return parts[0];
-  return parts.slice(0, -1).join(', ') + ' and ' + parts[parts.length - 1];
+function formatTime(timeStr) {
+  const d = new Date(`1970-01-01T${timeStr}:00`);
+  return d.toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' });
 }
 
 /**
- * Share the currently viewed timer via the native share sheet.
- * Falls back to clipboard copy if the Web Share API is unavailable.
+ * The timer's date, with its time of day appended when it has one,
+ * e.g. "3 March 2025 at 14:30". Recurring timers show their next occurrence.
+ * Timers on another calendar show the Gregorian date after their own,
+ * e.g. "1 Nisan 5785 (30 March 2025)".
  */
-function shareTimer() {
-  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
-  if (!timer) return;
-
-  const vals      = getTimerValues(timer);
-  const dateStr   = formatDate(timer.date);
-  const modeLabel = timer.mode === 'countdown' ? 'Counting down to' : 'Counting up from';
-  const suffix    = timer.mode === 'countdown' ? ' to go' : ' so far';
+function formatTimerDate(timer) {
+  const dateStr  = isRecurringTimer(timer) ? toLocalDateString(getNextOccurrence(timer).date) : timer.date;
+  const calendar = getTimerCalendar(timer);
+  const date     = calendar
+    ? tr('{date} ({gregorianDate})', { date: formatDate(dateStr, calendar), gregorianDate: formatDate(dateStr) })
+    : formatDate(dateStr);
+  return timer.time ? tr('{date} at {time}', { date, time: formatTime(timer.time) }) : date;
+}
 
-  let bodyText;
-  if (vals.isExpired) {
-    bodyText = `${timer.name}\n${modeLabel} ${dateStr}\nThis date has now passed.`;
-  } else {
-    bodyText = `${timer.name}\n${modeLabel} ${dateStr}\n${buildTimeString(vals)}${suffix}`;
-  }
+/** e.g. "Until 3 March 2025" or "Since 3 March 2025". */
+function formatTimerSpan(timer) {
+  const date = formatTimerDate(timer);
+  return timer.mode === 'countdown' ? tr('Until {date}', { date }) : tr('Since {date}', { date });
+}
 
-  if (navigator.share) {
-    navigator.share({ title: timer.name, text: bodyText }).catch(err => {
-      if (err.name !== 'AbortError') console.warn('[Milestone] Share failed:', err);
-    });
-  } else {
-    navigator.clipboard.writeText(bodyText).then(() => {
-      alert('Timer details copied to clipboard.');
-    }).catch(() => {
-      alert(bodyText);
-    });
-  }
+/**
+ * e.g. "12th anniversary" for a recurring timer, or null when the timer
+ * does not repeat or its original date has not arrived yet.
+ */
+function formatOccurrenceLabel(timer) {
+  if (!isRecurringTimer(timer)) return null;
+  const { number } = getNextOccurrence(timer);
+  return number > 0 ? tr('{nth}th anniversary', { nth: number }) : null;
 }
 
 
 /* ════════════════════════════════════════════════════
-   10. RENDERING — Form Screen
+   5b. LANGUAGES
+
+   Everything the app says goes through tr(), keyed by
+   its English wording, with {placeholders} filled from
+   the second argument:
+     tr('Delete “{name}” for good?', { name })
+   Each other language is a catalogue (section 15) from
+   that English to its own; anything it lacks falls back
+   to English. Wording that changes with a number is an
+   object of Intl.PluralRules categories, picked by
+   `count` (cardinal: "3 days") or `nth` (ordinal:
+   "3rd") — English has a catalogue just for those.
+
+   Static text in index.html is marked data-i18n (its
+   text), data-i18n-label (aria-label),
+   data-i18n-placeholder or data-i18n-alt, and
+   translated in place from the English it was written
+   with.
+
+   Dates, numbers and lists use Intl for the language's
+   locale — the device's own when it speaks the same
+   language — and the page direction follows the
+   language, so right-to-left languages lay out mirrored.
 ════════════════════════════════════════════════════ */
 
-let editingTimerId        = null;
-let formWallpaperSelection = 'none';
-let formPendingPhotoBlob   = null;
-let formPendingPhotoTransform = null;
-
-function openFormScreen(timerId = null) {
-  editingTimerId   = timerId;
-  formEditingTimer = null;
-  const isEditing  = timerId !== null;
-  const timer      = isEditing ? appState.timers.find(t => t.id === timerId) : null;
-  formEditingTimer = timer;
-
-  document.getElementById('form-screen-title').textContent = isEditing ? 'Edit Timer' : 'New Timer';
-  document.getElementById('input-name').value = timer ? timer.name : '';
-  document.getElementById('input-date').value = timer ? timer.date : '';
-
-  const currentMode = timer ? timer.mode : 'countdown';
-  document.querySelectorAll('.mode-toggle-btn').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.mode === currentMode);
-  });
+// Each language's name is written in that language, as the picker shows it
+const LANGUAGES = [
+  { code: 'en', name: 'English', locale: 'en-GB', dir: 'ltr' },
+  { code: 'de', name: 'Deutsch', locale: 'de-DE', dir: 'ltr' },
+  { code: 'ja', name: '日本語',  locale: 'ja-JP', dir: 'ltr' },
+  { code: 'he', name: 'עברית',   locale: 'he-IL', dir: 'rtl' },
+];
 
-  setFormMessages(timer ? (timer.messages || []) : [], timer);
-  document.getElementById('btn-form-delete').classList.toggle('hidden', !isEditing);
+let currentLanguage = LANGUAGES[0];
+let currentLocale   = LANGUAGES[0].locale;
+let pluralRules     = null;   // { cardinal, ordinal } Intl.PluralRules for currentLocale
 
-  formWallpaperSelection    = timer ? (timer.wallpaper || 'none') : 'none';
-  formPendingPhotoBlob      = null;
-  formPendingPhotoTransform = timer ? (timer.photoTransform || null) : null;
+/** The first of the device's preferred languages the app speaks, or English. */
+function detectLanguage() {
+  const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || 'en'];
+  for (const tag of preferred) {
+    const match = LANGUAGES.find(lang => lang.code === getBaseLanguage(tag));
+    if (match) return match.code;
+  }
+  return 'en';
+}
 
-  buildWallpaperPicker(timer);
-  showScreen('form');
+function getBaseLanguage(tag) {
+  return String(tag).toLowerCase().split('-')[0];
 }
 
-async function buildWallpaperPicker(timer) {
-  buildThemeGrid();
+/**
+ * Switch to appState.language (or the device's language) and translate
+ * the static page. Screens showing text from app.js re-render themselves.
+ */
+function applyLanguage() {
+  const code = appState.language || detectLanguage();
+  currentLanguage = LANGUAGES.find(lang => lang.code === code) || LANGUAGES[0];
 
-  if (timer && timer.wallpaper === 'photo') {
-    const dataUrl = await loadPhoto(timer.id);
-    if (dataUrl) {
-      editorState.dataUrl = dataUrl;
-      showPhotoPreview(dataUrl, timer.photoTransform || null);
-    } else {
-      hidePhotoPreview();
-    }
-  } else {
-    editorState.dataUrl = null;
-    hidePhotoPreview();
+  // e.g. en-US or de-AT dates for a device set to them, rather than the language's default
+  const regional = (navigator.languages || []).find(tag => getBaseLanguage(tag) === currentLanguage.code);
+  try {
+    currentLocale = Intl.getCanonicalLocales(regional || currentLanguage.locale)[0];
+  } catch {
+    currentLocale = currentLanguage.locale;
   }
+  pluralRules = {
+    cardinal: new Intl.PluralRules(currentLocale),
+    ordinal:  new Intl.PluralRules(currentLocale, { type: 'ordinal' }),
+  };
 
-  updateThemeGridSelection();
+  document.documentElement.lang = currentLocale;
+  document.documentElement.dir  = currentLanguage.dir;
+  translateStaticText();
 }
 
-function buildThemeGrid() {
-  const gridEl = document.getElementById('wp-theme-grid');
-  gridEl.innerHTML = '';
-
-  WALLPAPER_THEMES.forEach(theme => {
-    const swatch = document.createElement('button');
-    swatch.type = 'button';
-    swatch.className = 'wp-theme-item';
-    swatch.dataset.themeKey = theme.key;
-    swatch.setAttribute('aria-label', theme.label);
-    swatch.style.background = theme.css;
-    swatch.innerHTML = `<span class="wp-selected-tick" aria-hidden="true">\u2713</span><span class="wp-theme-label">${theme.label}</span>`;
-
-    swatch.addEventListener('click', () => {
-      formWallpaperSelection = theme.key;
-      formPendingPhotoBlob   = null;
-      hidePhotoPreview();
-      updateThemeGridSelection();
-      switchWallpaperTab('builtin');
-    });
+/**
+ * Look up text in the current language.
+ * @param {string} key — the English text
+ * @param {object} [params] — values for its {placeholders}; `count` or
+ *        `nth` also picks the plural form. Numbers are formatted for the locale.
+ * @returns {string}
+ */
+function tr(key, params = {}) {
+  const catalogue = TRANSLATIONS[currentLanguage.code] || {};
+  let message = catalogue[key] ?? TRANSLATIONS.en[key] ?? key;
+
+  if (typeof message === 'object') {
+    const rules    = pluralRules || { cardinal: new Intl.PluralRules('en'), ordinal: new Intl.PluralRules('en', { type: 'ordinal' }) };
+    const category = params.nth !== undefined ? rules.ordinal.select(params.nth) : rules.cardinal.select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
 
-    gridEl.appendChild(swatch);
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
   });
 }
 
-function updateThemeGridSelection() {
-  document.querySelectorAll('.wp-theme-item').forEach(el => {
-    el.classList.toggle('selected', el.dataset.themeKey === formWallpaperSelection);
+function translateStaticText(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    // The first pass keeps the English as the key
+    if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim().replace(/\s+/g, ' ');
+    el.textContent = tr(el.dataset.i18n);
   });
-}
-
-function switchWallpaperTab(tabName) {
-  document.querySelectorAll('.wp-tab').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.tab === tabName);
-    btn.setAttribute('aria-selected', btn.dataset.tab === tabName ? 'true' : 'false');
+  [
+    ['[data-i18n-label]',       'i18nLabel',       'aria-label'],
+    ['[data-i18n-placeholder]', 'i18nPlaceholder', 'placeholder'],
+    ['[data-i18n-alt]',         'i18nAlt',         'alt'],
+  ].forEach(([selector, dataKey, attribute]) => {
+    root.querySelectorAll(selector).forEach(el => {
+      if (!el.dataset[dataKey]) el.dataset[dataKey] = el.getAttribute(attribute) || '';
+      el.setAttribute(attribute, tr(el.dataset[dataKey]));
+    });
   });
-  document.getElementById('wp-panel-builtin').classList.toggle('hidden', tabName !== 'builtin');
-  document.getElementById('wp-panel-photo').classList.toggle('hidden', tabName !== 'photo');
 }
 
-function showPhotoPreview(dataUrl, transform = null) {
-  document.getElementById('wp-photo-preview').classList.remove('hidden');
-  document.getElementById('wp-upload-label').classList.add('hidden');
+function formatNumber(n) {
+  return new Intl.NumberFormat(currentLocale).format(n);
+}
 
-  if (transform) {
-    updatePhotoPreviewThumbnail(dataUrl, transform);
-  } else {
-    document.getElementById('wp-preview-img').src = dataUrl;
+/** e.g. "1 year, 2 months and 3 days" — or the locale's way of listing them. */
+function formatList(items) {
+  if (typeof Intl.ListFormat === 'function') {
+    return new Intl.ListFormat(currentLocale, { style: 'long', type: 'conjunction' }).format(items);
   }
+  if (items.length <= 1) return items.join('');
+  return tr('{list} and {last}', { list: items.slice(0, -1).join(', '), last: items[items.length - 1] });
 }
 
-function hidePhotoPreview() {
-  document.getElementById('wp-photo-preview').classList.add('hidden');
-  document.getElementById('wp-upload-label').classList.remove('hidden');
-  document.getElementById('wp-preview-img').src = '';
+/** The language picker: Automatic, then each language by its own name. */
+function renderLanguageSettings() {
+  const select = document.getElementById('input-language');
+  select.innerHTML = '';
+  select.appendChild(new Option(tr('Automatic'), ''));
+  LANGUAGES.forEach(lang => select.appendChild(new Option(lang.name, lang.code)));
+  select.value = appState.language || '';
 }
 
-// -- Milestone checkbox builder --
-
-// -- Custom milestone list --
+function setLanguage(code) {
+  appState.language = LANGUAGES.some(lang => lang.code === code) ? code : null;
+  saveState();
+  applyLanguage();
+  renderRoute();
+}
 
 
 /* ════════════════════════════════════════════════════
-   MESSAGE SYSTEM FORM HELPERS
+   5c. OTHER CALENDARS
+
+   A timer can follow the Hebrew, Islamic (Hijri) or
+   Chinese lunar calendar instead of the Gregorian one —
+   `timer.calendar`, null for Gregorian. Its `date` is
+   still the Gregorian day the date fell on, so counting
+   days works as before; the calendar decides how years,
+   months and yearly anniversaries are reckoned and how
+   the date is shown and picked.
+
+   Conversions come from Intl.DateTimeFormat. A calendar
+   date is { year, month, day }, where month is the name
+   Intl gives it in English — "Adar II", "Sixth Monthbis"
+   — so leap months stay apart from the months they
+   double. Chinese years go by their Gregorian number.
 ════════════════════════════════════════════════════ */
 
-function renderMessageRows(messages, timer = null) {
-  const container = document.getElementById('message-list');
-  container.innerHTML = '';
-
-  const countEl = document.getElementById('message-count');
-  if (countEl) countEl.textContent = `${messages.length} of 5`;
+const CALENDARS = [
+  { code: 'hebrew',           name: 'Hebrew',          meanYearDays: 365.2468 },
+  { code: 'islamic-umalqura', name: 'Islamic (Hijri)', meanYearDays: 354.3671 },
+  { code: 'chinese',          name: 'Chinese lunar',   meanYearDays: 365.2422 },
+];
 
-  if (messages.length === 0) {
-    container.innerHTML = '<p class="custom-milestone-empty">No messages added yet</p>';
-    return;
-  }
+const calendarFormatters = new Map();
+/** Months of each calendar year, keyed "calendar:year" — see getCalendarYearMonths() */
+const calendarYearCache  = new Map();
 
-  messages.forEach((msg, index) => {
-    const row = document.createElement('div');
-    row.className = 'message-row';
+function isCalendarSupported(code) {
+  return new Intl.DateTimeFormat(`en-u-ca-${code}`).resolvedOptions().calendar === code;
+}
 
-    const triggerLabel = msg.triggerDate ? `\uD83D\uDCC5 ${formatDate(msg.triggerDate)}` : 'No date set';
+/** The calendars this browser can convert to, for the form's picker. */
+function getAvailableCalendars() {
+  return CALENDARS.filter(cal => isCalendarSupported(cal.code));
+}
 
-    row.innerHTML = `
+/**
+ * The timer's calendar code, or null for the Gregorian calendar — also
+ * when the browser can't convert to the one it was given elsewhere.
+ */
+function getTimerCalendar(timer) {
+  const calendar = CALENDARS.find(cal => cal.code === timer.calendar);
+  return calendar && isCalendarSupported(calendar.code) ? calendar.code : null;
+}
+
+/**
+ * A local Date's day in the given calendar.
+ * @returns {{ year: number, month: string, day: number }}
+ */
+function getCalendarDate(date, calendar) {
+  if (!calendarFormatters.has(calendar)) {
+    calendarFormatters.set(calendar, new Intl.DateTimeFormat(`en-u-ca-${calendar}`, {
+      timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric',
+    }));
+  }
+  // Noon UTC on the same wall-clock day, so no time zone can move it.
+  // setUTCFullYear() keeps years below 100, which Date.UTC() reads as 19xx.
+  const day = new Date(0);
+  day.setUTCFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+  day.setUTCHours(12);
+  const parts = {};
+  calendarFormatters.get(calendar).formatToParts(day).forEach(part => { parts[part.type] = part.value; });
+  return { year: Number(parts.relatedYear || parts.year), month: parts.month, day: Number(parts.day) };
+}
+
+/** The year a local Date falls in — in the Gregorian calendar when calendar is null. */
+function getCalendarYear(date, calendar) {
+  return calendar ? getCalendarDate(date, calendar).year : date.getFullYear();
+}
+
+/**
+ * The calendar years that fall wholly within Gregorian years 1 to 9999,
+ * the days a timer's date can hold.
+ * @returns {{ min: number, max: number }}
+ */
+function getCalendarYearRange(calendar) {
+  const first = new Date(2000, 0, 1);
+  const last  = new Date(2000, 11, 31);
+  first.setFullYear(1);
+  last.setFullYear(9999);
+  return {
+    min: Math.max(1, getCalendarYear(first, calendar) + 1),
+    max: getCalendarYear(last, calendar) - 1,
+  };
+}
+
+/**
+ * The months of one year of a calendar, in order. Found by walking from
+ * a guess at where the year starts to its first day, then from month to
+ * month — none of these calendars has a month shorter than 29 days.
+ * @returns {{ month: string, days: number, first: Date }[]} first is local midnight on the 1st
+ */
+function getCalendarYearMonths(calendar, year) {
+  const key = `${calendar}:${year}`;
+  if (calendarYearCache.has(key)) return calendarYearCache.get(key);
+
+  const today = parseDateOnly(toLocalDateString(new Date()));
+  const { meanYearDays } = CALENDARS.find(cal => cal.code === calendar);
+  let cursor = addDays(today, Math.round((year - getCalendarYear(today, calendar)) * meanYearDays));
+  while (getCalendarYear(cursor, calendar) >= year) cursor = addDays(cursor, -30);
+  while (getCalendarYear(cursor, calendar) < year)  cursor = addDays(cursor, 1);
+
+  const months = [];
+  for (let parts = getCalendarDate(cursor, calendar); parts.year === year;) {
+    const month = { month: parts.month, days: 29, first: cursor };
+    cursor = addDays(month.first, 29);
+    for (parts = getCalendarDate(cursor, calendar); parts.day !== 1; parts = getCalendarDate(cursor, calendar)) {
+      month.days++;
+      cursor = addDays(cursor, 1);
+    }
+    months.push(month);
+  }
+
+  calendarYearCache.set(key, months);
+  return months;
+}
+
+/**
+ * The month that stands in for a leap month in years without one: Adar I
+ * and Adar II become Adar, Adar becomes Adar II (as for birthdays), and
+ * a Chinese leap month becomes the month it follows.
+ */
+function getStandInMonth(month) {
+  if (month === 'Adar I' || month === 'Adar II') return 'Adar';
+  if (month === 'Adar') return 'Adar II';
+  return month.replace(/bis$/, '');
+}
+
+/**
+ * The local Date (midnight) of a calendar date. A month the year lacks
+ * takes its stand-in, and a day past the end of the month its last day,
+ * as 29 February does in the Gregorian calendar.
+ * @param {string} calendar
+ * @param {{ year: number, month: string, day: number }} calendarDate
+ * @returns {Date}
+ */
+function fromCalendarDate(calendar, { year, month, day }) {
+  const months = getCalendarYearMonths(calendar, year);
+  const target = months.find(m => m.month === month)
+              || months.find(m => m.month === getStandInMonth(month));
+  return addDays(target.first, Math.min(day, target.days) - 1);
+}
+
+/** A Date moved on by whole years of the calendar (Gregorian when null), keeping its time of day. */
+function addCalendarYears(date, years, calendar) {
+  const result = new Date(date);
+  if (!calendar) {
+    result.setFullYear(result.getFullYear() + years);
+    return result;
+  }
+  const from = getCalendarDate(date, calendar);
+  const day  = fromCalendarDate(calendar, { ...from, year: from.year + years });
+  result.setFullYear(day.getFullYear(), day.getMonth(), day.getDate());
+  return result;
+}
+
+/** A Date moved on by whole months of the calendar (Gregorian when null), keeping its time of day. */
+function addCalendarMonths(date, months, calendar) {
+  const result = new Date(date);
+  if (!calendar) {
+    result.setMonth(result.getMonth() + months);
+    return result;
+  }
+  const from = getCalendarDate(date, calendar);
+  let year   = from.year;
+  let list   = getCalendarYearMonths(calendar, year);
+  let index  = list.findIndex(m => m.month === from.month) + months;
+  while (index >= list.length) {
+    index -= list.length;
+    list   = getCalendarYearMonths(calendar, ++year);
+  }
+  const day = fromCalendarDate(calendar, { year, month: list[index].month, day: from.day });
+  result.setFullYear(day.getFullYear(), day.getMonth(), day.getDate());
+  return result;
+}
+
+// -- The form's date picker --
+
+/**
+ * Show the calendar's day, month and year pickers in place of the date
+ * input, or the date input alone for the Gregorian calendar. The date
+ * input keeps the chosen day either way, so the rest of the form reads
+ * it as usual.
+ */
+function updateFormCalendar() {
+  const calendar  = document.getElementById('input-calendar').value || null;
+  const dateInput = document.getElementById('input-date');
+  dateInput.classList.toggle('hidden', Boolean(calendar));
+  document.getElementById('calendar-date-row').classList.toggle('hidden', !calendar);
+  document.getElementById('calendar-date-hint').classList.toggle('hidden', !calendar);
+  if (!calendar) return;
+
+  if (!dateInput.value) dateInput.value = toLocalDateString(new Date());
+  const { year, month, day } = getCalendarDate(parseDateOnly(dateInput.value), calendar);
+  const { min, max }         = getCalendarYearRange(calendar);
+  const yearInput            = document.getElementById('input-calendar-year');
+  yearInput.min   = min;
+  yearInput.max   = max;
+  yearInput.value = year;
+  renderFormCalendarMonths(calendar, year, month, day);
+}
+
+/** Fill the month and day pickers for one year, selecting the given month and day. */
+function renderFormCalendarMonths(calendar, year, month, day) {
+  const months    = getCalendarYearMonths(calendar, year);
+  const selected  = months.find(m => m.month === month) || months.find(m => m.month === getStandInMonth(month));
+  if (!selected) return;
+  const monthName = new Intl.DateTimeFormat(currentLocale, { calendar, month: 'long' });
+
+  const monthSelect = document.getElementById('input-calendar-month');
+  monthSelect.innerHTML = '';
+  months.forEach(m => monthSelect.appendChild(new Option(monthName.format(m.first), m.month)));
+  monthSelect.value = selected.month;
+
+  const daySelect = document.getElementById('input-calendar-day');
+  daySelect.innerHTML = '';
+  for (let d = 1; d <= selected.days; d++) daySelect.appendChild(new Option(formatNumber(d), d));
+  daySelect.value = Math.min(day, selected.days);
+
+  const date = addDays(selected.first, Number(daySelect.value) - 1);
+  document.getElementById('input-date').value = toLocalDateString(date);
+  document.getElementById('calendar-date-hint').textContent =
+    tr('{date} on the Gregorian calendar', { date: formatDate(toLocalDateString(date)) });
+}
+
+/** A change to one of the calendar pickers. */
+function handleFormCalendarInput() {
+  const calendar     = document.getElementById('input-calendar').value;
+  const year         = Number(document.getElementById('input-calendar-year').value);
+  const { min, max } = getCalendarYearRange(calendar);
+  // Leave the pickers as they are while the year box is empty or not a year the date can hold
+  if (!Number.isInteger(year) || year < min || year > max) return;
+
+  renderFormCalendarMonths(calendar, year,
+    document.getElementById('input-calendar-month').value,
+    Number(document.getElementById('input-calendar-day').value));
+}
+
+function renderFormCalendarOptions(timer) {
+  const select = document.getElementById('input-calendar');
+  select.innerHTML = '';
+  select.appendChild(new Option(tr('Gregorian'), ''));
+  getAvailableCalendars().forEach(cal => select.appendChild(new Option(tr(cal.name), cal.code)));
+  select.value = (timer && getTimerCalendar(timer)) || '';
+  updateFormCalendar();
+}
+
+
+/* ════════════════════════════════════════════════════
+   6. SCREEN ROUTER
+
+   Every screen has a URL in the hash, so reloads,
+   bookmarks, links and the back gesture all work:
+
+     #/               timer list
+     #/detail/<id>    one timer
+     #/edit/<id>      edit form for a timer
+     #/new            new timer form
+     #/settings       settings
+     #/import         import preview  (only while a file is loaded)
+     #/shared         share link preview  (only while a link is open)
+
+   Navigation pushes History API entries carrying a
+   `depth`, so in-app back buttons can go back through
+   history when there is somewhere to go, and replace
+   the entry instead on a cold start from a deep link.
+   renderRoute() is the only place screens are entered
+   from, and showScreen() starts the detail ticker on
+   the way in and stops it on the way out.
+════════════════════════════════════════════════════ */
+
+let currentScreen = 'list';
+
+function showScreen(name) {
+  currentScreen = name;
+  document.querySelectorAll('.screen').forEach(el => {
+    el.classList.toggle('active', el.id === `screen-${name}`);
+  });
+  if (name === 'detail') startTicker();
+  else stopTicker();
+  // Undo only applies to the list the timer disappeared from
+  if (name !== 'list') hideUndoToast();
+  announceEditing(name === 'form' ? editingTimerId : null);
+}
+
+/** Routes that point at a timer and need it to exist. */
+const TIMER_ROUTES = ['detail', 'edit'];
+
+/**
+ * Read a route from a location hash. Anything unrecognised is the list.
+ * @param {string} [hash]
+ * @returns {{ name: string, id: string|null }}
+ */
+function parseRoute(hash = location.hash) {
+  const [name = '', rawId] = hash.replace(/^#\/?/, '').split('/');
+  const id = rawId ? decodeURIComponent(rawId) : null;
+
+  if (TIMER_ROUTES.includes(name)) return id ? { name, id } : { name: 'list', id: null };
+  if (['new', 'settings', 'import', 'shared', 'trash', 'archive'].includes(name)) return { name, id: null };
+  return { name: 'list', id: null };
+}
+
+function buildRouteHash(name, id = null) {
+  if (name === 'list') return '#/';
+  return `#/${name}${id ? `/${encodeURIComponent(id)}` : ''}`;
+}
+
+/**
+ * Go to a screen, adding a history entry unless `replace` is set.
+ * @param {string}  name
+ * @param {string|null} [id]
+ * @param {{ replace?: boolean }} [options]
+ */
+function navigate(name, id = null, { replace = false } = {}) {
+  const depth = (history.state && history.state.depth) || 0;
+  const hash  = buildRouteHash(name, id);
+
+  if (replace) history.replaceState({ depth }, '', hash);
+  else         history.pushState({ depth: depth + 1 }, '', hash);
+  renderRoute();
+}
+
+/**
+ * Leave the current screen the way the back gesture would, or — when
+ * the app was opened straight onto this screen — replace it with the
+ * given fallback so the user isn't sent out of the app.
+ */
+function goBack(fallbackName = 'list', fallbackId = null) {
+  if (history.state && history.state.depth > 0) history.back();
+  else navigate(fallbackName, fallbackId, { replace: true });
+}
+
+/** Show whatever screen the current URL points at. */
+function renderRoute() {
+  if (handleShareLink()) return;
+
+  const route = parseRoute();
+
+  // Tidy unknown or empty hashes to the route actually shown
+  const hash = buildRouteHash(route.name, route.id);
+  if (location.hash !== hash) history.replaceState(history.state, '', hash);
+
+  // A timer that has since been deleted, or a preview with nothing to show
+  const timerMissing   = TIMER_ROUTES.includes(route.name) && !appState.timers.some(t => t.id === route.id);
+  const previewMissing = (route.name === 'import' && !pendingImport) || (route.name === 'shared' && !sharedTimer);
+  if (timerMissing || previewMissing) {
+    if (timerMissing && appState.activeTimerId === route.id) {
+      appState.activeTimerId = null;
+      saveState();
+    }
+    navigate('list', null, { replace: true });
+    return;
+  }
+
+  // A private timer while locked — ask first, then show it if still wanted
+  const routeTimer = TIMER_ROUTES.includes(route.name) && appState.timers.find(t => t.id === route.id);
+  if (routeTimer && isTimerHidden(routeTimer)) {
+    unlockApp({ title: tr('Private Timer') }).then(unlocked => {
+      const current = parseRoute();
+      if (current.name !== route.name || current.id !== route.id) return; // moved on meanwhile
+      if (unlocked) renderRoute();
+      else navigate('list', null, { replace: true });
+    });
+    return;
+  }
+
+  switch (route.name) {
+    case 'detail':   showDetailScreen(route.id);  break;
+    case 'edit':     showFormScreen(route.id);    break;
+    case 'new':      showFormScreen(null);        break;
+    case 'settings': showSettingsScreen();        break;
+    case 'import':   showImportScreen();          break;
+    case 'shared':   showSharedTimerScreen();     break;
+    case 'trash':    showTrashScreen();           break;
+    case 'archive':  showArchiveScreen();         break;
+    default:
+      renderTimerList();
+      showScreen('list');
+  }
+}
+
+
+/* ════════════════════════════════════════════════════
+   7. TICKER
+════════════════════════════════════════════════════ */
+
+let tickerHandle = null;
+
+/**
+ * Timers with a time of day show a live seconds display, so they tick every
+ * second. Date-only timers only change at midnight; once a minute is plenty.
+ */
+function startTicker() {
+  stopTicker();
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  tickerHandle = setInterval(updateDetailDisplay, timer && timer.time ? 1000 : 60 * 1000);
+}
+
+function stopTicker() {
+  if (tickerHandle !== null) { clearInterval(tickerHandle); tickerHandle = null; }
+}
+
+
+/* ════════════════════════════════════════════════════
+   8. RENDERING — Timer List Screen
+════════════════════════════════════════════════════ */
+
+const LIST_SORTS = {
+  soonest: 'Soonest',
+  days:    'Most days',
+  name:    'Name',
+  created: 'Newest',
+  manual:  'My order',
+};
+
+const LIST_GROUPS = [
+  { key: 'pinned',   label: 'Pinned'      },
+  { key: 'upcoming', label: 'Upcoming'    },
+  { key: 'countup',  label: 'Counting up' },
+  { key: 'arrived',  label: 'Arrived'     },
+  { key: 'private',  label: 'Private'     },
+];
+
+/** Search text typed on the list. Not saved — a fresh launch shows every timer. */
+let listSearchQuery = '';
+
+function getTimerGroup(timer) {
+  if (timer.pinned)             return 'pinned';
+  if (isTimerHidden(timer))     return 'private';
+  if (timer.mode === 'countup') return 'countup';
+  return getTimerValues(timer).isExpired ? 'arrived' : 'upcoming';
+}
+
+/**
+ * Order timers for the list.
+ *   soonest — upcoming countdowns first, soonest at the top (recurring
+ *             timers by their next occurrence), then the rest in the
+ *             order they were added
+ *   days    — most days (to go or so far) first, arrived countdowns last
+ *   name    — A to Z, numbers in natural order
+ *   created — newest first; timers from before createdAt keep their order
+ *   manual  — the order of appState.timers, as arranged by dragging
+ * Pinned timers always come first, in the same order among themselves.
+ * Hidden private timers follow the others in stored order, as where
+ * they sorted would give their dates or names away.
+ * @param {object[]} timers
+ * @param {string}   [sort]
+ * @returns {object[]}
+ */
+function sortTimersForList(timers, sort = appState.listView.sort) {
+  const entries = timers.map((timer, index) => {
+    const { totalDays, isExpired } = getTimerValues(timer);
+    return {
+      timer,
+      index,
+      hidden:    sort !== 'manual' && isTimerHidden(timer),
+      totalDays: isExpired ? -1 : totalDays,
+      target:    timer.mode === 'countdown' && !isExpired ? getTimerTarget(timer) : null,
+    };
+  });
+
+  const compare = {
+    soonest: (a, b) => {
+      if (a.target && b.target) return a.target - b.target;
+      if (a.target) return -1;
+      if (b.target) return 1;
+      return 0;
+    },
+    days:    (a, b) => b.totalDays - a.totalDays,
+    name:    (a, b) => a.timer.name.localeCompare(b.timer.name, undefined, { numeric: true, sensitivity: 'base' }),
+    created: (a, b) => (b.timer.createdAt || 0) - (a.timer.createdAt || 0),
+    manual:  () => 0,
+  }[sort] || (() => 0);
+
+  return entries
+    .sort((a, b) => (Boolean(b.timer.pinned) - Boolean(a.timer.pinned)) || (a.hidden - b.hidden)
+      || (a.hidden ? 0 : compare(a, b)) || (a.index - b.index))
+    .map(entry => entry.timer);
+}
+
+/** Lower-case and strip accents so "cafe" finds "Café". */
+function normaliseSearchText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/** Does the timer's name, a tag or any of its message texts contain the query? */
+function timerMatchesSearch(timer, query) {
+  const needle = normaliseSearchText(query.trim());
+  if (!needle) return true;
+  if (isTimerHidden(timer)) return false;
+  return [timer.name, ...(timer.tags || []), ...(timer.messages || []).map(msg => msg.text)]
+    .some(text => normaliseSearchText(text).includes(needle));
+}
+
+/** Tags compare without regard to case — "family" and "Family" are one tag. */
+function timerHasTag(timer, tag) {
+  const key = tag.toLowerCase();
+  return (timer.tags || []).some(t => t.toLowerCase() === key);
+}
+
+/**
+ * Every tag in use, A to Z — leaving out those of hidden private timers.
+ * Where timers spell a tag differently the first spelling found wins.
+ * @returns {string[]}
+ */
+function getAllTags() {
+  const tags = new Map();
+  getActiveTimers().filter(timer => !isTimerHidden(timer)).forEach(timer => (timer.tags || []).forEach(tag => {
+    if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  }));
+  return [...tags.values()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+/** The tag tab in use, or null if none is — or its last timer has lost the tag. */
+function getActiveListTag() {
+  const tag = appState.listView.tag;
+  if (!tag) return null;
+  return getAllTags().find(t => t.toLowerCase() === tag.toLowerCase()) || null;
+}
+
+function renderTagTabs(activeTag) {
+  const tabsEl  = document.getElementById('tag-tabs');
+  const shareEl = document.getElementById('btn-share-collection');
+  const tags    = getAllTags();
+
+  tabsEl.classList.toggle('hidden', tags.length === 0);
+  tabsEl.innerHTML = '';
+  [null, ...tags].forEach(tag => {
+    const btn    = document.createElement('button');
+    const active = tag === activeTag;
+    btn.type        = 'button';
+    btn.className   = `tag-tab ${active ? 'active' : ''}`;
+    btn.textContent = tag === null ? tr('All') : tag;
+    btn.setAttribute('role', 'tab');
+    btn.setAttribute('aria-selected', String(active));
+    btn.addEventListener('click', () => setListTag(tag));
+    tabsEl.appendChild(btn);
+  });
+
+  shareEl.classList.toggle('hidden', !activeTag);
+  shareEl.textContent = activeTag ? `\u2B06 ${tr('Share \u201C{tag}\u201D collection', { tag: activeTag })}` : '';
+}
+
+/**
+ * @param {object}  timer
+ * @param {boolean} reorderable — show a drag handle (manual order, no search)
+ */
+function buildTimerCard(timer, reorderable) {
+  if (isTimerHidden(timer)) return buildPrivateTimerCard(timer, reorderable);
+
+  const { totalDays, isExpired } = getTimerValues(timer);
+  const occurrence               = formatOccurrenceLabel(timer);
+  const li = document.createElement('li');
+  li.className = 'timer-card';
+  li.setAttribute('role', 'listitem');
+  li.dataset.id = timer.id;
+
+  let thumbStyle = 'background: var(--border);';
+  if (timer.wallpaper && timer.wallpaper !== 'none') {
+    if (timer.wallpaper === 'photo') {
+      thumbStyle = 'background: linear-gradient(180deg, #f5a623, #e05c5c);';
+    } else {
+      const theme = getThemeByKey(timer.wallpaper);
+      if (theme) thumbStyle = `background: ${theme.css};`;
+    }
+  }
+
+  li.innerHTML = `
+    ${reorderable ? `<button type="button" class="timer-card-handle" aria-label="${escapeHtml(tr('Move {name} \u2014 drag, or use the arrow keys', { name: timer.name }))}">\u2261</button>` : ''}
+    <div class="timer-card-thumb" style="${thumbStyle}" aria-hidden="true"></div>
+    <div class="timer-card-info">
+      <div class="timer-card-name">${escapeHtml(timer.name)}</div>
+      <div class="timer-card-sub">${escapeHtml(formatTimerSpan(timer))}</div>
+      ${isRecurringTimer(timer) ? `<div class="timer-card-repeat">\u21BB ${occurrence || tr('Repeats yearly')}</div>` : ''}
+      ${(timer.tags || []).length ? `<div class="timer-card-tags">${timer.tags.map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+    </div>
+    <button type="button" class="timer-card-pin ${timer.pinned ? 'active' : ''}" aria-pressed="${Boolean(timer.pinned)}" aria-label="${timer.pinned ? tr('Unpin') : tr('Pin to top')}">\uD83D\uDCCC</button>
+    <div>
+      <div class="timer-card-days">${isExpired ? '\u2014' : formatNumber(totalDays)}</div>
+      <div class="timer-card-days-label">${isExpired ? tr('arrived') : tr(timer.mode === 'countdown' ? 'days left' : 'days', { count: totalDays })}</div>
+    </div>
+  `;
+
+  wireTimerCard(li, timer, reorderable);
+  return li;
+}
+
+/** A private timer while the app is locked: no name, date, tags or numbers. */
+function buildPrivateTimerCard(timer, reorderable) {
+  const li = document.createElement('li');
+  li.className = 'timer-card';
+  li.setAttribute('role', 'listitem');
+  li.dataset.id = timer.id;
+
+  li.innerHTML = `
+    ${reorderable ? `<button type="button" class="timer-card-handle" aria-label="${escapeHtml(tr('Move {name} \u2014 drag, or use the arrow keys', { name: tr(PRIVATE_TIMER_NAME) }))}">\u2261</button>` : ''}
+    <div class="timer-card-thumb" style="background: var(--border);" aria-hidden="true"></div>
+    <div class="timer-card-info">
+      <div class="timer-card-name">\uD83D\uDD12 ${escapeHtml(tr(PRIVATE_TIMER_NAME))}</div>
+      <div class="timer-card-sub">${escapeHtml(tr('Enter the passcode to see it'))}</div>
+    </div>
+    <button type="button" class="timer-card-pin ${timer.pinned ? 'active' : ''}" aria-pressed="${Boolean(timer.pinned)}" aria-label="${timer.pinned ? tr('Unpin') : tr('Pin to top')}">\uD83D\uDCCC</button>
+    <div>
+      <div class="timer-card-days">\u2022\u2022\u2022</div>
+      <div class="timer-card-days-label">${escapeHtml(tr('days', { count: 0 }))}</div>
+    </div>
+  `;
+
+  wireTimerCard(li, timer, reorderable);
+  return li;
+}
+
+function wireTimerCard(li, timer, reorderable) {
+  li.addEventListener('click', () => openDetailScreen(timer.id));
+  li.querySelector('.timer-card-pin').addEventListener('click', (e) => {
+    e.stopPropagation();
+    togglePinned(timer.id);
+  });
+
+  if (reorderable) {
+    const handle = li.querySelector('.timer-card-handle');
+    handle.addEventListener('click',         (e) => e.stopPropagation());
+    handle.addEventListener('pointerdown',   onCardDragStart);
+    handle.addEventListener('pointermove',   onCardDragMove);
+    handle.addEventListener('pointerup',     onCardDragEnd);
+    handle.addEventListener('pointercancel', onCardDragEnd);
+    handle.addEventListener('keydown',       onCardHandleKeyDown);
+  }
+}
+
+function renderTimerList() {
+  const listEl    = document.getElementById('timer-list');
+  const emptyEl   = document.getElementById('empty-state');
+  const toolbarEl = document.getElementById('list-toolbar');
+  const active    = getActiveTimers();
+  const hasTimers = active.length > 0;
+
+  emptyEl.classList.toggle('hidden', hasTimers);
+  toolbarEl.classList.toggle('hidden', !hasTimers);
+  document.getElementById('input-list-sort').value    = appState.listView.sort;
+  document.getElementById('input-list-group').checked = appState.listView.group;
+  listEl.innerHTML = '';
+
+  const activeTag = getActiveListTag();
+  renderTagTabs(activeTag);
+
+  const archivedCount = appState.timers.length - active.length;
+  const archiveBtn    = document.getElementById('btn-open-archive');
+  archiveBtn.classList.toggle('hidden', archivedCount === 0);
+  archiveBtn.textContent = `\uD83D\uDDC4 ${tr('Archive ({count})', { count: archivedCount })}`;
+
+  const timers = sortTimersForList(active.filter(t =>
+    (!activeTag || (!isTimerHidden(t) && timerHasTag(t, activeTag))) && timerMatchesSearch(t, listSearchQuery)));
+
+  if (hasTimers && timers.length === 0) {
+    const li = document.createElement('li');
+    li.className   = 'timer-list-empty';
+    li.textContent = activeTag
+      ? tr('No \u201C{tag}\u201D timers match \u201C{query}\u201D', { tag: activeTag, query: listSearchQuery.trim() })
+      : tr('No timers match \u201C{query}\u201D', { query: listSearchQuery.trim() });
+    listEl.appendChild(li);
+    return;
+  }
+
+  // Dragging only makes sense when the list shows the stored order, unfiltered
+  const reorderable = appState.listView.sort === 'manual' && !listSearchQuery.trim();
+
+  if (!appState.listView.group) {
+    timers.forEach(timer => {
+      const card = buildTimerCard(timer, reorderable);
+      card.dataset.section = timer.pinned ? 'pinned' : 'all';
+      listEl.appendChild(card);
+    });
+    return;
+  }
+
+  LIST_GROUPS.forEach(group => {
+    const members = timers.filter(t => getTimerGroup(t) === group.key);
+    if (members.length === 0) return;
+
+    const header = document.createElement('li');
+    header.className = 'timer-group-header';
+    header.setAttribute('role', 'heading');
+    header.setAttribute('aria-level', '2');
+    header.innerHTML = `${tr(group.label)} <span class="timer-group-count">${members.length}</span>`;
+    listEl.appendChild(header);
+
+    members.forEach(timer => {
+      const card = buildTimerCard(timer, reorderable);
+      card.dataset.section = group.key;
+      listEl.appendChild(card);
+    });
+  });
+}
+
+function setListSort(sort) {
+  if (!LIST_SORTS[sort]) return;
+  appState.listView.sort = sort;
+  saveState();
+  renderTimerList();
+}
+
+function setListGrouping(group) {
+  appState.listView.group = Boolean(group);
+  saveState();
+  renderTimerList();
+}
+
+/** @param {string|null} tag — null shows every timer */
+function setListTag(tag) {
+  appState.listView.tag = tag;
+  saveState();
+  renderTimerList();
+}
+
+/** Export the timers under the active tag tab as one shareable file. */
+function shareTagCollection() {
+  const tag = getActiveListTag();
+  if (!tag) return;
+  exportTimers(sortTimersForList(getActiveTimers().filter(t => timerHasTag(t, tag))), tag);
+}
+
+function togglePinned(timerId) {
+  const timer = appState.timers.find(t => t.id === timerId);
+  if (!timer) return;
+  timer.pinned = !timer.pinned;
+  saveState();
+  renderTimerList();
+}
+
+/*
+ * Drag to reorder. The card follows the pointer through the DOM, moving
+ * only among cards of the same section (pinned, or the same group) so it
+ * can't be dropped somewhere the sort would immediately move it from.
+ * On release the on-screen order is written back to appState.timers.
+ */
+let cardDrag = null;
+
+function getSectionCards(card) {
+  return [...card.parentElement.querySelectorAll('.timer-card')]
+    .filter(el => el.dataset.section === card.dataset.section);
+}
+
+function onCardDragStart(e) {
+  if (e.button !== undefined && e.button !== 0) return;
+  const card = e.currentTarget.closest('.timer-card');
+  e.preventDefault();
+  e.currentTarget.setPointerCapture(e.pointerId);
+  cardDrag = { card, pointerId: e.pointerId, moved: false };
+  card.classList.add('dragging');
+}
+
+function onCardDragMove(e) {
+  if (!cardDrag || e.pointerId !== cardDrag.pointerId) return;
+  const { card } = cardDrag;
+  const others   = getSectionCards(card).filter(el => el !== card);
+
+  // The first card whose midpoint is below the pointer is the one to sit in front of
+  const next = others.find(el => {
+    const rect = el.getBoundingClientRect();
+    return e.clientY < rect.top + rect.height / 2;
+  });
+
+  if (next && card.nextElementSibling !== next) {
+    next.before(card);
+    cardDrag.moved = true;
+  } else if (!next && others.length && others[others.length - 1].nextElementSibling !== card) {
+    others[others.length - 1].after(card);
+    cardDrag.moved = true;
+  }
+}
+
+function onCardDragEnd(e) {
+  if (!cardDrag || e.pointerId !== cardDrag.pointerId) return;
+  const { card, moved } = cardDrag;
+  cardDrag = null;
+  card.classList.remove('dragging');
+  if (moved) saveListOrder();
+}
+
+/** Arrow keys move the focused card one place within its section. */
+function onCardHandleKeyDown(e) {
+  if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+  e.preventDefault();
+
+  const card     = e.currentTarget.closest('.timer-card');
+  const siblings = getSectionCards(card);
+  const index    = siblings.indexOf(card);
+  const target   = siblings[e.key === 'ArrowUp' ? index - 1 : index + 1];
+  if (!target) return;
+
+  if (e.key === 'ArrowUp') target.before(card);
+  else                     target.after(card);
+
+  saveListOrder();
+  const moved = document.querySelector(`.timer-card[data-id="${CSS.escape(card.dataset.id)}"] .timer-card-handle`);
+  if (moved) moved.focus();
+}
+
+/**
+ * Store the on-screen card order. Every timer shown takes the next of
+ * the slots the shown timers occupied in appState.timers, so any timer
+ * hidden from the list keeps its place.
+ */
+function saveListOrder() {
+  const ids   = [...document.querySelectorAll('#timer-list .timer-card')].map(el => el.dataset.id);
+  const shown = new Set(ids);
+  const queue = ids.map(id => appState.timers.find(t => t.id === id));
+
+  appState.timers = appState.timers.map(t => (shown.has(t.id) ? queue.shift() : t));
+  saveState();
+  renderTimerList();
+}
+
+
+/* ════════════════════════════════════════════════════
+   9. RENDERING — Detail Screen
+════════════════════════════════════════════════════ */
+
+async function applyTransformToCanvas(dataUrl, transform) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const vw = window.innerWidth;
+      const vh = window.innerHeight;
+
+      const canvas  = document.createElement('canvas');
+      canvas.width  = vw;
+      canvas.height = vh;
+      const ctx     = canvas.getContext('2d');
+
+      const scaledW    = img.naturalWidth  * transform.scale;
+      const scaledH    = img.naturalHeight * transform.scale;
+      const imgCentreX = vw / 2 + transform.x;
+      const imgCentreY = vh / 2 + transform.y;
+
+      ctx.drawImage(img, imgCentreX - scaledW / 2, imgCentreY - scaledH / 2, scaledW, scaledH);
+      resolve(canvas.toDataURL('image/jpeg', 0.92));
+    };
+    img.onerror = () => resolve(dataUrl);
+    img.src = dataUrl;
+  });
+}
+
+async function applyDetailWallpaper(timer) {
+  const wallpaperEl = document.getElementById('detail-wallpaper');
+  const screenEl    = document.getElementById('screen-detail');
+
+  if (!timer.wallpaper || timer.wallpaper === 'none') {
+    wallpaperEl.style.background = '';
+    screenEl.classList.add('no-wallpaper');
+    return;
+  }
+
+  let css = null;
+
+  if (timer.wallpaper === 'photo') {
+    const dataUrl = await loadPhoto(timer.id);
+    if (dataUrl) {
+      if (timer.photoTransform) {
+        const croppedUrl = await applyTransformToCanvas(dataUrl, timer.photoTransform);
+        css = `url('${croppedUrl}') center / cover no-repeat`;
+      } else {
+        css = `url('${dataUrl}') center / cover no-repeat`;
+      }
+    }
+  } else {
+    const theme = getThemeByKey(timer.wallpaper);
+    if (theme) css = theme.css;
+  }
+
+  if (css) {
+    wallpaperEl.style.background = css;
+    screenEl.classList.remove('no-wallpaper');
+  } else {
+    wallpaperEl.style.background = '';
+    screenEl.classList.add('no-wallpaper');
+  }
+}
+
+function openDetailScreen(timerId) {
+  navigate('detail', timerId);
+}
+
+function showDetailScreen(timerId) {
+  const timer = appState.timers.find(t => t.id === timerId);
+  if (!timer) return;
+
+  appState.activeTimerId = timerId;
+  saveState();
+
+  // Populate both the small header name and the large name below the countdown
+  document.getElementById('detail-timer-name').textContent       = timer.name;
+  document.getElementById('detail-timer-name-large').textContent = timer.name;
+
+  updateDetailHeading(timer);
+  document.getElementById('countdown-clock').classList.toggle('hidden', !timer.time);
+
+  // Re-rendering the timer already on screen (e.g. after a save in another
+  // window) leaves the slider where it is; a newly opened timer starts at years
+  if (!(currentScreen === 'detail' && sliderTimerId === timerId)) {
+    sliderPosition = 0;
+    const sliderEl = document.getElementById('unit-slider');
+    if (sliderEl) sliderEl.value = 0;
+  }
+  sliderTimerId = timerId;
+
+  updateDetailDisplay();
+  showScreen('detail');
+
+  applyDetailWallpaper(timer).catch(err => {
+    console.warn('[Milestone] Wallpaper apply failed:', err);
+  });
+}
+
+/**
+ * Mode label and target date above the hero. Refreshed on every tick so a
+ * recurring timer rolls over to its next occurrence while on screen.
+ */
+function updateDetailHeading(timer) {
+  document.getElementById('detail-mode-label').textContent  = formatModeLabel(timer);
+  document.getElementById('detail-target-date').textContent = formatTimerDate(timer);
+}
+
+/** e.g. "Counting down to the 12th anniversary", shown above the timer's date. */
+function formatModeLabel(timer) {
+  const occurrence = formatOccurrenceLabel(timer);
+  if (occurrence)                 return tr('Counting down to the {occurrence}', { occurrence });
+  if (timer.mode === 'countdown') return tr('Counting down to');
+  return tr('Counting up from');
+}
+
+/**
+ * Slider position: 0=Years, 1=Months, 2=Weeks, 3=Days.
+ * Units to the left of the chosen position display as 0.
+ */
+let sliderPosition = 0;
+let sliderTimerId  = null;  // the timer sliderPosition was set on
+
+function applySlider(vals) {
+  const { years, months, weeks, days, totalDays, isExpired } = vals;
+  if (isExpired) return { dispYears: 0, dispMonths: 0, dispWeeks: 0, dispDays: 0 };
+
+  if (sliderPosition === 0) {
+    return { dispYears: years, dispMonths: months, dispWeeks: weeks, dispDays: days };
+
+  } else if (sliderPosition === 1) {
+    // Months is largest — roll all years into months
+    const timer                   = appState.timers.find(t => t.id === appState.activeTimerId);
+    const { fromDate, toDate }    = getTimerRange(timer);
+    const { months, afterMonths } = wholeMonthsBetween(fromDate, toDate, getTimerCalendar(timer));
+    const remDays                 = wholeDaysBetween(afterMonths, toDate).days;
+
+    return { dispYears: 0, dispMonths: months, dispWeeks: Math.floor(remDays / 7), dispDays: remDays % 7 };
+
+  } else if (sliderPosition === 2) {
+    return { dispYears: 0, dispMonths: 0, dispWeeks: Math.floor(totalDays / 7), dispDays: totalDays % 7 };
+
+  } else {
+    return { dispYears: 0, dispMonths: 0, dispWeeks: 0, dispDays: totalDays };
+  }
+}
+
+function updateDetailDisplay() {
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  if (!timer) return;
+
+  const vals = getTimerValues(timer);
+  const { isExpired } = vals;
+  const { dispYears, dispMonths, dispWeeks, dispDays } = applySlider(vals);
+
+  if (isRecurringTimer(timer)) updateDetailHeading(timer);
+
+  document.getElementById('disp-years').textContent  = isExpired ? '\u2014' : String(dispYears);
+  document.getElementById('disp-months').textContent = isExpired ? '--'     : String(dispMonths);
+  document.getElementById('disp-weeks').textContent  = isExpired ? '--'     : String(dispWeeks);
+  document.getElementById('disp-days').textContent   = isExpired ? '--'     : String(dispDays);
+
+  if (timer.time) {
+    document.getElementById('disp-hours').textContent   = isExpired ? '--' : String(vals.hours).padStart(2, '0');
+    document.getElementById('disp-minutes').textContent = isExpired ? '--' : String(vals.minutes).padStart(2, '0');
+    document.getElementById('disp-seconds').textContent = isExpired ? '--' : String(vals.seconds).padStart(2, '0');
+  }
+
+  updateDetailMessage(timer);
+  updateDetailArchivePanel(timer);
+  if (!timer.archivedAt) checkMilestones([timer]);
+}
+
+
+/* ════════════════════════════════════════════════════
+   9b. SHARE TIMER
+
+   Uses the Web Share API (navigator.share).
+   On iOS this opens the native share sheet — Messages,
+   Mail, AirDrop, WhatsApp, etc.
+   Falls back to clipboard copy on desktop browsers.
+════════════════════════════════════════════════════ */
+
+/**
+ * Build a readable time string, e.g. "1 year, 2 months and 3 days".
+ * Omits any unit that is zero. Hours and minutes only appear for
+ * timers with a time of day.
+ * @param {{ years, months, weeks, days, hours, minutes }} vals
+ * @returns {string}
+ */
+function buildTimeString(vals) {
+  const { years, months, weeks, days, hours = 0, minutes = 0 } = vals;
+  const parts = [
+    [years,   '{count} years'],
+    [months,  '{count} months'],
+    [weeks,   '{count} weeks'],
+    [days,    '{count} days'],
+    [hours,   '{count} hours'],
+    [minutes, '{count} minutes'],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, key]) => tr(key, { count }));
+
+  if (parts.length === 0) return tr('today');
+  return formatList(parts);
+}
+
+/**
+ * Share the currently viewed timer via the native share sheet.
+ * The text ends with a link that adds the timer when opened (section 9d).
+ * Falls back to clipboard copy if the Web Share API is unavailable.
+ */
+async function shareTimer() {
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  if (!timer) return;
+  if (isTimerHidden(timer) && !(await unlockApp({ title: tr('Private Timer') }))) return;
+
+  const vals       = getTimerValues(timer);
+  const date       = formatTimerDate(timer);
+  const occurrence = formatOccurrenceLabel(timer);
+  const countdown  = timer.mode === 'countdown';
+  const time       = buildTimeString(vals);
+  const isToday    = !vals.isExpired && time === tr('today');
+
+  let lines;
+  if (vals.isExpired) {
+    lines = [tr(countdown ? 'Counting down to {date}' : 'Counting up from {date}', { date }), tr('This date has now passed.')];
+  } else if (occurrence) {
+    lines = [
+      tr('Counting down to the {occurrence}, {date}', { occurrence, date }),
+      isToday ? tr('The {occurrence} is today!', { occurrence }) : tr('{time} until the {occurrence}', { time, occurrence }),
+    ];
+  } else {
+    lines = [tr(countdown ? 'Counting down to {date}' : 'Counting up from {date}', { date }), tr(countdown ? '{time} to go' : '{time} so far', { time })];
+  }
+
+  const bodyText = `${timer.name}\n${lines.join('\n')}\n\n${tr('Add it to Milestone: {link}', { link: buildShareLink(timer) })}`;
+
+  if (navigator.share) {
+    navigator.share({ title: timer.name, text: bodyText }).catch(err => {
+      if (err.name !== 'AbortError') console.warn('[Milestone] Share failed:', err);
+    });
+  } else {
+    navigator.clipboard.writeText(bodyText).then(() => {
+      alert(tr('Timer details copied to clipboard.'));
+    }).catch(() => {
+      alert(bodyText);
+    });
+  }
+}
+
+
+/* ════════════════════════════════════════════════════
+   9c. SHARE AS IMAGE
+
+   Draws the detail screen onto a canvas as a PNG card:
+   wallpaper (theme gradient or the cropped photo from
+   applyTransformToCanvas), the same scrim, the timer
+   name, the date line and the four time blocks for the
+   current slider position. The PNG then goes through
+   saveFileToDevice, the same share/download path as a
+   backup. Cards are drawn at a fixed pixel size per
+   layout so they look the same from any device.
+════════════════════════════════════════════════════ */
+
+const IMAGE_CARD_LAYOUTS = {
+  story:     { label: 'Story',     width: 1080, height: 1920 },
+  square:    { label: 'Square',    width: 1080, height: 1080 },
+  landscape: { label: 'Landscape', width: 1920, height: 1080 },
+};
+
+let imageCardLayout = 'story';
+let imageCardBlob   = null;
+
+/**
+ * Paint a CSS linear-gradient() string (as used by WALLPAPER_THEMES)
+ * across the canvas, following the CSS rules for the gradient line.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} css
+ * @param {number} w
+ * @param {number} h
+ */
+function fillCssGradient(ctx, css, w, h) {
+  const inner = css.slice(css.indexOf('(') + 1, css.lastIndexOf(')'));
+  const parts = inner.split(/,(?![^(]*\))/).map(p => p.trim());
+
+  let angle = 180; // CSS default: to bottom
+  const sides = { top: 0, right: 90, bottom: 180, left: 270 };
+  if (/deg$/.test(parts[0])) {
+    angle = parseFloat(parts.shift());
+  } else if (parts[0].startsWith('to ')) {
+    angle = sides[parts.shift().slice(3)] ?? 180;
+  }
+
+  const rad = angle * Math.PI / 180;
+  const dx  = Math.sin(rad);
+  const dy  = -Math.cos(rad);
+  const len = Math.abs(w * dx) + Math.abs(h * dy);
+  const gradient = ctx.createLinearGradient(
+    w / 2 - dx * len / 2, h / 2 - dy * len / 2,
+    w / 2 + dx * len / 2, h / 2 + dy * len / 2
+  );
+
+  parts.forEach((stop, i) => {
+    const match  = /^(.*?)\s+([\d.]+)%$/.exec(stop);
+    const color  = match ? match[1] : stop;
+    const offset = match ? parseFloat(match[2]) / 100 : i / Math.max(1, parts.length - 1);
+    gradient.addColorStop(Math.min(1, Math.max(0, offset)), color);
+  });
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, w, h);
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img   = new Image();
+    img.onload  = () => resolve(img);
+    img.onerror = reject;
+    img.src     = src;
+  });
+}
+
+/**
+ * Draw the card background. Returns true if a wallpaper was drawn, so
+ * the text is drawn white over it like on the detail screen.
+ */
+async function drawImageCardWallpaper(ctx, timer, w, h) {
+  const styles = getComputedStyle(document.body);
+
+  if (timer.wallpaper === 'photo') {
+    const dataUrl = await loadPhoto(timer.id);
+    if (dataUrl) {
+      const src = timer.photoTransform ? await applyTransformToCanvas(dataUrl, timer.photoTransform) : dataUrl;
+      try {
+        // Cover-fit, the same as `center / cover` on the detail screen
+        const img   = await loadImage(src);
+        const scale = Math.max(w / img.naturalWidth, h / img.naturalHeight);
+        const iw    = img.naturalWidth * scale;
+        const ih    = img.naturalHeight * scale;
+        ctx.drawImage(img, (w - iw) / 2, (h - ih) / 2, iw, ih);
+        return true;
+      } catch (e) {
+        console.warn('[Milestone] Could not draw photo onto image card:', e);
+      }
+    }
+  } else {
+    const theme = getThemeByKey(timer.wallpaper);
+    if (theme) {
+      fillCssGradient(ctx, theme.css, w, h);
+      return true;
+    }
+  }
+
+  ctx.fillStyle = styles.getPropertyValue('--bg').trim() || '#0a0a0f';
+  ctx.fillRect(0, 0, w, h);
+  return false;
+}
+
+/**
+ * Largest font size (down to `min`) at which the text fits `maxWidth`;
+ * anything still too wide is cut with an ellipsis.
+ */
+function fitCanvasText(ctx, text, maxWidth, size, min, fontFor) {
+  let fontSize = size;
+  ctx.font = fontFor(fontSize);
+  while (ctx.measureText(text).width > maxWidth && fontSize > min) {
+    fontSize -= 2;
+    ctx.font = fontFor(fontSize);
+  }
+
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(fitted).width > maxWidth) {
+    fitted = fitted.slice(0, -2) + '\u2026';
+  }
+  return fitted;
+}
+
+/**
+ * Render the image card for a timer.
+ * @param {object} timer
+ * @param {'story'|'square'|'landscape'} layoutKey
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderImageCard(timer, layoutKey) {
+  const { width: w, height: h } = IMAGE_CARD_LAYOUTS[layoutKey];
+  const canvas  = document.createElement('canvas');
+  canvas.width  = w;
+  canvas.height = h;
+  const ctx     = canvas.getContext('2d');
+
+  if (document.fonts && document.fonts.ready) await document.fonts.ready;
+
+  const styles    = getComputedStyle(document.body);
+  const cssVar    = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+  const fontUi    = cssVar('--font-ui', 'sans-serif');
+  const fontDigit = cssVar('--font-digits', 'monospace');
+
+  const hasWallpaper = await drawImageCardWallpaper(ctx, timer, w, h);
+
+  // Same scrim as .detail-wallpaper-scrim
+  if (hasWallpaper) {
+    const scrim = ctx.createLinearGradient(0, 0, 0, h);
+    scrim.addColorStop(0,    'rgba(0, 0, 0, 0.60)');
+    scrim.addColorStop(0.35, 'rgba(0, 0, 0, 0.35)');
+    scrim.addColorStop(0.65, 'rgba(0, 0, 0, 0.35)');
+    scrim.addColorStop(1,    'rgba(0, 0, 0, 0.65)');
+    ctx.fillStyle = scrim;
+    ctx.fillRect(0, 0, w, h);
+  }
+
+  const colours = hasWallpaper
+    ? { text: '#ffffff', muted: 'rgba(255, 255, 255, 0.7)', accent: '#ffd080' }
+    : { text: cssVar('--text', '#e8e8f0'), muted: cssVar('--text-muted', '#6b6b88'), accent: cssVar('--accent', '#f5a623') };
+
+  const u       = Math.min(w, h) / 1080; // one unit at the 1080px reference size
+  const centreX = w / 2;
+  const maxText = w - 160 * u;
+
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+  if (hasWallpaper) {
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+    ctx.shadowBlur  = 12 * u;
+  }
+
+  ctx.direction = currentLanguage.dir;
+
+  // Heading: mode label, name, date line
+  const modeLabel  = formatModeLabel(timer);
+  const vals       = getTimerValues(timer);
+  const blockY     = h / 2 + 40 * u;
+
+  ctx.fillStyle = colours.muted;
+  ctx.font      = `400 ${34 * u}px ${fontUi}`;
+  ctx.fillText(fitCanvasText(ctx, modeLabel.toLocaleUpperCase(currentLocale), maxText, 34 * u, 22 * u, size => `400 ${size}px ${fontUi}`), centreX, blockY - 300 * u);
+
+  ctx.fillStyle = colours.text;
+  ctx.fillText(fitCanvasText(ctx, timer.name, maxText, 96 * u, 48 * u, size => `600 ${size}px ${fontUi}`), centreX, blockY - 200 * u);
+
+  ctx.fillStyle = colours.muted;
+  ctx.font      = `400 ${40 * u}px ${fontUi}`;
+  ctx.fillText(fitCanvasText(ctx, formatTimerDate(timer), maxText, 40 * u, 24 * u, size => `400 ${size}px ${fontUi}`), centreX, blockY - 120 * u);
+
+  // Time blocks, exactly as the hero shows them for the current slider position
+  const { dispYears, dispMonths, dispWeeks, dispDays } = applySlider(vals);
+  const blocks = [
+    { value: vals.isExpired ? '\u2014' : String(dispYears), label: tr('Years')  },
+    { value: vals.isExpired ? '--'     : String(dispMonths), label: tr('Months') },
+    { value: vals.isExpired ? '--'     : String(dispWeeks),  label: tr('Weeks')  },
+    { value: vals.isExpired ? '--'     : String(dispDays),   label: tr('Days')   },
+  ];
+  const blockWidth = Math.min(220 * u, (w - 120 * u) / blocks.length);
+  const firstX     = centreX - blockWidth * (blocks.length - 1) / 2;
+
+  blocks.forEach((block, i) => {
+    // Right to left, years sit on the right as they do on the detail screen
+    const x = firstX + (currentLanguage.dir === 'rtl' ? blocks.length - 1 - i : i) * blockWidth;
+    ctx.fillStyle = i === 0 ? colours.accent : colours.text;
+    ctx.fillText(fitCanvasText(ctx, block.value, blockWidth - 16 * u, 130 * u, 60 * u, size => `300 ${size}px ${fontDigit}`), x, blockY);
+
+    ctx.fillStyle = colours.muted;
+    ctx.font      = `400 ${26 * u}px ${fontUi}`;
+    ctx.fillText(block.label.toLocaleUpperCase(currentLocale), x, blockY + 100 * u);
+  });
+
+  // Footer
+  ctx.fillStyle = colours.muted;
+  ctx.font      = `500 ${28 * u}px ${fontUi}`;
+  ctx.fillText('Milestone', centreX, h - 70 * u);
+
+  return canvas;
+}
+
+async function openImageShareOverlay() {
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  if (!timer) return;
+  if (isTimerHidden(timer) && !(await unlockApp({ title: tr('Private Timer') }))) return;
+
+  document.getElementById('image-share-overlay').classList.remove('hidden');
+  renderImageSharePreview(imageCardLayout);
+}
+
+function closeImageShareOverlay() {
+  document.getElementById('image-share-overlay').classList.add('hidden');
+  imageCardBlob = null;
+}
+
+async function renderImageSharePreview(layoutKey) {
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  if (!timer) return;
+
+  imageCardLayout = layoutKey;
+  imageCardBlob   = null;
+  document.querySelectorAll('#image-share-layouts [data-layout]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.layout === layoutKey);
+  });
+
+  const shareBtn = document.getElementById('btn-image-share');
+  shareBtn.disabled = true;
+
+  try {
+    const canvas = await renderImageCard(timer, layoutKey);
+    if (imageCardLayout !== layoutKey) return; // another layout was picked meanwhile
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('canvas produced no image');
+
+    imageCardBlob = blob;
+    document.getElementById('image-share-preview').src = canvas.toDataURL('image/png');
+    shareBtn.disabled = false;
+  } catch (e) {
+    console.warn('[Milestone] Could not render image card:', e);
+    alert(tr('Sorry \u2014 the image could not be created.'));
+    closeImageShareOverlay();
+  }
+}
+
+async function shareImageCard() {
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  if (!timer || !imageCardBlob) return;
+
+  await saveFileToDevice(imageCardBlob, `milestone-${slugifyName(timer.name)}-${imageCardLayout}.png`, 'image/png', timer.name);
+  closeImageShareOverlay();
+}
+
+
+/* ════════════════════════════════════════════════════
+   9d. SHARE LINKS
+
+   A share link carries the timer itself in the URL
+   fragment: #share=<base64url JSON>. Fragments never
+   reach the server, so the timer stays between the two
+   people sharing it. Opening the link shows a preview
+   and only saves the timer if the recipient taps Add.
+   Photos are never included — a photo wallpaper is
+   shared as no wallpaper.
+════════════════════════════════════════════════════ */
+
+const SHARE_LINK_PREFIX  = '#share=';
+const SHARE_LINK_VERSION = 1;
+
+/** The shared copy of a timer received from a link, while its preview is open. */
+let sharedTimer = null;
+
+function encodeBase64Url(text) {
+  const bytes  = new TextEncoder().encode(text);
+  let binary   = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes  = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * A link that opens the app with this timer ready to add.
+ * @param {object} timer
+ * @returns {string}
+ */
+function buildShareLink(timer) {
+  const payload = {
+    v:     SHARE_LINK_VERSION,
+    timer: {
+      name:          timer.name,
+      date:          timer.date,
+      time:          timer.time || null,
+      calendar:      timer.calendar || null,
+      mode:          timer.mode,
+      repeatsYearly: Boolean(timer.repeatsYearly),
+      wallpaper:     timer.wallpaper === 'photo' ? 'none' : (timer.wallpaper || 'none'),
+      messages:      (timer.messages || []).map(({ dismissedFor, ...msg }) => msg),
+      messageLimit:  getMessageLimit(timer),
+    },
+  };
+  return `${location.origin}${location.pathname}${SHARE_LINK_PREFIX}${encodeBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Read the timer out of a share link fragment. The shared timer is
+ * checked with the same validation as a backup import.
+ * @param {string} hash — location.hash
+ * @returns {object|null} a timer without an ID, or null if the link is damaged
+ */
+function parseShareLink(hash) {
+  try {
+    const payload = JSON.parse(decodeBase64Url(hash.slice(SHARE_LINK_PREFIX.length)));
+    if (!payload || payload.v !== SHARE_LINK_VERSION) return null;
+
+    const { timer } = validateBackupTimer({ ...payload.timer, id: 'shared' });
+    return timer || null;
+  } catch (e) {
+    console.warn('[Milestone] Could not read share link:', e);
+    return null;
+  }
+}
+
+/**
+ * If the app was opened from a share link, show the "Add this timer?"
+ * preview. The link is replaced by the #/shared route either way, so the
+ * encoded timer doesn't stay in history.
+ * @returns {boolean} true if a share link was handled
+ */
+function handleShareLink() {
+  if (!location.hash.startsWith(SHARE_LINK_PREFIX)) return false;
+
+  const timer = parseShareLink(location.hash);
+  sharedTimer = timer;
+
+  if (!timer) {
+    alert(tr('This share link is incomplete or damaged, so the timer could not be added.'));
+    navigate('list', null, { replace: true });
+  } else {
+    navigate('shared', null, { replace: true });
+  }
+  return true;
+}
+
+function showSharedTimerScreen() {
+  renderSharedTimerScreen();
+  showScreen('shared');
+}
+
+function renderSharedTimerScreen() {
+  const timer     = sharedTimer;
+  const vals      = getTimerValues(timer);
+  const wallpaper = getWallpaperCss(timer);
+
+  document.getElementById('shared-wallpaper').style.background = wallpaper || '';
+  document.getElementById('shared-card').classList.toggle('no-wallpaper', !wallpaper);
+  document.getElementById('shared-name').textContent = timer.name;
+  document.getElementById('shared-date').textContent =
+    tr(timer.mode === 'countdown' ? 'Counting down to {date}' : 'Counting up from {date}', { date: formatTimerDate(timer) });
+  document.getElementById('shared-count').textContent = vals.isExpired
+    ? tr('This date has passed')
+    : tr(timer.mode === 'countdown' ? '{count} days to go' : '{count} days so far', { count: vals.totalDays });
+
+  const repeatEl = document.getElementById('shared-repeat');
+  repeatEl.textContent = isRecurringTimer(timer) ? `\u21BB ${formatOccurrenceLabel(timer) || tr('Repeats yearly')}` : '';
+  repeatEl.classList.toggle('hidden', !isRecurringTimer(timer));
+
+  const listEl = document.getElementById('shared-messages');
+  listEl.innerHTML = '';
+  timer.messages.forEach(msg => {
+    const row = document.createElement('div');
+    row.className = 'message-row';
+    row.innerHTML = `
+      <span class="message-row-milestone">${describeMessageTrigger(msg)}</span>
+      <p class="message-row-text">${escapeHtml(msg.text)}</p>
+      <p class="message-row-meta">${describeMessageSchedule(timer, msg)}</p>
+    `;
+    listEl.appendChild(row);
+  });
+  document.getElementById('shared-messages-section').classList.toggle('hidden', timer.messages.length === 0);
+
+  const duplicate = appState.timers.some(t => t.name === timer.name && t.date === timer.date && t.mode === timer.mode);
+  document.getElementById('shared-duplicate').classList.toggle('hidden', !duplicate);
+}
+
+function addSharedTimer() {
+  if (!sharedTimer) return;
+
+  const timer = { ...sharedTimer, id: generateId(), notifyFrom: Date.now(), createdAt: Date.now() };
+  resetMilestoneBaseline(timer);
+
+  sharedTimer = null;
+  appState.timers.push(timer);
+  saveState();
+  navigate('detail', timer.id, { replace: true });
+}
+
+function dismissSharedTimer() {
+  sharedTimer = null;
+  navigate('list', null, { replace: true });
+}
+
+
+/* ════════════════════════════════════════════════════
+   10. RENDERING — Form Screen
+════════════════════════════════════════════════════ */
+
+let editingTimerId        = null;
+let formWallpaperSelection = 'none';
+let formPendingPhotoBlob   = null;
+let formPendingPhotoTransform = null;
+
+function openFormScreen(timerId = null) {
+  navigate(timerId ? 'edit' : 'new', timerId);
+}
+
+function showFormScreen(timerId = null) {
+  editingTimerId   = timerId;
+  formEditingTimer = null;
+  const isEditing  = timerId !== null;
+  const timer      = isEditing ? appState.timers.find(t => t.id === timerId) : null;
+  formEditingTimer = timer;
+  if (isEditing) appState.activeTimerId = timerId;
+
+  document.getElementById('form-screen-title').textContent = isEditing ? tr('Edit Timer') : tr('New Timer');
+  document.getElementById('input-name').value = timer ? timer.name : '';
+  document.getElementById('input-date').value = timer ? timer.date : '';
+  document.getElementById('input-time').value = timer ? (timer.time || '') : '';
+  renderFormCalendarOptions(timer);
+  document.getElementById('input-repeats-yearly').checked = Boolean(timer && timer.repeatsYearly);
+  document.getElementById('input-notify').checked         = !timer || timer.notify !== false;
+  document.getElementById('input-private').checked        = Boolean(timer && timer.private);
+  document.getElementById('private-hint').textContent     = hasPasscode()
+    ? tr('Hidden on the list, in notifications and from sharing until the passcode is entered.')
+    : tr('Set a passcode in Settings to hide private timers \u2014 until then they show as usual.');
+
+  const currentMode = timer ? timer.mode : 'countdown';
+  document.querySelectorAll('.mode-toggle-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === currentMode);
+  });
+
+  const messageLimit = getMessageLimit(timer);
+  document.getElementById('input-message-limit').value   = messageLimit === null ? '' : messageLimit;
+  document.getElementById('input-message-trigger').value = 'date';
+  switchMessageTrigger('date');
+  setFormMessages(timer ? (timer.messages || []) : [], timer);
+  buildMilestoneCheckboxes(timer && Array.isArray(timer.milestones) ? timer.milestones : getDefaultMilestoneDays());
+  setFormCustomMilestones(timer ? (timer.customMilestones || []) : []);
+  document.getElementById('input-custom-days').value = '';
+  setFormTags(timer ? (timer.tags || []) : []);
+  document.getElementById('input-tag').value = '';
+  document.getElementById('btn-form-delete').classList.toggle('hidden', !isEditing);
+  document.getElementById('btn-form-archive').classList.toggle('hidden', !isEditing || Boolean(timer.archivedAt));
+
+  formWallpaperSelection    = timer ? (timer.wallpaper || 'none') : 'none';
+  formPendingPhotoBlob      = null;
+  formPendingPhotoTransform = timer ? (timer.photoTransform || null) : null;
+
+  buildWallpaperPicker(timer);
+  showScreen('form');
+
+  formDirty    = false;
+  formConflict = null;
+  formBaseline = timer ? snapshotFormFields(timer) : null;
+  updateFormConflictNotice();
+}
+
+/*
+ * Editing the same timer in two windows. formBaseline is the timer as
+ * the form loaded it; formDirty turns on at the first edit. When another
+ * window saves a different version, a form with no edits simply reloads;
+ * one with edits shows a notice, and saving asks before overwriting.
+ */
+let formDirty    = false;
+let formBaseline = null;
+let formConflict = null;   // null, 'changed' or 'deleted'
+
+const FORM_FIELDS = [
+  'name', 'date', 'time', 'calendar', 'mode', 'repeatsYearly', 'notify', 'private', 'messages', 'messageLimit',
+  'milestones', 'customMilestones', 'tags', 'wallpaper', 'photoTransform',
+];
+
+/** The fields the form edits, as a string to compare versions by. */
+function snapshotFormFields(timer) {
+  return JSON.stringify(FORM_FIELDS.map(key => (timer[key] === undefined ? null : timer[key])));
+}
+
+function refreshFormAfterRemoteChange() {
+  if (!editingTimerId) return;
+
+  const timer = appState.timers.find(t => t.id === editingTimerId);
+  if (timer && snapshotFormFields(timer) === formBaseline) {
+    formEditingTimer = timer;
+    return;
+  }
+  if (timer && !formDirty) {
+    showFormScreen(editingTimerId);
+    return;
+  }
+
+  formConflict = timer ? 'changed' : 'deleted';
+  updateFormConflictNotice();
+}
+
+function updateFormConflictNotice() {
+  const openElsewhere = Boolean(editingTimerId) && [...remoteEditors.values()].includes(editingTimerId);
+
+  let message = '';
+  if (formConflict === 'deleted') {
+    message = tr('This timer was deleted in another window. Saving will bring it back.');
+  } else if (formConflict === 'changed') {
+    message = tr('This timer was changed in another window. Saving will overwrite those changes.');
+  } else if (openElsewhere) {
+    message = tr('This timer is also open in another window \u2014 whichever is saved last will overwrite the other.');
+  }
+
+  document.getElementById('form-conflict').classList.toggle('hidden', !message || currentScreen !== 'form');
+  document.getElementById('form-conflict-message').textContent = message;
+  document.getElementById('btn-form-conflict-reload').classList.toggle('hidden', formConflict !== 'changed');
+}
+
+async function buildWallpaperPicker(timer) {
+  buildThemeGrid();
+
+  if (timer && timer.wallpaper === 'photo') {
+    const dataUrl = await loadPhoto(timer.id);
+    if (dataUrl) {
+      editorState.dataUrl = dataUrl;
+      showPhotoPreview(dataUrl, timer.photoTransform || null);
+    } else {
+      hidePhotoPreview();
+    }
+  } else {
+    editorState.dataUrl = null;
+    hidePhotoPreview();
+  }
+
+  updateThemeGridSelection();
+}
+
+function buildThemeGrid() {
+  const gridEl = document.getElementById('wp-theme-grid');
+  gridEl.innerHTML = '';
+
+  WALLPAPER_THEMES.forEach(theme => {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = 'wp-theme-item';
+    swatch.dataset.themeKey = theme.key;
+    swatch.setAttribute('aria-label', tr(theme.label));
+    swatch.style.background = theme.css;
+    swatch.innerHTML = `<span class="wp-selected-tick" aria-hidden="true">\u2713</span><span class="wp-theme-label">${escapeHtml(tr(theme.label))}</span>`;
+
+    swatch.addEventListener('click', () => {
+      formWallpaperSelection = theme.key;
+      formPendingPhotoBlob   = null;
+      hidePhotoPreview();
+      updateThemeGridSelection();
+      switchWallpaperTab('builtin');
+    });
+
+    gridEl.appendChild(swatch);
+  });
+}
+
+function updateThemeGridSelection() {
+  document.querySelectorAll('.wp-theme-item').forEach(el => {
+    el.classList.toggle('selected', el.dataset.themeKey === formWallpaperSelection);
+  });
+}
+
+function switchWallpaperTab(tabName) {
+  document.querySelectorAll('.wp-tab').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tab === tabName);
+    btn.setAttribute('aria-selected', btn.dataset.tab === tabName ? 'true' : 'false');
+  });
+  document.getElementById('wp-panel-builtin').classList.toggle('hidden', tabName !== 'builtin');
+  document.getElementById('wp-panel-photo').classList.toggle('hidden', tabName !== 'photo');
+}
+
+function showPhotoPreview(dataUrl, transform = null) {
+  document.getElementById('wp-photo-preview').classList.remove('hidden');
+  document.getElementById('wp-upload-label').classList.add('hidden');
+
+  if (transform) {
+    updatePhotoPreviewThumbnail(dataUrl, transform);
+  } else {
+    document.getElementById('wp-preview-img').src = dataUrl;
+  }
+}
+
+function hidePhotoPreview() {
+  document.getElementById('wp-photo-preview').classList.add('hidden');
+  document.getElementById('wp-upload-label').classList.remove('hidden');
+  document.getElementById('wp-preview-img').src = '';
+}
+
+// -- Milestone checkbox builder --
+
+function buildMilestoneCheckboxes(enabledDays) {
+  const container = document.getElementById('milestone-checkboxes');
+  container.innerHTML = '';
+
+  MILESTONES.forEach(m => {
+    const label = document.createElement('label');
+    label.className = 'milestone-check-label';
+    label.innerHTML = `<input type="checkbox" value="${m.days}" ${enabledDays.includes(m.days) ? 'checked' : ''} /><span>${escapeHtml(formatMilestoneLabel(m.days))}</span>`;
+    container.appendChild(label);
+  });
+}
+
+function getCheckedMilestones() {
+  return Array.from(document.querySelectorAll('#milestone-checkboxes input[type="checkbox"]:checked'))
+    .map(input => parseInt(input.value, 10));
+}
+
+// -- Custom milestone list --
+
+function renderCustomMilestoneRows(customDays) {
+  const container = document.getElementById('custom-milestone-list');
+  container.innerHTML = '';
+
+  if (customDays.length === 0) {
+    container.innerHTML = `<p class="custom-milestone-empty">${escapeHtml(tr('No custom milestones added yet'))}</p>`;
+    return;
+  }
+
+  customDays.forEach((days, index) => {
+    const row = document.createElement('div');
+    row.className = 'custom-milestone-row';
+    row.innerHTML = `
+      <span class="custom-milestone-label">${formatMilestoneLabel(days)}</span>
+      <button type="button" class="custom-milestone-remove" aria-label="${escapeHtml(tr('Remove custom milestone'))}">\u2715</button>
+    `;
+
+    row.querySelector('.custom-milestone-remove').addEventListener('click', () => {
+      const current = getFormCustomMilestones();
+      current.splice(index, 1);
+      setFormCustomMilestones(current);
+    });
+
+    container.appendChild(row);
+  });
+}
+
+function getFormCustomMilestones() {
+  const raw = document.getElementById('custom-milestone-list').dataset.days;
+  return raw ? JSON.parse(raw) : [];
+}
+
+function setFormCustomMilestones(customDays) {
+  const sorted = [...customDays].sort((a, b) => a - b);
+  document.getElementById('custom-milestone-list').dataset.days = JSON.stringify(sorted);
+  renderCustomMilestoneRows(sorted);
+}
+
+function addCustomMilestoneToForm() {
+  const inputEl = document.getElementById('input-custom-days');
+  const days    = Number(inputEl.value);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_CUSTOM_MILESTONE_DAYS) {
+    alert(tr('Please enter a whole number of days between 1 and {max}.', { max: MAX_CUSTOM_MILESTONE_DAYS }));
+    return;
+  }
+  if (MILESTONES.some(m => m.days === days)) {
+    alert(tr('{milestone} is already a built-in milestone \u2014 tick it in the list above.', { milestone: formatMilestoneLabel(days) }));
+    return;
+  }
+
+  const current = getFormCustomMilestones();
+  if (current.includes(days)) { alert(tr('That milestone has already been added.')); return; }
+
+  current.push(days);
+  setFormCustomMilestones(current);
+
+  inputEl.value = '';
+  inputEl.focus();
+}
+
+const MAX_TAG_LENGTH = 30;
+
+/** One tag trimmed, with its spaces collapsed and a leading "#" dropped — '' if nothing is left. */
+function cleanTag(tag) {
+  return tag.replace(/\s+/g, ' ').trim().replace(/^#+\s*/, '');
+}
+
+/**
+ * Tidy a list of tags: clean each (cleanTag()) and drop any repeat of an
+ * earlier tag in a different case.
+ * @param {*} tags
+ * @returns {string[]|null} null if the list isn't an array of usable tags
+ */
+function normaliseTags(tags) {
+  if (!Array.isArray(tags)) return null;
+  const result = [];
+  for (const tag of tags) {
+    if (typeof tag !== 'string') return null;
+    const clean = cleanTag(tag);
+    if (!clean || clean.length > MAX_TAG_LENGTH) return null;
+    if (!result.some(t => t.toLowerCase() === clean.toLowerCase())) result.push(clean);
+  }
+  return result;
+}
+
+function renderFormTags(tags) {
+  const container = document.getElementById('tag-list');
+  container.innerHTML = '';
+
+  tags.forEach((tag, index) => {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip tag-chip-removable';
+    chip.innerHTML = `
+      <span>${escapeHtml(tag)}</span>
+      <button type="button" class="tag-chip-remove" aria-label="${escapeHtml(tr('Remove tag {tag}', { tag }))}">\u2715</button>
+    `;
+
+    chip.querySelector('.tag-chip-remove').addEventListener('click', () => {
+      const current = getFormTags();
+      current.splice(index, 1);
+      setFormTags(current);
+    });
+
+    container.appendChild(chip);
+  });
+
+  // Suggest tags already used on other timers
+  document.getElementById('tag-suggestions').innerHTML = getAllTags()
+    .filter(tag => !tags.some(t => t.toLowerCase() === tag.toLowerCase()))
+    .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+    .join('');
+}
+
+function getFormTags() {
+  const raw = document.getElementById('tag-list').dataset.tags;
+  return raw ? JSON.parse(raw) : [];
+}
+
+function setFormTags(tags) {
+  document.getElementById('tag-list').dataset.tags = JSON.stringify(tags);
+  renderFormTags(tags);
+}
+
+/** Add the typed tag — or several, separated by commas. */
+function addTagToForm() {
+  const inputEl = document.getElementById('input-tag');
+  const typed   = inputEl.value.split(',').filter(text => text.trim());
+  if (typed.length === 0) return;
+
+  const tags = normaliseTags([...getFormTags(), ...typed]);
+  if (!tags) {
+    alert(tr('Tags can be up to {max} characters.', { max: MAX_TAG_LENGTH }));
+    return;
+  }
+  // Reuse the spelling of a tag other timers already have
+  const known = getAllTags();
+  setFormTags(tags.map(tag => known.find(t => t.toLowerCase() === tag.toLowerCase()) || tag));
+
+  inputEl.value = '';
+  inputEl.focus();
+}
+
+
+/* ════════════════════════════════════════════════════
+   MESSAGE SYSTEM FORM HELPERS
+════════════════════════════════════════════════════ */
+
+const DEFAULT_MESSAGE_LIMIT = 5;
+
+/**
+ * A timer's message cap. Timers saved before the cap was configurable get
+ * the old fixed limit; null means no limit.
+ * @returns {number|null}
+ */
+function getMessageLimit(timer) {
+  if (!timer || timer.messageLimit === undefined) return DEFAULT_MESSAGE_LIMIT;
+  return timer.messageLimit;
+}
+
+/** The cap currently entered in the form; a blank field means no limit. */
+function getFormMessageLimit() {
+  const value = document.getElementById('input-message-limit').value;
+  return value === '' ? null : Math.max(1, parseInt(value, 10));
+}
+
+function renderMessageRows(messages, timer = null) {
+  const container = document.getElementById('message-list');
+  container.innerHTML = '';
+
+  const countEl = document.getElementById('message-count');
+  const limit   = getFormMessageLimit();
+  if (countEl) countEl.textContent = limit ? tr('{count} of {limit}', { count: messages.length, limit }) : formatNumber(messages.length);
+
+  if (messages.length === 0) {
+    container.innerHTML = `<p class="custom-milestone-empty">${escapeHtml(tr('No messages added yet'))}</p>`;
+    return;
+  }
+
+  const previewTimer = getFormPreviewTimer() || timer;
+
+  messages.forEach((msg, index) => {
+    const row = document.createElement('div');
+    row.className = 'message-row';
+
+    row.innerHTML = `
       <div class="message-row-header">
-        <span class="message-row-milestone">${triggerLabel}</span>
-        <button type="button" class="custom-milestone-remove message-remove-btn" data-index="${index}" aria-label="Remove message">\u2715</button>
+        <span class="message-row-milestone">${describeMessageTrigger(msg)}</span>
+        <button type="button" class="custom-milestone-remove message-remove-btn" data-index="${index}" aria-label="${escapeHtml(tr('Remove message'))}">\u2715</button>
+      </div>
+      <p class="message-row-text">${escapeHtml(msg.text)}</p>
+      <p class="message-row-meta">${describeMessageSchedule(previewTimer, msg)}</p>
+      ${msg.dismissedFor ? `<p class="message-row-meta">\u2713 ${escapeHtml(tr('Marked done'))} <button type="button" class="message-undismiss-btn">${escapeHtml(tr('Show again'))}</button></p>` : ''}
+    `;
+
+    if (msg.dismissedFor) {
+      row.querySelector('.message-undismiss-btn').addEventListener('click', () => {
+        const current = getFormMessages();
+        delete current[index].dismissedFor;
+        setFormMessages(current, timer);
+      });
+    }
+
+    row.querySelector('.message-remove-btn').addEventListener('click', () => {
+      const current = getFormMessages();
+      current.splice(index, 1);
+      setFormMessages(current, timer);
+    });
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * The timer as currently entered in the form, so message previews follow
+ * unsaved changes to the date and mode. Null until a date is chosen.
+ */
+function getFormPreviewTimer() {
+  const date = document.getElementById('input-date').value;
+  if (!date) return null;
+
+  const mode = document.querySelector('.mode-toggle-btn.active')?.dataset.mode || 'countdown';
+  return {
+    date,
+    time:          document.getElementById('input-time').value || null,
+    calendar:      document.getElementById('input-calendar').value || null,
+    mode,
+    repeatsYearly: mode === 'countdown' && document.getElementById('input-repeats-yearly').checked,
+  };
+}
+
+/**
+ * Preview line for a message row, e.g. "Showing from 3 March 2026 until 10 March 2026".
+ */
+function describeMessageSchedule(timer, msg) {
+  const end  = msg.endDate ? formatDate(msg.endDate) : null;
+  const from = (start) => (end ? tr('Showing from {start} until {end}', { start, end }) : tr('Showing from {start}', { start }));
+
+  if (msg.triggerType === 'date') return from(formatDate(msg.triggerDate));
+  if (!timer) return end ? tr('Choose the timer date to preview until {end}', { end }) : tr('Choose the timer date to preview');
+
+  const startDate = getMessageStartDate(timer, msg);
+  if (!startDate) return tr('This message will not show');
+
+  if (msg.triggerType === 'recurring' && startDate <= new Date()) {
+    const next = formatDate(toLocalDateString(getNextMessageRepeat(timer, msg)));
+    return end ? tr('Showing now, next from {next} until {end}', { next, end }) : tr('Showing now, next from {next}', { next });
+  }
+  return from(formatDate(toLocalDateString(startDate)));
+}
+
+function getFormMessages() {
+  const raw = document.getElementById('message-list').dataset.messages;
+  return raw ? JSON.parse(raw) : [];
+}
+
+function setFormMessages(messages, timer = null) {
+  document.getElementById('message-list').dataset.messages = JSON.stringify(messages);
+  renderMessageRows(messages, timer);
+}
+
+function switchMessageTrigger(type) {
+  document.querySelectorAll('.message-trigger-panel').forEach(panel => {
+    panel.classList.toggle('hidden', panel.dataset.trigger !== type);
+  });
+  if (type === 'milestone') buildMessageMilestoneOptions();
+}
+
+/** Fill the milestone picker from the milestones currently ticked or added in the form. */
+function buildMessageMilestoneOptions() {
+  const selectEl = document.getElementById('input-message-milestone');
+  const days     = [...new Set([...getCheckedMilestones(), ...getFormCustomMilestones()])].sort((a, b) => a - b);
+
+  selectEl.innerHTML = days.length === 0
+    ? `<option value="">${escapeHtml(tr('No milestones enabled'))}</option>`
+    : days.map(d => `<option value="${d}">${escapeHtml(formatMilestoneLabel(d))}</option>`).join('');
+}
+
+/**
+ * Read the trigger fields for the chosen trigger type.
+ * Alerts and returns null if anything required is missing.
+ * @returns {object|null}
+ */
+function readMessageTrigger() {
+  const type    = document.getElementById('input-message-trigger').value;
+  const number  = (id) => Number(document.getElementById(id).value);
+  const isCount = (n) => Number.isInteger(n) && n >= 0 && n <= MAX_CUSTOM_MILESTONE_DAYS;
+
+  switch (type) {
+    case 'date': {
+      const triggerDate = document.getElementById('input-message-date').value;
+      if (!triggerDate) { alert(tr('Please choose a date for this message.')); return null; }
+      return { triggerType: 'date', triggerDate };
+    }
+
+    case 'offset': {
+      const days = number('input-message-offset');
+      if (document.getElementById('input-message-offset').value === '' || !isCount(days)) {
+        alert(tr('Please enter how many days before or after the timer date.'));
+        return null;
+      }
+      const sign = document.getElementById('input-message-offset-direction').value === 'before' ? -1 : 1;
+      return { triggerType: 'offset', offsetDays: sign * days };
+    }
+
+    case 'days': {
+      const triggerDays = number('input-message-days');
+      if (document.getElementById('input-message-days').value === '' || !isCount(triggerDays)) {
+        alert(tr('Please enter the day count that should show this message.'));
+        return null;
+      }
+      return { triggerType: 'days', triggerDays };
+    }
+
+    case 'milestone': {
+      const triggerMilestone = number('input-message-milestone');
+      if (!triggerMilestone) { alert(tr('Please tick or add a milestone first.')); return null; }
+      return { triggerType: 'milestone', triggerMilestone };
+    }
+
+    case 'recurring': {
+      const repeatEvery = number('input-message-every');
+      const triggerDate = document.getElementById('input-message-start').value;
+      if (!Number.isInteger(repeatEvery) || repeatEvery < 1) { alert(tr('Please enter how often this message repeats.')); return null; }
+      if (!triggerDate) { alert(tr('Please choose when this message starts repeating.')); return null; }
+      return {
+        triggerType: 'recurring',
+        triggerDate,
+        repeatEvery,
+        repeatUnit: document.getElementById('input-message-every-unit').value,
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+function addMessageToForm() {
+  const textEl    = document.getElementById('input-message-text');
+  const endDateEl = document.getElementById('input-message-end');
+  const text      = textEl.value.trim();
+
+  if (!text) { alert(tr('Please enter a message.')); return; }
+
+  const trigger = readMessageTrigger();
+  if (!trigger) return;
+
+  const endDate = endDateEl.value || null;
+  if (endDate && trigger.triggerDate && endDate < trigger.triggerDate) {
+    alert(tr('The end date must be on or after the start date.'));
+    return;
+  }
+
+  const current = getFormMessages();
+  const limit   = getFormMessageLimit();
+  if (limit && current.length >= limit) {
+    alert(tr('Maximum of {count} messages for this timer reached. Remove one or raise the limit to add another.', { count: limit }));
+    return;
+  }
+  current.push({ text, ...trigger, endDate });
+  setFormMessages(current, formEditingTimer);
+
+  textEl.value = '';
+  ['input-message-date', 'input-message-offset', 'input-message-days', 'input-message-every', 'input-message-start', 'input-message-end']
+    .forEach(id => { document.getElementById(id).value = ''; });
+  textEl.focus();
+}
+
+let formEditingTimer = null;
+
+function readFormValues() {
+  const name     = document.getElementById('input-name').value.trim();
+  const date     = document.getElementById('input-date').value;
+  const time     = document.getElementById('input-time').value || null;
+  const calendar = document.getElementById('input-calendar').value || null;
+  const mode     = document.querySelector('.mode-toggle-btn.active')?.dataset.mode || 'countdown';
+  // Only countdowns roll over — a count-up keeps counting from the original date
+  const repeatsYearly = mode === 'countdown' && document.getElementById('input-repeats-yearly').checked;
+
+  if (!name) { alert(tr('Please give your timer a name.')); return null; }
+  if (!date) { alert(tr('Please choose a date.')); return null; }
+
+  const messages     = getFormMessages();
+  const messageLimit = getFormMessageLimit();
+  if (messageLimit && messages.length > messageLimit) {
+    alert(tr('This timer has {count} messages but the limit is {limit}. Remove some messages or raise the limit.', { count: messages.length, limit: messageLimit }));
+    return null;
+  }
+
+  // A tag still in the input box when saving counts as added
+  const pendingTags = document.getElementById('input-tag').value.split(',').filter(text => text.trim());
+  const tags        = normaliseTags([...getFormTags(), ...pendingTags]);
+  if (!tags) { alert(tr('Tags can be up to {max} characters.', { max: MAX_TAG_LENGTH })); return null; }
+
+  return {
+    name,
+    date,
+    time,
+    calendar,
+    mode,
+    repeatsYearly,
+    notify:           document.getElementById('input-notify').checked,
+    private:          document.getElementById('input-private').checked,
+    messages,
+    messageLimit,
+    milestones:       getCheckedMilestones(),
+    customMilestones: getFormCustomMilestones(),
+    tags,
+    wallpaper:        formWallpaperSelection,
+  };
+}
+
+async function handleFormSubmit(event) {
+  event.preventDefault();
+  const values = readFormValues();
+  if (!values) return;
+
+  if (editingTimerId && formConflict === 'changed'
+    && !confirm(tr('This timer was changed in another window while you were editing. Save your version over those changes?'))) return;
+
+  if (editingTimerId && formConflict === 'deleted') {
+    if (!confirm(tr('This timer was deleted in another window. Save it again?'))) return;
+    if (appState.trash.some(entry => entry.timer.id === editingTimerId)) restoreTrashedTimer(editingTimerId);
+    else appState.timers.push({ ...formEditingTimer });
+  }
+
+  let savedId;
+
+  if (editingTimerId) {
+    const index = appState.timers.findIndex(t => t.id === editingTimerId);
+    if (index !== -1) {
+      const existing = appState.timers[index];
+      appState.timers[index] = {
+        ...existing,
+        ...values,
+        photoTransform: values.wallpaper === 'photo' ? (formPendingPhotoTransform || existing.photoTransform || null) : null,
+        messages:       values.messages,
+      };
+      const rescheduled = existing.date !== values.date
+                       || (existing.time || null) !== values.time
+                       || (existing.calendar || null) !== values.calendar
+                       || existing.mode !== values.mode
+                       || Boolean(existing.repeatsYearly) !== values.repeatsYearly;
+      if (rescheduled) resetMilestoneBaseline(appState.timers[index]);
+      if (values.notify && existing.notify === false) appState.timers[index].notifyFrom = Date.now();
+    }
+    savedId = editingTimerId;
+  } else {
+    const newTimer = {
+      id:               generateId(),
+      name:             values.name,
+      date:             values.date,
+      time:             values.time,
+      calendar:         values.calendar,
+      mode:             values.mode,
+      repeatsYearly:    values.repeatsYearly,
+      notify:           values.notify,
+      notifyFrom:       Date.now(),
+      private:          values.private,
+      createdAt:        Date.now(),
+      wallpaper:        values.wallpaper,
+      photoTransform:   values.wallpaper === 'photo' ? formPendingPhotoTransform : null,
+      messages:         values.messages,
+      messageLimit:     values.messageLimit,
+      milestones:       values.milestones,
+      customMilestones: values.customMilestones,
+      tags:             values.tags,
+    };
+    resetMilestoneBaseline(newTimer);
+    appState.timers.push(newTimer);
+    savedId = newTimer.id;
+  }
+
+  if (formPendingPhotoBlob && values.wallpaper === 'photo') {
+    await savePhoto(savedId, formPendingPhotoBlob);
+    // Tells other devices there's a new photo to fetch (section 4c)
+    appState.timers.find(t => t.id === savedId).photoVersion = Date.now();
+  }
+  if (values.wallpaper !== 'photo') await deletePhoto(savedId);
+
+  saveState();
+  renderTimerList();
+
+  // Editing returns to the detail screen it came from; a new timer's form is replaced by its detail
+  if (editingTimerId) goBack('detail', savedId);
+  else                navigate('detail', savedId, { replace: true });
+}
+
+/** Move the timer being edited to the trash, with an undo on the list. */
+function deleteTimer() {
+  if (!editingTimerId) return;
+
+  const timer = moveTimerToTrash(editingTimerId);
+  if (!timer) return;
+
+  saveState();
+  navigate('list', null, { replace: true });
+  showUndoToast(tr('\u201C{name}\u201D moved to the trash', { name: timer.name }), () => {
+    restoreTrashedTimer(timer.id);
+    renderTimerList();
+  });
+}
+
+
+/* ════════════════════════════════════════════════════
+   10b. EXPORT & IMPORT
+
+   WHY THE OLD EXPORT BROKE ON iOS:
+   The previous version used <a href="..." download> to
+   trigger a file download. This works on desktop browsers
+   but Safari on iOS simply ignores the download attribute
+   — it either opens the file in the browser or does nothing.
+
+   FIX: Use navigator.share() with a File object instead.
+   iOS 15+ supports sharing files this way, which opens the
+   native share sheet. The user can then tap "Save to Files"
+   to store the backup in iCloud Drive or on-device.
+
+   For desktop browsers that do not support navigator.share,
+   we fall back to the old <a download> method, which works
+   fine on Mac/Windows/Linux browsers.
+════════════════════════════════════════════════════ */
+
+/** Current backup file format. Version 1 files (no photos) still import. */
+const BACKUP_VERSION = 2;
+
+/**
+ * The backup record for one timer. Photo wallpapers are kept only
+ * when the photo itself is bundled in the same file.
+ * @param {object}  t
+ * @param {boolean} hasPhoto
+ */
+function buildBackupTimer(t, hasPhoto) {
+  const keepPhoto = t.wallpaper === 'photo' && hasPhoto;
+  return {
+    id:               t.id,
+    name:             t.name,
+    date:             t.date,
+    time:             t.time || null,
+    calendar:         t.calendar || null,
+    mode:             t.mode,
+    repeatsYearly:    Boolean(t.repeatsYearly),
+    notify:           t.notify !== false,
+    private:          Boolean(t.private),
+    wallpaper:        keepPhoto ? 'photo' : (t.wallpaper === 'photo' ? 'none' : (t.wallpaper || 'none')),
+    photoTransform:   keepPhoto ? (t.photoTransform || null) : null,
+    messages:         t.messages || [],
+    messageLimit:     getMessageLimit(t),
+    milestones:       Array.isArray(t.milestones) ? t.milestones : getDefaultMilestoneDays(),
+    customMilestones: t.customMilestones || [],
+    tags:             t.tags || [],
+    pinned:           Boolean(t.pinned),
+    archivedAt:       t.archivedAt || null,
+    keepInList:       Boolean(t.keepInList),
+    createdAt:        t.createdAt || null,
+  };
+}
+
+/**
+ * Export all timers to a JSON backup file.
+ *
+ * On iOS: opens the native share sheet via navigator.share(),
+ * where the user can tap "Save to Files" to keep the backup.
+ *
+ * On desktop: triggers a direct file download via <a download>.
+ *
+ * Version 2 backups embed each photo wallpaper as a data URL in
+ * a `photos` map keyed by timer ID, alongside its photoTransform,
+ * so a restore brings the wallpapers back exactly as they were.
+ * A photo that can no longer be read from IndexedDB is left out
+ * and that timer's wallpaper is exported as 'none'.
+ *
+ * Passing a tag exports just that collection: the same backup format,
+ * named after the tag, which imports through the usual preview.
+ * @param {object[]}    [timers]
+ * @param {string|null} [collection] — tag the timers were chosen by
+ */
+async function exportTimers(timers = appState.timers, collection = null) {
+  if (timers.length === 0) {
+    alert(tr('No timers to export.'));
+    return;
+  }
+  if (timers.some(isTimerHidden) && !(await unlockApp({ title: tr('Private Timers'), message: tr('Enter the passcode to include private timers.') }))) return;
+
+  const passphrase = await askForPassphrase('export', { title: collection ? tr('Share \u201C{tag}\u201D', { tag: collection }) : null });
+  if (passphrase === null) return;
+
+  const photos = {};
+  for (const t of timers) {
+    if (t.wallpaper !== 'photo') continue;
+    const dataUrl = await loadPhoto(t.id);
+    if (dataUrl) photos[t.id] = dataUrl;
+  }
+
+  const payload = {
+    exportedAt: new Date().toISOString(),
+    version:    BACKUP_VERSION,
+    ...(collection ? { collection } : {}),
+    timers:     timers.map(t => buildBackupTimer(t, Boolean(photos[t.id]))),
+    photos,
+  };
+
+  const json = passphrase
+    ? JSON.stringify(await encryptBackup(JSON.stringify(payload), passphrase), null, 2)
+    : JSON.stringify(payload, null, 2);
+  const today  = new Date().toISOString().slice(0, 10); // "YYYY-MM-DD"
+  const suffix = passphrase ? '-encrypted' : '';
+
+  if (collection) {
+    await saveFileToDevice(json, `milestone-${slugifyName(collection)}-${today}${suffix}.json`, 'application/json', `Milestone \u2014 ${collection}`);
+    return;
+  }
+  await saveFileToDevice(json, `milestone-backup-${today}${suffix}.json`, 'application/json', tr('Milestone Backup'));
+}
+
+/**
+ * Hand a generated file to the user: the share sheet where files can be
+ * shared (so iOS can "Save to Files"), otherwise a plain download.
+ * @param {string|Blob} contents
+ * @param {string} filename
+ * @param {string} type     — MIME type
+ * @param {string} title    — share sheet title
+ */
+async function saveFileToDevice(contents, filename, type, title) {
+  // Try the Web Share API first (works on iOS Safari and modern Android)
+  if (navigator.canShare) {
+    const file = new File([contents], filename, { type });
+    if (navigator.canShare({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], title });
+        return; // Done — share sheet handled it
+      } catch (err) {
+        if (err.name === 'AbortError') return; // User cancelled — do nothing
+        console.warn('[Milestone] Share-based export failed, trying download:', err);
+        // Fall through to the download fallback below
+      }
+    }
+  }
+
+  // Desktop fallback: trigger a file download via a temporary link
+  const blob = new Blob([contents], { type });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the hidden file picker so the user can choose a backup JSON file.
+ */
+function importTimers() {
+  document.getElementById('input-import-file').click();
+}
+
+/**
+ * Write the photos bundled in a version 2 backup back into IndexedDB.
+ * A timer whose photo is missing or cannot be stored falls back to
+ * no wallpaper rather than pointing at a photo that isn't there.
+ * @param {object[]} timers  — the timers being imported
+ * @param {object}   photos  — { timerId: dataUrl }
+ */
+async function restoreBackupPhotos(timers, photos) {
+  for (const t of timers) {
+    if (t.wallpaper !== 'photo') continue;
+
+    const dataUrl = photos[t.id];
+    try {
+      if (typeof dataUrl === 'string') {
+        await savePhoto(t.id, dataUrlToBlob(dataUrl));
+        t.photoVersion = Date.now();
+        continue;
+      }
+    } catch (e) {
+      console.warn(`[Milestone] Could not restore photo for "${t.name}":`, e);
+    }
+    t.wallpaper      = 'none';
+    t.photoTransform = null;
+  }
+}
+
+/**
+ * Handle the backup or calendar file chosen for import.
+ * Calendar files are turned into timers first (see section 10d).
+ * The file is migrated to the current format and every timer validated
+ * before anything touches appState; the user then picks what to bring
+ * in on the import preview screen.
+ * @param {Event} event
+ */
+function handleImportFile(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+
+  event.target.value = ''; // reset so the same file can be re-chosen
+
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    let payload;
+
+    if (isIcsText(e.target.result)) {
+      payload = parseIcsTimers(e.target.result);
+      if (payload.timers.length === 0) { alert(tr('No events were found in this calendar file.')); return; }
+    } else {
+      try {
+        payload = JSON.parse(e.target.result);
+      } catch {
+        alert(tr('Could not read the file. Please make sure it is a valid Milestone Counter backup or calendar (.ics) file.'));
+        return;
+      }
+    }
+
+    if (isEncryptedBackup(payload)) {
+      payload = await openEncryptedBackup(payload);
+      if (!payload) return;
+    }
+
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.timers)) {
+      alert(tr('This file does not look like a Milestone Counter backup.'));
+      return;
+    }
+
+    try {
+      payload = migrateBackup(payload);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+
+    if (payload.timers.length === 0) { alert(tr('The backup file contains no timers.')); return; }
+
+    pendingImport = await buildImportPreview(payload);
+    navigate('import');
+  };
+
+  reader.readAsText(file);
+}
+
+
+/* ════════════════════════════════════════════════════
+   10c. IMPORT VALIDATION & PREVIEW
+
+   Backups are plain JSON that anyone can edit, so nothing
+   from a file is trusted. Older formats are first upgraded
+   one version at a time by BACKUP_MIGRATIONS, then every
+   timer is rebuilt field by field from what validates.
+   A timer that fails is listed on the preview as skipped
+   rather than silently dropped or imported half-broken.
+════════════════════════════════════════════════════ */
+
+/**
+ * Upgrades keyed by the version they upgrade FROM. Each returns a
+ * payload one version newer, so an old file walks the chain in order.
+ */
+const BACKUP_MIGRATIONS = {
+  // v1 had no photos; its photo wallpapers were already exported as 'none'
+  1: (payload) => ({ ...payload, version: 2, photos: {} }),
+};
+
+/** State of the import preview screen while it is open. */
+let pendingImport = null;
+
+/**
+ * Bring a parsed backup up to BACKUP_VERSION.
+ * Files from before versioning have no `version` and are treated as v1.
+ * @param {object} payload
+ * @returns {object}
+ */
+function migrateBackup(payload) {
+  const version = payload.version === undefined ? 1 : payload.version;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(tr('This backup has an unrecognised format version.'));
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error(tr('This backup was made by a newer version of Milestone Counter. Please update the app and try again.'));
+  }
+
+  let migrated = { ...payload, version };
+  while (migrated.version < BACKUP_VERSION) {
+    migrated = BACKUP_MIGRATIONS[migrated.version](migrated);
+  }
+
+  if (!migrated.photos || typeof migrated.photos !== 'object' || Array.isArray(migrated.photos)) {
+    migrated.photos = {};
+  }
+  return migrated;
+}
+
+function isValidDateString(value) {
+  return typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && toLocalDateString(parseDateOnly(value)) === value;
+}
+
+function isValidTimeString(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isDayCount(value, min = 0) {
+  return Number.isInteger(value) && value >= min && value <= MAX_CUSTOM_MILESTONE_DAYS;
+}
+
+/**
+ * Rebuild one message from a backup, or return null if it is invalid.
+ * @param {*} raw
+ * @returns {object|null}
+ */
+function validateBackupMessage(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.text !== 'string' || !raw.text.trim()) return null;
+
+  const msg = { text: raw.text, triggerType: raw.triggerType };
+
+  switch (raw.triggerType) {
+    case 'date':
+      if (!isValidDateString(raw.triggerDate)) return null;
+      msg.triggerDate = raw.triggerDate;
+      break;
+
+    case 'offset':
+      if (!Number.isInteger(raw.offsetDays) || !isDayCount(Math.abs(raw.offsetDays))) return null;
+      msg.offsetDays = raw.offsetDays;
+      break;
+
+    case 'days':
+      if (!isDayCount(raw.triggerDays)) return null;
+      msg.triggerDays = raw.triggerDays;
+      break;
+
+    case 'milestone':
+      if (!isDayCount(raw.triggerMilestone, 1)) return null;
+      msg.triggerMilestone = raw.triggerMilestone;
+      break;
+
+    case 'recurring':
+      if (!isValidDateString(raw.triggerDate)) return null;
+      if (!isDayCount(raw.repeatEvery, 1)) return null;
+      if (raw.repeatUnit !== 'days' && raw.repeatUnit !== 'weeks') return null;
+      msg.triggerDate = raw.triggerDate;
+      msg.repeatEvery = raw.repeatEvery;
+      msg.repeatUnit  = raw.repeatUnit;
+      break;
+
+    default:
+      return null;
+  }
+
+  if (raw.endDate != null && !isValidDateString(raw.endDate)) return null;
+  msg.endDate = raw.endDate || null;
+
+  if (raw.dismissedFor != null) {
+    if (!isValidDateString(raw.dismissedFor)) return null;
+    msg.dismissedFor = raw.dismissedFor;
+  }
+  return msg;
+}
+
+/**
+ * Rebuild one timer from a backup using only fields that validate.
+ * Optional fields missing from older files take their usual defaults.
+ * @param {*} raw
+ * @returns {{ timer: object }|{ error: string }}
+ */
+function validateBackupTimer(raw) {
+  const fail = (error, params) => ({ error: tr(error, params) });
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('not a timer');
+  if (typeof raw.id !== 'string' || !raw.id.trim())           return fail('missing its ID');
+  if (typeof raw.name !== 'string' || !raw.name.trim())       return fail('missing a name');
+  if (!isValidDateString(raw.date))                           return fail('invalid date');
+  if (raw.time != null && !isValidTimeString(raw.time))       return fail('invalid time');
+  if (raw.calendar != null && !CALENDARS.some(cal => cal.code === raw.calendar)) return fail('unknown calendar');
+  if (raw.mode !== 'countdown' && raw.mode !== 'countup')     return fail('unknown timer mode');
+
+  for (const key of ['repeatsYearly', 'notify', 'private', 'pinned', 'keepInList']) {
+    if (raw[key] !== undefined && typeof raw[key] !== 'boolean') return fail('invalid {setting} setting', { setting: key });
+  }
+
+  const wallpaper = raw.wallpaper === undefined ? 'none' : raw.wallpaper;
+  if (wallpaper !== 'none' && wallpaper !== 'photo' && !getThemeByKey(wallpaper)) return fail('unknown wallpaper');
+
+  let photoTransform = null;
+  if (raw.photoTransform != null) {
+    const { x, y, scale } = raw.photoTransform;
+    if (![x, y, scale].every(Number.isFinite) || scale <= 0) return fail('invalid photo position');
+    photoTransform = { x, y, scale };
+  }
+
+  if (raw.messages !== undefined && !Array.isArray(raw.messages)) return fail('invalid messages');
+  const messages = (raw.messages || []).map(validateBackupMessage);
+  if (messages.includes(null)) return fail('invalid message');
+
+  const messageLimit = raw.messageLimit === undefined ? DEFAULT_MESSAGE_LIMIT : raw.messageLimit;
+  if (messageLimit !== null && !isDayCount(messageLimit, 1)) return fail('invalid message limit');
+  if (messageLimit !== null && messages.length > messageLimit) return fail('more messages than its limit');
+
+  const builtIn = new Set(getDefaultMilestoneDays());
+  if (raw.milestones !== undefined
+    && !(Array.isArray(raw.milestones) && raw.milestones.every(d => builtIn.has(d)))) {
+    return fail('invalid milestones');
+  }
+  if (raw.customMilestones !== undefined
+    && !(Array.isArray(raw.customMilestones) && raw.customMilestones.every(d => isDayCount(d, 1)))) {
+    return fail('invalid custom milestones');
+  }
+  const tags = raw.tags === undefined ? [] : normaliseTags(raw.tags);
+  if (!tags) return fail('invalid tags');
+  if (raw.createdAt != null && !(Number.isFinite(raw.createdAt) && raw.createdAt > 0)) return fail('invalid created date');
+  if (raw.archivedAt != null && !(Number.isFinite(raw.archivedAt) && raw.archivedAt > 0)) return fail('invalid archive date');
+
+  return {
+    timer: {
+      id:               raw.id,
+      name:             raw.name.trim(),
+      date:             raw.date,
+      time:             raw.time || null,
+      calendar:         raw.calendar || null,
+      mode:             raw.mode,
+      repeatsYearly:    Boolean(raw.repeatsYearly),
+      notify:           raw.notify !== false,
+      private:          Boolean(raw.private),
+      wallpaper,
+      photoTransform:   wallpaper === 'photo' ? photoTransform : null,
+      messages,
+      messageLimit,
+      milestones:       raw.milestones ? [...raw.milestones] : getDefaultMilestoneDays(),
+      customMilestones: raw.customMilestones ? [...raw.customMilestones] : [],
+      tags,
+      pinned:           Boolean(raw.pinned),
+      archivedAt:       raw.archivedAt || null,
+      keepInList:       Boolean(raw.keepInList),
+      createdAt:        raw.createdAt || null,
+    },
+  };
+}
+
+/**
+ * Compare every timer in a migrated backup against the app and
+ * describe each as new, changed, identical or invalid.
+ * When the payload lists `fields`, only those are taken from the file.
+ * @param {object} payload — output of migrateBackup() or parseIcsTimers()
+ */
+async function buildImportPreview(payload) {
+  const photos = {};
+  const seen   = new Set();
+  const rows   = [];
+
+  for (const incoming of payload.timers) {
+    let raw = incoming;
+
+    // Files that only carry some fields (calendars) update those on an existing timer
+    const base = payload.fields && raw && appState.timers.find(t => t.id === raw.id);
+    if (base) {
+      const basePhoto = base.wallpaper === 'photo' ? await loadPhoto(base.id) : null;
+      if (basePhoto) payload.photos[base.id] = basePhoto;
+      raw = buildBackupTimer(base, Boolean(basePhoto));
+      payload.fields.forEach(key => { raw[key] = incoming[key]; });
+    }
+
+    const { timer, error } = validateBackupTimer(raw);
+    const name             = raw && typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : tr('Untitled timer');
+
+    if (error || seen.has(timer.id)) {
+      rows.push({ status: 'invalid', name, reason: error || tr('duplicate ID'), selected: false });
+      continue;
+    }
+    seen.add(timer.id);
+
+    const photo = payload.photos[timer.id];
+    if (timer.wallpaper === 'photo') {
+      if (typeof photo === 'string' && photo.startsWith('data:image/')) {
+        photos[timer.id] = photo;
+      } else {
+        timer.wallpaper      = 'none';
+        timer.photoTransform = null;
+      }
+    }
+
+    const existing = appState.timers.find(t => t.id === timer.id);
+    if (!existing) {
+      rows.push({ status: 'new', name: timer.name, timer, selected: true });
+      continue;
+    }
+
+    const existingPhoto = existing.wallpaper === 'photo' ? await loadPhoto(existing.id) : null;
+    const mine          = validateBackupTimer(buildBackupTimer(existing, Boolean(existingPhoto))).timer;
+    const identical     = mine
+      && JSON.stringify(mine) === JSON.stringify(timer)
+      && (existingPhoto || null) === (photos[timer.id] || null);
+
+    rows.push(identical
+      ? { status: 'identical', name: timer.name, timer, selected: false }
+      : { status: 'changed',   name: timer.name, timer, selected: true, choice: 'theirs' });
+  }
+
+  const incomingIds = new Set(rows.filter(r => r.timer).map(r => r.timer.id));
+  const localOnly   = appState.timers.filter(t => !incomingIds.has(t.id)).length;
+
+  return { rows, photos, localOnly, removeMissing: false };
+}
+
+// Translated as they're shown (section 5b)
+const IMPORT_STATUS_LABELS = {
+  new:       'New',
+  changed:   'Changed',
+  identical: 'Identical',
+  invalid:   'Skipped',
+};
+
+function showImportScreen() {
+  renderImportScreen();
+  showScreen('import');
+}
+
+function renderImportScreen() {
+  const { rows, localOnly } = pendingImport;
+  const counts = { new: 0, changed: 0, identical: 0, invalid: 0 };
+  rows.forEach(r => { counts[r.status]++; });
+
+  const parts = [];
+  if (counts.new)       parts.push(tr('{count} new', { count: counts.new }));
+  if (counts.changed)   parts.push(tr('{count} changed', { count: counts.changed }));
+  if (counts.identical) parts.push(tr('{count} already up to date', { count: counts.identical }));
+  if (counts.invalid)   parts.push(tr('{count} skipped as invalid', { count: counts.invalid }));
+  document.getElementById('import-summary').textContent =
+    tr('{count} timers in this file: {parts}.', { count: rows.length, parts: formatList(parts) });
+
+  document.getElementById('import-conflict-choice').classList.toggle('hidden', counts.changed === 0);
+
+  const removeLabel = document.getElementById('import-remove-missing-label');
+  removeLabel.classList.toggle('hidden', localOnly === 0);
+  removeLabel.querySelector('span').textContent =
+    tr('Also move {count} timers not in this backup to the trash', { count: localOnly });
+  document.getElementById('input-import-remove-missing').checked = pendingImport.removeMissing;
+
+  const listEl = document.getElementById('import-list');
+  listEl.innerHTML = '';
+
+  rows.forEach(row => {
+    const li = document.createElement('li');
+    li.className = `import-row import-row--${row.status}`;
+
+    const canSelect = row.status === 'new' || row.status === 'changed';
+    const meta      = row.timer
+      ? formatTimerSpan(row.timer)
+      : tr('Can\u2019t import \u2014 {reason}', { reason: row.reason });
+
+    li.innerHTML = `
+      <label class="import-row-header">
+        <input type="checkbox" class="import-row-check" ${row.selected ? 'checked' : ''} ${canSelect ? '' : 'disabled'} />
+        <span class="import-row-name">${escapeHtml(row.name)}</span>
+        <span class="import-row-status">${escapeHtml(tr(IMPORT_STATUS_LABELS[row.status]))}</span>
+      </label>
+      <p class="message-row-meta">${escapeHtml(meta)}</p>
+      ${row.status === 'changed' ? `
+        <div class="mode-toggle-group import-row-choice" role="group" aria-label="${escapeHtml(tr('Which version to keep'))}">
+          <button type="button" class="mode-toggle-btn ${row.choice === 'mine' ? 'active' : ''}" data-choice="mine">${escapeHtml(tr('Keep mine'))}</button>
+          <button type="button" class="mode-toggle-btn ${row.choice === 'theirs' ? 'active' : ''}" data-choice="theirs">${escapeHtml(tr('Take theirs'))}</button>
+        </div>` : ''}
+    `;
+
+    li.querySelector('.import-row-check').addEventListener('change', (e) => {
+      row.selected = e.target.checked;
+      renderImportScreen();
+    });
+    li.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.disabled = !row.selected;
+      btn.addEventListener('click', () => {
+        row.choice = btn.dataset.choice;
+        renderImportScreen();
+      });
+    });
+
+    listEl.appendChild(li);
+  });
+
+  document.getElementById('btn-import-confirm').disabled = !getImportChanges().length && !pendingImport.removeMissing;
+}
+
+/** Set every changed timer to keep the local or the backup version. */
+function setImportConflictChoice(choice) {
+  pendingImport.rows.forEach(row => {
+    if (row.status === 'changed') row.choice = choice;
+  });
+  renderImportScreen();
+}
+
+/** The rows that will actually change something if the import goes ahead. */
+function getImportChanges() {
+  return pendingImport.rows.filter(row => row.selected
+    && (row.status === 'new' || (row.status === 'changed' && row.choice === 'theirs')));
+}
+
+async function confirmImport() {
+  const changes = getImportChanges();
+  const added   = changes.filter(row => row.status === 'new').map(row => row.timer);
+  const updated = changes.filter(row => row.status === 'changed').map(row => row.timer);
+
+  // Imported timers start their milestone baseline and notifications from now
+  [...added, ...updated].forEach(t => { t.notifyFrom = Date.now(); });
+  added.forEach(t => { t.createdAt = t.createdAt || Date.now(); });
+  // A backup can bring back a timer that is in the trash — the import wins,
+  // and purging the trashed copy later mustn't take the restored photo with it
+  forgetTrashedTimers(added.map(t => t.id));
+  await restoreBackupPhotos([...added, ...updated], pendingImport.photos);
+
+  for (const t of updated) {
+    const index = appState.timers.findIndex(existing => existing.id === t.id);
+    if (appState.timers[index].wallpaper === 'photo' && t.wallpaper !== 'photo') await deletePhoto(t.id);
+    appState.timers[index] = t;
+  }
+  appState.timers.push(...added);
+
+  let removed = 0;
+  if (pendingImport.removeMissing) {
+    const incomingIds = new Set(pendingImport.rows.filter(r => r.timer).map(r => r.timer.id));
+    const missing     = appState.timers.filter(t => !incomingIds.has(t.id));
+    missing.forEach(t => moveTimerToTrash(t.id));
+    removed = missing.length;
+
+    // A full restore also brings back the backup's order
+    const fileOrder = [...incomingIds];
+    appState.timers.sort((a, b) => fileOrder.indexOf(a.id) - fileOrder.indexOf(b.id));
+  }
+
+  pendingImport = null;
+  saveState();
+  navigate('list', null, { replace: true });
+
+  const summary = [];
+  if (added.length)   summary.push(tr('{count} added', { count: added.length }));
+  if (updated.length) summary.push(tr('{count} updated', { count: updated.length }));
+  if (removed)        summary.push(tr('{count} moved to the trash', { count: removed }));
+  alert(summary.length ? tr('Import complete \u2014 {summary}.', { summary: formatList(summary) }) : tr('Nothing was changed.'));
+}
+
+function cancelImport() {
+  pendingImport = null;
+  goBack('list');
+}
+
+
+/* ════════════════════════════════════════════════════
+   10d. CALENDAR (.ics) EXPORT & IMPORT
+
+   Export writes one all-day VEVENT per date worth seeing
+   in a calendar: the timer's own date (a yearly RRULE for
+   recurring anniversaries, with an RFC 7529 RSCALE for
+   those on another calendar), each enabled milestone, and
+   each message's start date (a DAILY/WEEKLY RRULE for
+   repeating messages). UIDs are "<timer id>-<kind>@…" so
+   re-importing our own file updates the same timers and
+   skips the milestone and message events.
+
+   Import turns every other VEVENT into a timer and sends
+   them through the same preview as a JSON backup.
+════════════════════════════════════════════════════ */
+
+const ICS_UID_DOMAIN = 'milestone-counter';
+
+/** Escape a TEXT value (RFC 5545 §3.3.11). */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeIcsText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * Fold a content line at 75 octets, never splitting a character.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts   = [];
+  let current   = '';
+  let bytes     = 0;
+
+  for (const char of line) {
+    const size  = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes   = 0;
+    }
+    current += char;
+    bytes   += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/** "YYYYMMDD" for a local date. */
+function formatIcsDate(date) {
+  return toLocalDateString(date).replace(/-/g, '');
+}
+
+/**
+ * One VEVENT. All-day unless `time` ("HH:MM") is given, in which case
+ * the start is a floating local time.
+ */
+function buildIcsEvent({ uid, date, time = null, endDate = null, summary, description = '', rrule = null, extra = [] }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`];
+
+  if (time) {
+    lines.push(`DTSTART:${formatIcsDate(date)}T${time.replace(':', '')}00`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatIcsDate(addDays(endDate || date, 1))}`);
+  }
+
+  lines.push(`SUMMARY:${escapeIcsText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (rrule)       lines.push(`RRULE:${rrule}`);
+  lines.push(...extra, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * All calendar events for one timer. For recurring timers the milestone
+ * and message dates are those of the coming occurrence.
+ * @param {object} timer
+ * @returns {string[]} unfolded content lines
+ */
+function buildTimerIcsEvents(timer) {
+  const uid   = (kind) => `${timer.id}-${kind}@${ICS_UID_DOMAIN}`;
+  const today = parseDateOnly(toLocalDateString(new Date()));
+  const lines = [];
+
+  // The timer's own date. Recurring timers keep their original date and
+  // repeat yearly; Feb 29 falls back to the last day of February, as does
+  // a missing day in another calendar (SKIP=BACKWARD).
+  const isLeapDay = timer.date.endsWith('-02-29');
+  const calendar  = getTimerCalendar(timer);
+  let rrule       = null;
+  if (isRecurringTimer(timer)) {
+    if (calendar)       rrule = `RSCALE=${calendar.toUpperCase()};FREQ=YEARLY;SKIP=BACKWARD`;
+    else if (isLeapDay) rrule = 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1';
+    else                rrule = 'FREQ=YEARLY';
+  }
+  lines.push(...buildIcsEvent({
+    uid:         uid('target'),
+    date:        parseDateOnly(timer.date),
+    time:        timer.time,
+    summary:     timer.name,
+    description: tr(timer.mode === 'countdown' ? 'Counting down to this date in Milestone.' : 'Counting up from this date in Milestone.'),
+    rrule,
+    extra:       [
+      `X-MILESTONE-MODE:${timer.mode}`,
+      ...(calendar ? [`X-MILESTONE-CALENDAR:${calendar}`] : []),
+      ...((timer.tags || []).length ? [`CATEGORIES:${timer.tags.map(escapeIcsText).join(',')}`] : []),
+    ],
+  }));
+
+  // Milestones — countdown milestones that are already behind us are left out
+  getTimerMilestones(timer).forEach(m => {
+    const date = getDayCountDate(timer, m.days);
+    if (timer.mode === 'countdown' && date < today) return;
+    lines.push(...buildIcsEvent({
+      uid:     uid(`milestone-${m.days}`),
+      date,
+      summary: `${timer.name} \u2014 ${timer.mode === 'countdown' ? tr('{milestone} to go', { milestone: m.label }) : m.label}`,
+    }));
+  });
+
+  // Messages
+  (timer.messages || []).forEach((msg, index) => {
+    const date = msg.triggerType === 'recurring' ? parseDateOnly(msg.triggerDate) : getMessageStartDate(timer, msg, today);
+    if (!date) return;
+
+    let rrule = null;
+    if (msg.triggerType === 'recurring') {
+      rrule = `FREQ=${msg.repeatUnit === 'weeks' ? 'WEEKLY' : 'DAILY'};INTERVAL=${msg.repeatEvery}`;
+      if (msg.endDate) rrule += `;UNTIL=${formatIcsDate(parseDateOnly(msg.endDate))}`;
+    }
+    const endDate = !rrule && msg.endDate && parseDateOnly(msg.endDate) > date ? parseDateOnly(msg.endDate) : null;
+
+    lines.push(...buildIcsEvent({
+      uid:         uid(`message-${index}`),
+      date,
+      endDate,
+      summary: `${timer.name}: ${msg.text}`,
+      rrule,
+    }));
+  });
+
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR for the given timers.
+ * @param {object[]} timers
+ * @returns {string}
+ */
+function buildIcsCalendar(timers) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Milestone Counter//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Milestone',
+    ...timers.flatMap(buildTimerIcsEvents),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/** Export one timer (the one on screen) or every timer as an .ics file. */
+async function exportTimersToCalendar(timers) {
+  if (timers.length === 0) {
+    alert(tr('No timers to export.'));
+    return;
+  }
+  if (timers.some(isTimerHidden) && !(await unlockApp({ title: tr('Private Timers'), message: tr('Enter the passcode to include private timers.') }))) return;
+
+  const name = timers.length === 1 ? slugifyName(timers[0].name) : `timers-${new Date().toISOString().slice(0, 10)}`;
+
+  await saveFileToDevice(buildIcsCalendar(timers), `milestone-${name}.ics`, 'text/calendar', tr('Milestone Calendar'));
+}
+
+function isIcsText(text) {
+  return /^\s*BEGIN:(VCALENDAR|VEVENT)\b/i.test(text);
+}
+
+/**
+ * Split calendar text into unfolded content lines of
+ * { name, params, value }, with parameter names upper-cased.
+ */
+function parseIcsLines(text) {
+  return text
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+      if (colon < 0) return null;
+      const [name, ...rawParams] = line.slice(0, colon).split(';');
+      const params = {};
+      rawParams.forEach(p => {
+        const [key, value = ''] = p.split('=');
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+      });
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Read a DTSTART into a local date and optional time.
+ * UTC times are converted to local; TZID times are taken as local.
+ * @returns {{ date: string, time: string|null }|null}
+ */
+function parseIcsDateTime({ params, value }) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, sec, utc] = match;
+  if (params.VALUE === 'DATE' || h === undefined) return { date: `${y}-${mo}-${d}`, time: null };
+
+  const local = utc
+    ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec))
+    : new Date(+y, +mo - 1, +d, +h, +mi, +sec);
+  const time = `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`;
+  return { date: toLocalDateString(local), time: time === '00:00' ? null : time };
+}
+
+/**
+ * Turn every VEVENT in a calendar file into a backup-shaped timer.
+ * Future events become countdowns and past ones count-ups; yearly
+ * events become recurring countdowns. IDs come from the event UID so
+ * importing the same file twice finds the same timers; events from our
+ * own export keep their timer IDs and mode, and their milestone and
+ * message events are skipped. CATEGORIES become tags, and an RSCALE
+ * we know sets the timer's calendar (section 5c). A calendar only
+ * carries the fields listed in `fields`; the preview keeps everything
+ * else from the existing timer.
+ * @param {string} text
+ * @returns {{ version: number, timers: object[], photos: object }}
+ */
+function parseIcsTimers(text) {
+  const today  = toLocalDateString(new Date());
+  const timers = [];
+  let event    = null;
+
+  for (const line of parseIcsLines(text)) {
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') { event = {}; continue; }
+    if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+      if (event) timers.push(event);
+      event = null;
+      continue;
+    }
+    if (event && !(line.name in event)) event[line.name] = line;
+  }
+
+  const ownUid = new RegExp(`^(.+)-(target|milestone-\\d+|message-\\d+)@${ICS_UID_DOMAIN}$`);
+
+  return {
+    version: BACKUP_VERSION,
+    photos:  {},
+    fields:  ['name', 'date', 'time', 'calendar', 'mode', 'repeatsYearly', 'tags'],
+    timers:  timers.flatMap(ev => {
+      const uid    = ev.UID ? ev.UID.value.trim() : '';
+      const own    = ownUid.exec(uid);
+      if (own && own[2] !== 'target') return [];
+
+      const start  = ev.DTSTART && parseIcsDateTime(ev.DTSTART);
+      const name   = ev.SUMMARY ? unescapeIcsText(ev.SUMMARY.value).trim() : '';
+      const yearly = Boolean(ev.RRULE && /(^|;)FREQ=YEARLY(;|$)/i.test(ev.RRULE.value));
+      const rscale = ev.RRULE && /(?:^|;)RSCALE=([^;]+)/i.exec(ev.RRULE.value);
+      const scale  = ev['X-MILESTONE-CALENDAR'] ? ev['X-MILESTONE-CALENDAR'].value.trim() : (rscale ? rscale[1].toLowerCase() : null);
+      const mode   = ev['X-MILESTONE-MODE'] ? ev['X-MILESTONE-MODE'].value.trim()
+        : (yearly || (start && start.date >= today) ? 'countdown' : 'countup');
+      // Calendar categories become tags; commas inside one are escaped, and
+      // categories with nothing usable in them (e.g. "#") are left out
+      const tags   = ev.CATEGORIES
+        ? normaliseTags(ev.CATEGORIES.value.split(/(?<!\\),/)
+          .map(text => cleanTag(unescapeIcsText(text)).slice(0, MAX_TAG_LENGTH).trim())
+          .filter(Boolean))
+        : [];
+
+      return [{
+        id:            own ? own[1] : (uid ? `ics-${uid}` : generateId()),
+        name:          name || tr('Untitled event'),
+        date:          start ? start.date : null,
+        time:          start ? start.time : null,
+        calendar:      CALENDARS.some(cal => cal.code === scale) ? scale : null,
+        mode,
+        repeatsYearly: yearly && mode === 'countdown',
+        tags,
+      }];
+    }),
+  };
+}
+
+
+/* ════════════════════════════════════════════════════
+   10e. TRASH & UNDO
+
+   Deleting a timer moves it to appState.trash as
+   { timer, deletedAt, index }, where index is its place
+   in appState.timers so a restore puts it back there.
+   Its photo stays in IndexedDB until the item is purged.
+   Items older than TRASH_RETENTION_DAYS are purged on
+   launch and whenever the trash is opened.
+════════════════════════════════════════════════════ */
+
+const TRASH_RETENTION_DAYS = 30;
+const UNDO_TOAST_MS        = 6000;
+
+/** @returns {object|null} the trashed timer */
+function moveTimerToTrash(timerId) {
+  const index = appState.timers.findIndex(t => t.id === timerId);
+  if (index === -1) return null;
+
+  const [timer] = appState.timers.splice(index, 1);
+  appState.trash.unshift({ timer, deletedAt: Date.now(), index });
+  if (appState.activeTimerId === timerId) appState.activeTimerId = null;
+  return timer;
+}
+
+/**
+ * Put a trashed timer back where it was. Notifications and milestone
+ * celebrations start from now, so the days it spent in the trash don't
+ * all arrive at once.
+ */
+function restoreTrashedTimer(timerId) {
+  const item = appState.trash.find(entry => entry.timer.id === timerId);
+  if (!item) return;
+
+  appState.trash = appState.trash.filter(entry => entry !== item);
+  item.timer.notifyFrom = Date.now();
+  resetMilestoneBaseline(item.timer);
+  appState.timers.splice(Math.min(item.index, appState.timers.length), 0, item.timer);
+  saveState();
+}
+
+/** Drop trash entries without deleting their photos — the IDs are in use again. */
+function forgetTrashedTimers(timerIds) {
+  const ids = new Set(timerIds);
+  appState.trash = appState.trash.filter(entry => !ids.has(entry.timer.id));
+}
+
+async function purgeTrashedTimers(timerIds) {
+  const ids = new Set(timerIds);
+  for (const id of ids) await deletePhoto(id);
+  appState.trash = appState.trash.filter(entry => !ids.has(entry.timer.id));
+  saveState();
+}
+
+/** Remove anything that has been in the trash for longer than the retention period. */
+async function purgeExpiredTrash() {
+  const cutoff  = Date.now() - TRASH_RETENTION_DAYS * MS_PER_DAY;
+  const expired = appState.trash.filter(entry => entry.deletedAt < cutoff);
+  if (expired.length) await purgeTrashedTimers(expired.map(entry => entry.timer.id));
+}
+
+/** "today", "yesterday" or "5 days ago", plus how long until it's gone for good. */
+function formatTrashAge(deletedAt) {
+  const age      = Math.floor((Date.now() - deletedAt) / MS_PER_DAY);
+  const left     = Math.max(1, TRASH_RETENTION_DAYS - age);
+  const deleted  = age === 0 ? tr('Deleted today') : (age === 1 ? tr('Deleted yesterday') : tr('Deleted {count} days ago', { count: age }));
+  return `${deleted} \u00B7 ${tr('removed for good in {count} days', { count: left })}`;
+}
+
+async function showTrashScreen() {
+  renderTrashScreen();
+  showScreen('trash');
+  await purgeExpiredTrash();
+  renderTrashScreen();
+}
+
+function renderTrashScreen() {
+  const listEl = document.getElementById('trash-list');
+  const trash  = appState.trash;
+
+  document.getElementById('trash-empty').classList.toggle('hidden', trash.length > 0);
+  document.getElementById('btn-empty-trash').classList.toggle('hidden', trash.length === 0);
+  listEl.innerHTML = '';
+
+  trash.forEach(({ timer, deletedAt }) => {
+    const hidden = isTimerHidden(timer);
+    const name   = getTimerDisplayName(timer);
+    const li = document.createElement('li');
+    li.className = 'import-row trash-row';
+    li.innerHTML = `
+      <div class="import-row-header">
+        <span class="import-row-name">${escapeHtml(name)}</span>
+      </div>
+      ${hidden ? '' : `<p class="message-row-meta">${escapeHtml(formatTimerSpan(timer))}</p>`}
+      <p class="message-row-meta">${formatTrashAge(deletedAt)}</p>
+      <div class="trash-row-actions">
+        <button type="button" class="add-custom-btn" data-action="restore">${tr('Restore')}</button>
+        <button type="button" class="add-custom-btn trash-purge-btn" data-action="purge">${tr('Delete forever')}</button>
+      </div>
+    `;
+
+    li.querySelector('[data-action="restore"]').addEventListener('click', () => {
+      restoreTrashedTimer(timer.id);
+      renderTrashScreen();
+    });
+    li.querySelector('[data-action="purge"]').addEventListener('click', async () => {
+      if (!confirm(tr('Delete \u201C{name}\u201D for good? This cannot be undone.', { name }))) return;
+      await purgeTrashedTimers([timer.id]);
+      renderTrashScreen();
+    });
+
+    listEl.appendChild(li);
+  });
+}
+
+async function emptyTrash() {
+  const count = appState.trash.length;
+  if (count === 0) return;
+  if (!confirm(tr('Delete {count} timers for good? This cannot be undone.', { count }))) return;
+
+  await purgeTrashedTimers(appState.trash.map(entry => entry.timer.id));
+  renderTrashScreen();
+}
+
+let undoToastHandle = null;
+let undoToastAction = null;
+
+/**
+ * Show a message with an Undo button along the bottom of the screen.
+ * Only the latest action can be undone; it expires with the toast.
+ * @param {string}   message
+ * @param {Function} onUndo
+ */
+function showUndoToast(message, onUndo) {
+  document.getElementById('undo-toast-message').textContent = message;
+  document.getElementById('undo-toast').classList.remove('hidden');
+  undoToastAction = onUndo;
+
+  clearTimeout(undoToastHandle);
+  undoToastHandle = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+}
+
+function hideUndoToast() {
+  clearTimeout(undoToastHandle);
+  undoToastHandle = null;
+  undoToastAction = null;
+  document.getElementById('undo-toast').classList.add('hidden');
+}
+
+function undoFromToast() {
+  const action = undoToastAction;
+  hideUndoToast();
+  if (action) action();
+}
+
+
+/* ════════════════════════════════════════════════════
+   10f. ARCHIVE
+
+   An archived timer keeps its place in appState.timers
+   with an `archivedAt` time. It leaves the list, tags,
+   milestones and notifications but stays in backups,
+   and its detail screen still opens from the Archive.
+   With appState.autoArchiveDays set, countdowns are
+   archived that many days after they arrive. Taking a
+   timer out of the archive sets `keepInList` so it
+   isn't archived again automatically.
+════════════════════════════════════════════════════ */
+
+const AUTO_ARCHIVE_OPTIONS = [null, 1, 7, 30];
+
+function isArrivedCountdown(timer) {
+  return timer.mode === 'countdown' && getTimerValues(timer).isExpired;
+}
+
+/**
+ * @param {string}  timerId
+ * @param {boolean} archived
+ */
+function setTimerArchived(timerId, archived) {
+  const timer = appState.timers.find(t => t.id === timerId);
+  if (!timer) return;
+
+  timer.archivedAt = archived ? Date.now() : null;
+  timer.keepInList = !archived;
+  // Back on the list, milestones and notifications carry on from now
+  if (!archived) {
+    resetMilestoneBaseline(timer);
+    timer.notifyFrom = Date.now();
+  }
+  saveState();
+}
+
+/** Archive the timer being edited, with an undo on the list. */
+function archiveTimerFromForm() {
+  if (!editingTimerId) return;
+
+  const timer = appState.timers.find(t => t.id === editingTimerId);
+  setTimerArchived(timer.id, true);
+  navigate('list', null, { replace: true });
+  showUndoToast(tr('\u201C{name}\u201D archived', { name: timer.name }), () => {
+    setTimerArchived(timer.id, false);
+    renderTimerList();
+  });
+}
+
+/**
+ * Turn an arrived countdown into a count-up from the same date —
+ * "days since the wedding" — and bring it back to the list.
+ */
+function convertToCountUp(timerId) {
+  const timer = appState.timers.find(t => t.id === timerId);
+  if (!timer || !isArrivedCountdown(timer)) return;
+
+  timer.mode          = 'countup';
+  timer.repeatsYearly = false;
+  timer.archivedAt    = null;
+  timer.keepInList    = false;
+  timer.notifyFrom    = Date.now();
+  resetMilestoneBaseline(timer);
+  saveState();
+}
+
+/**
+ * Archive countdowns that arrived at least appState.autoArchiveDays ago.
+ * Recurring countdowns never arrive for good, so they're left alone.
+ * @returns {boolean} whether anything was archived
+ */
+function autoArchiveTimers() {
+  const days = appState.autoArchiveDays;
+  if (!days) return false;
+
+  const cutoff   = Date.now() - days * MS_PER_DAY;
+  const archived = getActiveTimers().filter(timer =>
+    !timer.keepInList
+    && isArrivedCountdown(timer)
+    && getTimerTarget(timer).getTime() <= cutoff);
+
+  archived.forEach(timer => { timer.archivedAt = Date.now(); });
+  if (archived.length) saveState();
+  return archived.length > 0;
+}
+
+function setAutoArchiveDays(value) {
+  const days = value ? Number(value) : null;
+  if (!AUTO_ARCHIVE_OPTIONS.includes(days)) return;
+  appState.autoArchiveDays = days;
+  autoArchiveTimers();
+  saveState();
+}
+
+/**
+ * The totals an archived timer finished on, e.g. "Counted down 212 days".
+ * Countdowns count from when they were created; older timers have no
+ * createdAt, so only the arrival date is shown for them.
+ * @returns {string[]}
+ */
+function getArchiveStats(timer) {
+  const target     = getTimerTarget(timer);
+  const archivedAt = new Date(timer.archivedAt || Date.now());
+  const date       = formatTimerDate(timer);
+  const stats      = [];
+
+  if (timer.mode === 'countup') {
+    stats.push(tr('Counted up {count} days from {date}', { count: wholeDaysBetween(target, archivedAt).days, date }));
+  } else if (isArrivedCountdown(timer)) {
+    stats.push(tr('Arrived {date}', { date }));
+    if (timer.createdAt && timer.createdAt < target.getTime()) {
+      stats.push(tr('Counted down {count} days', { count: wholeDaysBetween(new Date(timer.createdAt), target).days }));
+    }
+  } else {
+    stats.push(tr('{count} days to go when archived \u2014 {date}', { count: wholeDaysBetween(archivedAt, target).days, date }));
+  }
+
+  stats.push(tr('Archived {date}', { date: formatDate(toLocalDateString(archivedAt)) }));
+  return stats;
+}
+
+function showArchiveScreen() {
+  renderArchiveScreen();
+  showScreen('archive');
+}
+
+function renderArchiveScreen() {
+  const listEl   = document.getElementById('archive-list');
+  const archived = appState.timers
+    .filter(t => t.archivedAt)
+    .sort((a, b) => b.archivedAt - a.archivedAt);
+
+  document.getElementById('archive-empty').classList.toggle('hidden', archived.length > 0);
+  listEl.innerHTML = '';
+
+  archived.forEach(timer => {
+    const hidden = isTimerHidden(timer);
+    const li = document.createElement('li');
+    li.className = 'import-row archive-row';
+    li.innerHTML = `
+      <button type="button" class="import-row-header archive-row-open">
+        <span class="import-row-name">${escapeHtml(getTimerDisplayName(timer))}</span>
+        <span class="import-row-status">${tr(timer.mode === 'countdown' ? 'Countdown' : 'Count-up')}</span>
+      </button>
+      ${hidden ? '' : getArchiveStats(timer).map(line => `<p class="message-row-meta">${escapeHtml(line)}</p>`).join('')}
+      <div class="trash-row-actions">
+        ${isArrivedCountdown(timer) ? `<button type="button" class="add-custom-btn" data-action="countup">${tr('Count up from it')}</button>` : ''}
+        <button type="button" class="add-custom-btn" data-action="unarchive">${tr('Unarchive')}</button>
       </div>
-      <p class="message-row-text">${escapeHtml(msg.text)}</p>
-      <p class="message-row-meta">Showing from ${formatDate(msg.triggerDate)}</p>
     `;
 
-    row.querySelector('.message-remove-btn').addEventListener('click', () => {
-      const current = getFormMessages();
-      current.splice(index, 1);
-      setFormMessages(current, timer);
-    });
+    li.querySelector('.archive-row-open').addEventListener('click', () => openDetailScreen(timer.id));
+    li.querySelector('[data-action="unarchive"]').addEventListener('click', () => {
+      setTimerArchived(timer.id, false);
+      renderArchiveScreen();
+    });
+    li.querySelector('[data-action="countup"]')?.addEventListener('click', () => {
+      convertToCountUp(timer.id);
+      renderArchiveScreen();
+    });
+
+    listEl.appendChild(li);
+  });
+}
+
+/** The arrived / archived panel under the detail countdown. */
+function updateDetailArchivePanel(timer) {
+  const arrived = isArrivedCountdown(timer);
+
+  document.getElementById('detail-archive-panel').classList.toggle('hidden', !arrived && !timer.archivedAt);
+  document.getElementById('detail-archive-status').textContent = timer.archivedAt
+    ? tr('Archived {date}', { date: formatDate(toLocalDateString(new Date(timer.archivedAt))) })
+    : tr('This countdown has arrived');
+  document.getElementById('btn-detail-countup').classList.toggle('hidden', !arrived);
+  document.getElementById('btn-detail-archive').textContent = tr(timer.archivedAt ? 'Unarchive' : 'Archive');
+}
+
+function toggleDetailArchived() {
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  if (!timer) return;
+  setTimerArchived(timer.id, !timer.archivedAt);
+  updateDetailDisplay();
+}
+
+function convertDetailToCountUp() {
+  const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+  if (!timer) return;
+  convertToCountUp(timer.id);
+  updateDetailHeading(timer);
+  updateDetailDisplay();
+}
+
+
+/* ════════════════════════════════════════════════════
+   10g. ENCRYPTED BACKUPS
+
+   Exports can be locked with a passphrase. The backup
+   JSON is encrypted with AES-GCM under a key derived from
+   the passphrase with PBKDF2, and wrapped in an envelope
+   that says how to open it again:
+     { format: 'milestone-encrypted', version: 1,
+       kdf:    { name: 'PBKDF2', hash, iterations, salt },
+       cipher: { name: 'AES-GCM', iv },
+       data }
+   Binary values are base64. AES-GCM refuses to decrypt a
+   file that has been changed, so a wrong passphrase and a
+   tampered file end the same way — and are reported as
+   such rather than as an unreadable file.
+════════════════════════════════════════════════════ */
+
+const ENCRYPTED_BACKUP_FORMAT  = 'milestone-encrypted';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const PBKDF2_ITERATIONS        = 600000;
+// More than this and a crafted file could freeze the tab deriving its key
+const MAX_PBKDF2_ITERATIONS    = PBKDF2_ITERATIONS * 10;
+const MIN_PASSPHRASE_LENGTH    = 8;
+
+/** The open passphrase dialog: { mode, resolve } */
+let passphraseDialog = null;
+
+function canEncryptBackups() {
+  return Boolean(window.crypto && crypto.subtle);
+}
+
+function isEncryptedBackup(payload) {
+  return Boolean(payload) && payload.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // In slices — spreading megabytes of photo data into one call overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function deriveBackupKey(passphrase, salt, iterations, usage) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage],
+  );
+}
+
+/**
+ * @param {string} json        — the backup file's contents
+ * @param {string} passphrase
+ * @returns {Promise<object>} the encrypted envelope
+ */
+async function encryptBackup(json, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv   = crypto.getRandomValues(new Uint8Array(12));
+  const key  = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+
+  return {
+    format:  ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf:     { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher:  { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data:    bytesToBase64(new Uint8Array(data)),
+  };
+}
+
+/**
+ * Check an envelope has everything needed to decrypt it.
+ * @returns {{ salt: Uint8Array, iv: Uint8Array, data: Uint8Array, iterations: number }}
+ */
+function readBackupEnvelope(envelope) {
+  const { kdf, cipher } = envelope;
+  try {
+    if (envelope.version !== ENCRYPTED_BACKUP_VERSION) throw new Error('unknown version');
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') throw new Error('bad kdf');
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_PBKDF2_ITERATIONS) throw new Error('bad iterations');
+    if (!cipher || cipher.name !== 'AES-GCM') throw new Error('bad cipher');
+    return {
+      salt:       base64ToBytes(kdf.salt),
+      iv:         base64ToBytes(cipher.iv),
+      data:       base64ToBytes(envelope.data),
+      iterations: kdf.iterations,
+    };
+  } catch {
+    throw new Error(tr('This encrypted backup is damaged or was made by a newer version of Milestone, so it can\u2019t be opened.'));
+  }
+}
+
+/**
+ * Decrypt an envelope back to the backup it holds.
+ * Throws an Error whose message can be shown as it is; its name is
+ * 'WrongPassphraseError' when the passphrase (or the file) is wrong.
+ * @returns {Promise<object>} the parsed backup
+ */
+async function decryptBackup(envelope, passphrase) {
+  const { salt, iv, data, iterations } = readBackupEnvelope(envelope);
+
+  let plain;
+  try {
+    const key = await deriveBackupKey(passphrase, salt, iterations, 'decrypt');
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  } catch {
+    const error = new Error(tr('That passphrase doesn\u2019t open this backup \u2014 or the file has been changed since it was exported.'));
+    error.name  = 'WrongPassphraseError';
+    throw error;
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw new Error(tr('This encrypted backup opened, but what\u2019s inside isn\u2019t a Milestone Counter backup.'));
+  }
+}
+
+/**
+ * Ask for the passphrase of an encrypted backup until it opens or the
+ * user gives up.
+ * @returns {Promise<object|null>} the backup, or null if cancelled
+ */
+async function openEncryptedBackup(envelope) {
+  if (!canEncryptBackups()) {
+    alert(tr('This backup is encrypted, and this browser can\u2019t decrypt it here. Open Milestone over https and try again.'));
+    return null;
+  }
+  try {
+    readBackupEnvelope(envelope);
+  } catch (e) {
+    alert(e.message);
+    return null;
+  }
+
+  let error = '';
+  for (;;) {
+    const passphrase = await askForPassphrase('import', { error });
+    if (passphrase === null) return null;
+    try {
+      return await decryptBackup(envelope, passphrase);
+    } catch (e) {
+      if (e.name !== 'WrongPassphraseError') {
+        alert(e.message);
+        return null;
+      }
+      error = e.message;
+    }
+  }
+}
+
+// -- Passphrase dialog --
+
+/**
+ * Show the passphrase dialog.
+ * 'export' — encryption is optional; the passphrase is typed twice,
+ *            and '' means export without one.
+ * 'import' — the passphrase of the backup being opened.
+ * @param {'export'|'import'} mode
+ * @param {object} [options]
+ * @param {string} [options.title]
+ * @param {string} [options.error] — shown under the fields, e.g. after a wrong passphrase
+ * @returns {Promise<string|null>} null if cancelled
+ */
+function askForPassphrase(mode, { title = null, error = '' } = {}) {
+  if (passphraseDialog) closePassphraseDialog();
+  const isExport = mode === 'export';
+  const result   = new Promise(resolve => { passphraseDialog = { mode, resolve }; });
+
+  document.getElementById('passphrase-title').textContent   = title || tr(isExport ? 'Export Backup' : 'Encrypted Backup');
+  document.getElementById('passphrase-message').textContent = isExport
+    ? tr('Backups hold every timer\u2019s name, dates and messages. A passphrase keeps them private wherever the file ends up \u2014 but without it, the file can\u2019t be opened at all.')
+    : tr('Enter the passphrase this backup was exported with.');
+  document.getElementById('passphrase-enable-row').classList.toggle('hidden', !isExport || !canEncryptBackups());
+  document.getElementById('passphrase-confirm-row').classList.toggle('hidden', !isExport);
+  document.getElementById('input-passphrase').autocomplete = isExport ? 'new-password' : 'current-password';
+  document.getElementById('btn-passphrase-ok').textContent = tr(isExport ? 'Export' : 'Open Backup');
+  document.getElementById('input-passphrase-enabled').checked = false;
+  document.getElementById('input-passphrase').value           = '';
+  document.getElementById('input-passphrase-confirm').value   = '';
+  showPassphraseError(error);
+  updatePassphraseFields();
+
+  document.getElementById('passphrase-overlay').classList.remove('hidden');
+  if (!isExport) document.getElementById('input-passphrase').focus();
+  return result;
+}
+
+/** On export the fields only show once "Protect with a passphrase" is ticked. */
+function updatePassphraseFields() {
+  const optional = Boolean(passphraseDialog) && passphraseDialog.mode === 'export';
+  const enabled  = document.getElementById('input-passphrase-enabled').checked;
+  document.getElementById('passphrase-fields').classList.toggle('hidden', optional && !enabled);
+}
+
+function showPassphraseError(message) {
+  const errorEl = document.getElementById('passphrase-error');
+  errorEl.textContent = message;
+  errorEl.classList.toggle('hidden', !message);
+}
+
+function submitPassphraseDialog(event) {
+  event.preventDefault();
+  if (!passphraseDialog) return;
+
+  const isExport   = passphraseDialog.mode === 'export';
+  const encrypt    = !isExport || document.getElementById('input-passphrase-enabled').checked;
+  const passphrase = document.getElementById('input-passphrase').value;
+
+  if (encrypt && !passphrase) {
+    showPassphraseError(tr('Enter a passphrase.'));
+    return;
+  }
+  if (isExport && encrypt && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    showPassphraseError(tr('Use at least {count} characters.', { count: MIN_PASSPHRASE_LENGTH }));
+    return;
+  }
+  if (isExport && encrypt && passphrase !== document.getElementById('input-passphrase-confirm').value) {
+    showPassphraseError(tr('The two passphrases don\u2019t match.'));
+    return;
+  }
+  closePassphraseDialog(encrypt ? passphrase : '');
+}
+
+function closePassphraseDialog(result = null) {
+  document.getElementById('passphrase-overlay').classList.add('hidden');
+  document.getElementById('input-passphrase').value         = '';
+  document.getElementById('input-passphrase-confirm').value = '';
+
+  const dialog = passphraseDialog;
+  passphraseDialog = null;
+  if (dialog) dialog.resolve(result);
+}
+
+
+/* ════════════════════════════════════════════════════
+   11. PHOTO POSITION & ZOOM EDITOR
+════════════════════════════════════════════════════ */
+
+let editorState = {
+  dataUrl:       null,
+  x:             0,
+  y:             0,
+  scale:         1.0,
+  minScale:      1.0,
+  isDragging:    false,
+  lastX:         0,
+  lastY:         0,
+  pointers:      {},
+  lastPinchDist: null,
+};
+
+function openPhotoEditor(dataUrl, savedTransform) {
+  const overlay = document.getElementById('photo-editor-overlay');
+  const imgEl   = document.getElementById('photo-editor-img');
+
+  editorState.dataUrl       = dataUrl;
+  editorState.x             = savedTransform ? savedTransform.x     : 0;
+  editorState.y             = savedTransform ? savedTransform.y     : 0;
+  editorState.scale         = savedTransform ? savedTransform.scale : 1.0;
+  editorState.isDragging    = false;
+  editorState.pointers      = {};
+  editorState.lastPinchDist = null;
+
+  imgEl.src = dataUrl;
+  imgEl.onload = () => {
+    computeMinScale();
+    if (!savedTransform) {
+      editorState.scale = editorState.minScale;
+      editorState.x = 0;
+      editorState.y = 0;
+    } else {
+      editorState.scale = Math.max(editorState.scale, editorState.minScale);
+    }
+    applyEditorTransform();
+  };
+
+  overlay.classList.remove('hidden');
+}
+
+function computeMinScale() {
+  const viewport = document.getElementById('photo-editor-viewport');
+  const imgEl    = document.getElementById('photo-editor-img');
+  const vw = viewport.clientWidth;
+  const vh = viewport.clientHeight;
+  const iw = imgEl.naturalWidth;
+  const ih = imgEl.naturalHeight;
+  if (!iw || !ih) return;
+  editorState.minScale = Math.max(vw / iw, vh / ih);
+}
+
+function applyEditorTransform() {
+  const imgEl = document.getElementById('photo-editor-img');
+  const { x, y, scale } = editorState;
+  imgEl.style.transform = `translate(calc(-50% + ${x}px), calc(-50% + ${y}px)) scale(${scale})`;
+}
+
+function constrainTransform() {
+  const viewport = document.getElementById('photo-editor-viewport');
+  const imgEl    = document.getElementById('photo-editor-img');
+  const vw = viewport.clientWidth;
+  const vh = viewport.clientHeight;
+  const iw = imgEl.naturalWidth  * editorState.scale;
+  const ih = imgEl.naturalHeight * editorState.scale;
+  const maxX = Math.max(0, (iw - vw) / 2);
+  const maxY = Math.max(0, (ih - vh) / 2);
+  editorState.x = Math.max(-maxX, Math.min(maxX, editorState.x));
+  editorState.y = Math.max(-maxY, Math.min(maxY, editorState.y));
+}
+
+function donePhotoEditor() {
+  const transform = { x: editorState.x, y: editorState.y, scale: editorState.scale };
+  formPendingPhotoTransform = transform;
+  updatePhotoPreviewThumbnail(editorState.dataUrl, transform);
+  document.getElementById('photo-editor-overlay').classList.add('hidden');
+}
+
+function cancelPhotoEditor() {
+  document.getElementById('photo-editor-overlay').classList.add('hidden');
+}
+
+function updatePhotoPreviewThumbnail(dataUrl, transform) {
+  const previewImg = document.getElementById('wp-preview-img');
+  const viewport   = document.getElementById('photo-editor-viewport');
+
+  const canvas  = document.createElement('canvas');
+  const vw      = viewport.clientWidth  || 360;
+  const vh      = viewport.clientHeight || 640;
+  canvas.width  = 360;
+  canvas.height = Math.round(360 / (vw / vh));
+  const ctx     = canvas.getContext('2d');
+
+  const img = new Image();
+  img.onload = () => {
+    const scaledW    = img.naturalWidth  * transform.scale;
+    const scaledH    = img.naturalHeight * transform.scale;
+    const imgCentreX = vw / 2 + transform.x;
+    const imgCentreY = vh / 2 + transform.y;
+    const imgLeft    = imgCentreX - scaledW / 2;
+    const imgTop     = imgCentreY - scaledH / 2;
+    ctx.drawImage(img, imgLeft * (canvas.width / vw), imgTop * (canvas.height / vh), scaledW * (canvas.width / vw), scaledH * (canvas.height / vh));
+    previewImg.src = canvas.toDataURL('image/jpeg', 0.85);
+  };
+  img.src = dataUrl;
+}
+
+function pointerDistance(p1, p2) {
+  return Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
+}
+
+function onEditorPointerDown(e) {
+  e.preventDefault();
+  document.getElementById('photo-editor-viewport').setPointerCapture(e.pointerId);
+  editorState.pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+
+  const count = Object.keys(editorState.pointers).length;
+  if (count === 1) {
+    editorState.isDragging    = true;
+    editorState.lastX         = e.clientX;
+    editorState.lastY         = e.clientY;
+    editorState.lastPinchDist = null;
+  } else if (count === 2) {
+    editorState.isDragging    = false;
+    editorState.lastPinchDist = pointerDistance(...Object.values(editorState.pointers));
+  }
+}
+
+function onEditorPointerMove(e) {
+  e.preventDefault();
+  editorState.pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+
+  const count = Object.keys(editorState.pointers).length;
+
+  if (count === 1 && editorState.isDragging) {
+    editorState.x    += e.clientX - editorState.lastX;
+    editorState.y    += e.clientY - editorState.lastY;
+    editorState.lastX = e.clientX;
+    editorState.lastY = e.clientY;
+    constrainTransform();
+    applyEditorTransform();
+
+  } else if (count === 2) {
+    const dist = pointerDistance(...Object.values(editorState.pointers));
+    if (editorState.lastPinchDist !== null) {
+      editorState.scale = Math.max(
+        editorState.minScale,
+        Math.min(editorState.scale * (dist / editorState.lastPinchDist), editorState.minScale * 8)
+      );
+      constrainTransform();
+      applyEditorTransform();
+    }
+    editorState.lastPinchDist = dist;
+  }
+}
+
+function onEditorPointerUp(e) {
+  delete editorState.pointers[e.pointerId];
 
-    container.appendChild(row);
-  });
+  if (Object.keys(editorState.pointers).length === 0) {
+    editorState.isDragging    = false;
+    editorState.lastPinchDist = null;
+  } else if (Object.keys(editorState.pointers).length === 1) {
+    const remaining       = Object.values(editorState.pointers)[0];
+    editorState.isDragging    = true;
+    editorState.lastX         = remaining.x;
+    editorState.lastY         = remaining.y;
+    editorState.lastPinchDist = null;
+  }
 }
 
-function getFormMessages() {
-  const raw = document.getElementById('message-list').dataset.messages;
-  return raw ? JSON.parse(raw) : [];
+
+/* ════════════════════════════════════════════════════
+   11b. DETAIL SCREEN MESSAGE DISPLAY
+════════════════════════════════════════════════════ */
+
+/*
+   Message trigger types. Every type resolves to the day the
+   message starts showing; it then stays up until `endDate`
+   (inclusive) if one is set.
+
+     date       triggerDate                — from a fixed date
+     offset     offsetDays                 — days before (negative) or after the
+                                             timer's date (next occurrence if recurring)
+     days       triggerDays                — when totalDays reaches this count
+     milestone  triggerMilestone           — when that milestone is reached
+     recurring  triggerDate, repeatEvery,  — every N days or weeks from triggerDate;
+                repeatUnit                   shows from the latest repetition
+*/
+
+function parseDateOnly(dateStr) {
+  return new Date(dateStr + 'T00:00:00');
 }
 
-function setFormMessages(messages, timer = null) {
-  document.getElementById('message-list').dataset.messages = JSON.stringify(messages);
-  renderMessageRows(messages, timer);
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
 }
 
-function addMessageToForm() {
-  const textEl        = document.getElementById('input-message-text');
-  const triggerDateEl = document.getElementById('input-message-date');
-  const text          = textEl.value.trim();
-  const triggerDate   = triggerDateEl ? triggerDateEl.value : '';
+/**
+ * The day a timer's totalDays count reaches `count` — counted forwards from
+ * a count-up's start, or backwards from a countdown's target.
+ */
+function getDayCountDate(timer, count) {
+  const target = getTimerTarget(timer);
+  target.setHours(0, 0, 0, 0);
+  return addDays(target, timer.mode === 'countup' ? count : -count);
+}
 
-  if (!text)        { alert('Please enter a message.'); return; }
-  if (!triggerDate) { alert('Please choose a date for this message.'); return; }
+/**
+ * The midnight a message starts showing, or null if it has no valid trigger.
+ * @param {object} timer
+ * @param {object} msg
+ * @param {Date}   [today] — recurring messages resolve to their latest repetition on or before this day
+ * @returns {Date|null}
+ */
+function getMessageStartDate(timer, msg, today = new Date()) {
+  switch (msg.triggerType) {
+    case 'date':
+      return msg.triggerDate ? parseDateOnly(msg.triggerDate) : null;
+
+    case 'offset': {
+      if (typeof msg.offsetDays !== 'number') return null;
+      let target = getTimerTarget(timer);
+      // On a recurring timer the target is already next year's occurrence once
+      // this year's has passed — "after" messages follow the one just gone
+      if (msg.offsetDays > 0 && isRecurringTimer(timer)) {
+        const { date, number, year } = getNextOccurrence(timer);
+        if (number > 0 && calendarDaysBetween(today, date) > 0) target = getAnniversaryDate(timer, year - 1);
+      }
+      target.setHours(0, 0, 0, 0);
+      return addDays(target, msg.offsetDays);
+    }
 
-  const current = getFormMessages();
-  if (current.length >= 5) { alert('Maximum of 5 messages per timer reached. Remove one to add another.'); return; }
-  current.push({ text, triggerType: 'date', triggerDate });
-  setFormMessages(current, formEditingTimer);
+    case 'days':
+      return typeof msg.triggerDays === 'number' ? getDayCountDate(timer, msg.triggerDays) : null;
 
-  textEl.value = '';
-  if (triggerDateEl) triggerDateEl.value = '';
-  textEl.focus();
+    case 'milestone':
+      return typeof msg.triggerMilestone === 'number' ? getDayCountDate(timer, msg.triggerMilestone) : null;
+
+    case 'recurring': {
+      if (!msg.triggerDate || !(msg.repeatEvery > 0)) return null;
+      const first = parseDateOnly(msg.triggerDate);
+      if (today < first) return first;
+
+      const step    = msg.repeatEvery * (msg.repeatUnit === 'weeks' ? 7 : 1);
+      const elapsed = calendarDaysBetween(first, today);
+      return addDays(first, elapsed - (elapsed % step));
+    }
+
+    default:
+      return null;
+  }
 }
 
-let formEditingTimer = null;
+/**
+ * The repetition after the one `getMessageStartDate` returns, for recurring
+ * messages only.
+ */
+function getNextMessageRepeat(timer, msg, today = new Date()) {
+  if (msg.triggerType !== 'recurring') return null;
+  const current = getMessageStartDate(timer, msg, today);
+  if (!current) return null;
+  return addDays(current, msg.repeatEvery * (msg.repeatUnit === 'weeks' ? 7 : 1));
+}
 
-function readFormValues() {
-  const name = document.getElementById('input-name').value.trim();
-  const date = document.getElementById('input-date').value;
-  const mode = document.querySelector('.mode-toggle-btn.active')?.dataset.mode || 'countdown';
+/**
+ * Short description of a message's trigger, e.g. "3 days before" or "Every 2 weeks".
+ * @param {object} msg
+ * @returns {string}
+ */
+function describeMessageTrigger(msg) {
+  switch (msg.triggerType) {
+    case 'date':
+      return msg.triggerDate ? `\uD83D\uDCC5 ${formatDate(msg.triggerDate)}` : tr('No date set');
+    case 'offset':
+      if (msg.offsetDays === 0) return `\u23F1 ${tr('On the day')}`;
+      return `\u23F1 ${tr(msg.offsetDays < 0 ? '{count} days before' : '{count} days after', { count: Math.abs(msg.offsetDays) })}`;
+    case 'days':
+      return `# ${tr('At {count} days', { count: msg.triggerDays })}`;
+    case 'milestone':
+      return `\uD83C\uDFC1 ${tr('{milestone} milestone', { milestone: formatMilestoneLabel(msg.triggerMilestone) })}`;
+    case 'recurring':
+      return `\u21BB ${tr(msg.repeatUnit === 'weeks' ? 'Every {count} weeks' : 'Every {count} days', { count: msg.repeatEvery })}`;
+    default:
+      return tr('No trigger set');
+  }
+}
 
-  if (!name) { alert('Please give your timer a name.'); return null; }
-  if (!date) { alert('Please choose a date.'); return null; }
+function isMessageEnded(msg, today) {
+  return Boolean(msg.endDate) && parseDateOnly(msg.endDate) < today;
+}
 
-  return { name, date, mode, messages: getFormMessages(), wallpaper: formWallpaperSelection };
+/**
+ * A message marked done stores the start date it was dismissed for in
+ * `dismissedFor`. It stays hidden until its start date changes — the next
+ * repetition of a recurring message, or the timer being re-dated.
+ */
+function isMessageDismissed(msg, startDate) {
+  return Boolean(msg.dismissedFor) && msg.dismissedFor === toLocalDateString(startDate);
 }
 
-async function handleFormSubmit(event) {
-  event.preventDefault();
-  const values = readFormValues();
-  if (!values) return;
+/**
+ * Every message showing today, newest first.
+ * @param {object} timer
+ * @returns {{ index: number, text: string, triggerType: string, startDate: Date, daysUntil: number, triggerLabel: string }[]}
+ */
+function getActiveMessages(timer) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
 
-  let savedId;
+  const active = [];
 
-  if (editingTimerId) {
-    const index = appState.timers.findIndex(t => t.id === editingTimerId);
-    if (index !== -1) {
-      const existing = appState.timers[index];
-      appState.timers[index] = {
-        ...existing,
-        ...values,
-        photoTransform: values.wallpaper === 'photo' ? (formPendingPhotoTransform || existing.photoTransform || null) : null,
-        messages:       values.messages,
-      };
-    }
-    savedId = editingTimerId;
-  } else {
-    const newTimer = {
-      id:             generateId(),
-      name:           values.name,
-      date:           values.date,
-      mode:           values.mode,
-      wallpaper:      values.wallpaper,
-      photoTransform: values.wallpaper === 'photo' ? formPendingPhotoTransform : null,
-      messages:       values.messages,
-    };
-    appState.timers.push(newTimer);
-    savedId = newTimer.id;
-  }
+  (timer.messages || []).forEach((msg, index) => {
+    if (!msg.text || isMessageEnded(msg, today)) return;
 
-  if (formPendingPhotoBlob && values.wallpaper === 'photo') await savePhoto(savedId, formPendingPhotoBlob);
-  if (values.wallpaper !== 'photo') await deletePhoto(savedId);
+    const startDate = getMessageStartDate(timer, msg, today);
+    if (!startDate || startDate > today || isMessageDismissed(msg, startDate)) return;
 
-  saveState();
-  renderTimerList();
-  openDetailScreen(savedId);
+    active.push({
+      index,
+      text:         msg.text,
+      triggerType:  msg.triggerType,
+      startDate,
+      daysUntil:    calendarDaysBetween(today, startDate),
+      triggerLabel: describeMessageTrigger(msg),
+    });
+  });
+
+  return active.sort((a, b) => b.startDate - a.startDate);
 }
 
-async function deleteTimer() {
-  if (!editingTimerId) return;
-  if (!confirm('Delete this timer? This cannot be undone.')) return;
+function updateDetailMessage(timer) {
+  const el = document.getElementById('detail-message');
+  if (!el) return;
+
+  const active = getActiveMessages(timer);
+
+  // The ticker re-renders every second for timed timers — only rebuild when something changed
+  const signature = JSON.stringify([timer.id, ...active.map(m => [m.index, m.text, m.daysUntil])]);
+  if (el.dataset.signature === signature) return;
+  el.dataset.signature = signature;
+
+  el.innerHTML = '';
+  el.classList.toggle('hidden', active.length === 0);
+
+  active.forEach(message => {
+    const dayStr = message.daysUntil === 0 ? tr('Today') : tr('Since {date}', { date: formatDate(toLocalDateString(message.startDate)) });
+    const when   = message.triggerType === 'date' ? dayStr : `${dayStr} \u2013 ${message.triggerLabel}`;
+
+    const item = document.createElement('div');
+    item.className = 'detail-message-item';
+    item.innerHTML = `
+      <span class="detail-message-text">${escapeHtml(message.text)}</span>
+      <span class="detail-message-when">${when}</span>
+      <button type="button" class="detail-message-done" aria-label="${tr('Mark message as done')}">\u2713 ${tr('Done')}</button>
+    `;
+    item.querySelector('.detail-message-done').addEventListener('click', () => {
+      dismissMessage(timer.id, message.index, message.startDate);
+    });
+    el.appendChild(item);
+  });
+}
 
-  await deletePhoto(editingTimerId);
-  appState.timers = appState.timers.filter(t => t.id !== editingTimerId);
-  if (appState.activeTimerId === editingTimerId) appState.activeTimerId = null;
+function dismissMessage(timerId, index, startDate) {
+  const timer = appState.timers.find(t => t.id === timerId);
+  if (!timer || !timer.messages[index]) return;
 
+  timer.messages[index].dismissedFor = toLocalDateString(startDate);
   saveState();
-  renderTimerList();
-  showScreen('list');
+  updateDetailMessage(timer);
 }
 
 
 /* ════════════════════════════════════════════════════
-   10b. EXPORT & IMPORT
+   11c. MILESTONE CELEBRATION
+
+   Each timer remembers the day count of the last
+   milestone it celebrated in `lastMilestoneDays`. When a
+   timer is created (or its date or mode changes) this is
+   set to the current totalDays, so milestones already
+   behind it are never replayed.
+
+   On launch, every timer is checked and any milestones
+   crossed since the last visit — possibly several — are
+   queued and shown one after another. While the detail
+   screen is open the ticker re-checks the active timer.
+════════════════════════════════════════════════════ */
 
-   WHY THE OLD EXPORT BROKE ON iOS:
-   The previous version used <a href="..." download> to
-   trigger a file download. This works on desktop browsers
-   but Safari on iOS simply ignores the download attribute
-   — it either opens the file in the browser or does nothing.
+// Translated as they're picked — these are catalogue keys (section 5b)
+const MILESTONE_MESSAGES = {
+  countup: [
+    '{label} since {name}. Every single day counted.',
+    'You made it to {label}. That is worth celebrating.',
+    '{label} and still going strong.',
+    'Look how far you have come — {label}!',
+    'Another milestone reached: {label}. Keep going.',
+  ],
+  countdown: [
+    'Only {label} to go until {name}!',
+    '{label} left. It is getting close now.',
+    'The countdown to {name} hits {label}.',
+    '{label} to go — time to start getting excited.',
+    'Milestone reached: {label} until {name}.',
+  ],
+};
 
-   FIX: Use navigator.share() with a File object instead.
-   iOS 15+ supports sharing files this way, which opens the
-   native share sheet. The user can then tap "Save to Files"
-   to store the backup in iCloud Drive or on-device.
+const MILESTONE_BADGES = ['\uD83C\uDF89', '\uD83C\uDFC6', '\u2B50', '\uD83C\uDF8A', '\uD83E\uDD73'];
 
-   For desktop browsers that do not support navigator.share,
-   we fall back to the old <a download> method, which works
-   fine on Mac/Windows/Linux browsers.
-════════════════════════════════════════════════════ */
+let milestoneQueue = [];
+
+function prefersReducedMotion() {
+  return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/** The same item of the list every time for the same seed string. */
+function pickBySeed(list, seed) {
+  let hash = 0;
+  for (let i = 0; i < seed.length; i++) hash = (hash * 31 + seed.charCodeAt(i)) >>> 0;
+  return list[hash % list.length];
+}
 
 /**
- * Export all timer metadata to a JSON backup file.
- *
- * On iOS: opens the native share sheet via navigator.share(),
- * where the user can tap "Save to Files" to keep the backup.
- *
- * On desktop: triggers a direct file download via <a download>.
- *
- * Photos are excluded — they live in IndexedDB and would make
- * the file very large. A timer that had a photo wallpaper will
- * have its wallpaper reset to 'none' in the export.
+ * The celebration line for a milestone. Given a seed — a notification's
+ * tag — the template is picked from it, so rebuilding the schedule doesn't
+ * re-post the same notification with different words.
  */
-async function exportTimers() {
-  if (appState.timers.length === 0) {
-    alert('No timers to export.');
-    return;
+function buildMilestoneMessage(timer, milestone, seed) {
+  const templates = MILESTONE_MESSAGES[timer.mode === 'countdown' ? 'countdown' : 'countup'];
+  const template  = seed === undefined ? pickRandom(templates) : pickBySeed(templates, seed);
+  const text      = tr(template, { label: milestone.label, name: timer.name });
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Record the timer's current position so only milestones crossed from
+ * now on are celebrated.
+ * @param {object} timer
+ */
+function resetMilestoneBaseline(timer) {
+  timer.lastMilestoneDays   = getTimerValues(timer).totalDays;
+  timer.milestoneOccurrence = isRecurringTimer(timer) ? getNextOccurrence(timer).number : null;
+}
+
+/**
+ * When a recurring timer rolls over, its countdown restarts from a full
+ * year. Start the new occurrence's baseline there so this year's
+ * milestones are celebrated again.
+ */
+function rollMilestoneBaseline(timer) {
+  const { date, number, year } = getNextOccurrence(timer);
+  const previous               = getAnniversaryDate(timer, year - 1);
+
+  timer.lastMilestoneDays   = wholeDaysBetween(previous, date).days;
+  timer.milestoneOccurrence = number;
+}
+
+/**
+ * Find the enabled milestones a timer has crossed since it last celebrated,
+ * in the order they happened, and advance `lastMilestoneDays` past them.
+ * Count-ups cross milestones as totalDays rises; countdowns as it falls.
+ * @param {object} timer
+ * @returns {{ days: number, label: string, custom: boolean }[]}
+ */
+function collectCrossedMilestones(timer) {
+  if (typeof timer.lastMilestoneDays !== 'number') {
+    resetMilestoneBaseline(timer);
+    return [];
+  }
+  if (isRecurringTimer(timer) && timer.milestoneOccurrence !== getNextOccurrence(timer).number) {
+    rollMilestoneBaseline(timer);
   }
 
-  // Build the export payload — metadata only, no photo blobs
-  const payload = {
-    exportedAt: new Date().toISOString(),
-    version:    1,
-    timers:     appState.timers.map(t => ({
-      id:        t.id,
-      name:      t.name,
-      date:      t.date,
-      mode:      t.mode,
-      // Reset photo wallpapers to 'none' since the photo is not included
-      wallpaper: t.wallpaper === 'photo' ? 'none' : (t.wallpaper || 'none'),
-      messages:  t.messages || [],
-    })),
-  };
+  const { totalDays } = getTimerValues(timer);
+  const last          = timer.lastMilestoneDays;
+  const isCountdown   = timer.mode === 'countdown';
 
-  const json     = JSON.stringify(payload, null, 2);
-  const today    = new Date().toISOString().slice(0, 10); // "YYYY-MM-DD"
-  const filename = `milestone-backup-${today}.json`;
+  const crossed = getTimerMilestones(timer).filter(m => isCountdown
+    ? m.days >= totalDays && m.days < last
+    : m.days > last && m.days <= totalDays);
 
-  // Try the Web Share API first (works on iOS Safari and modern Android)
-  if (navigator.canShare) {
-    const file = new File([json], filename, { type: 'application/json' });
-    if (navigator.canShare({ files: [file] })) {
-      try {
-        await navigator.share({ files: [file], title: 'Milestone Backup' });
-        return; // Done — share sheet handled it
-      } catch (err) {
-        if (err.name === 'AbortError') return; // User cancelled — do nothing
-        console.warn('[Milestone] Share-based export failed, trying download:', err);
-        // Fall through to the download fallback below
-      }
-    }
+  if (crossed.length === 0) return [];
+
+  if (isCountdown) crossed.reverse();
+  timer.lastMilestoneDays = crossed[crossed.length - 1].days;
+  return crossed;
+}
+
+/**
+ * Check one timer (or all of them) for newly crossed milestones and queue
+ * a celebration for each.
+ * @param {object[]} timers
+ */
+function checkMilestones(timers) {
+  let changed = false;
+
+  timers.forEach(timer => {
+    const before  = [timer.lastMilestoneDays, timer.milestoneOccurrence];
+    const crossed = collectCrossedMilestones(timer);
+    if (timer.lastMilestoneDays !== before[0] || timer.milestoneOccurrence !== before[1]) changed = true;
+
+    crossed.forEach(milestone => {
+      milestoneQueue.push({
+        timerId: timer.id,
+        title:   milestone.label,
+        message: buildMilestoneMessage(timer, milestone),
+      });
+    });
+  });
+
+  if (changed) saveState();
+
+  const overlay = document.getElementById('milestone-overlay');
+  if (milestoneQueue.length > 0 && overlay.classList.contains('hidden')) showNextMilestone();
+}
+
+function showNextMilestone() {
+  const next = milestoneQueue.shift();
+  if (!next) return;
+
+  const timer   = appState.timers.find(t => t.id === next.timerId);
+  const hidden  = Boolean(timer) && isTimerHidden(timer);
+  const overlay = document.getElementById('milestone-overlay');
+
+  document.getElementById('milestone-badge').textContent      = pickRandom(MILESTONE_BADGES);
+  document.getElementById('milestone-timer-name').textContent = timer ? getTimerDisplayName(timer) : '';
+  document.getElementById('milestone-title').textContent      = hidden ? tr('A milestone') : next.title;
+  document.getElementById('milestone-message').textContent    = hidden ? tr('One of your private timers has reached a milestone. Unlock Milestone to see which.') : next.message;
+  document.getElementById('btn-close-milestone').textContent  =
+    milestoneQueue.length > 0 ? tr('Next ({count} more)', { count: milestoneQueue.length }) : tr('Done');
+
+  document.getElementById('milestone-confetti').classList.toggle('hidden', prefersReducedMotion());
+
+  // Hide then force a reflow so the entrance animations replay for each queued item
+  overlay.classList.add('hidden');
+  void overlay.offsetWidth;
+  overlay.classList.remove('hidden');
+  document.getElementById('btn-close-milestone').focus();
+
+  if (!prefersReducedMotion() && currentScreen === 'detail' && appState.activeTimerId === next.timerId) {
+    const hero = document.getElementById('countdown-hero');
+    hero.classList.remove('milestone-pulse');
+    void hero.offsetWidth; // force reflow so the animation restarts
+    hero.classList.add('milestone-pulse');
   }
+}
 
-  // Desktop fallback: trigger a file download via a temporary link
-  const blob = new Blob([json], { type: 'application/json' });
-  const url  = URL.createObjectURL(blob);
-  const a    = document.createElement('a');
-  a.href     = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+function closeMilestoneOverlay() {
+  document.getElementById('milestone-overlay').classList.add('hidden');
+  if (milestoneQueue.length > 0) showNextMilestone();
+}
+
+
+/* ════════════════════════════════════════════════════
+   11d. NOTIFICATIONS
+
+   The service worker doesn't load the app's state, so the page
+   works out every upcoming notification and posts the list
+   to sw.js whenever state is saved. The service worker then
+   delivers them using whatever the platform supports:
+
+     1. Notification Triggers — shown at the exact time,
+        even with the app closed (Chromium, behind a flag).
+     2. Periodic Background Sync — the browser wakes the
+        worker every so often to show anything now due.
+     3. Foreground catch-up — on every launch the fresh
+        schedule is posted and anything overdue is shown.
+
+   iOS home-screen apps only get (3), so notifications
+   arrive the next time the app is opened.
+════════════════════════════════════════════════════ */
+
+const NOTIFY_HOUR              = 9;   // date-only events notify at 09:00 local time
+const NOTIFY_CATCH_UP_DAYS     = 7;   // overdue events older than this are dropped
+const NOTIFY_HORIZON_DAYS      = 400;
+const NOTIFY_PERIODIC_SYNC_TAG = 'milestone-notifications';
+const NOTIFY_PERIODIC_INTERVAL = 12 * 60 * 60 * 1000;
+
+let notificationSyncHandle = null;
+
+function notificationsSupported() {
+  return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+function notificationsActive() {
+  return notificationsSupported()
+    && Notification.permission === 'granted'
+    && appState.notifications.enabled;
+}
+
+function timeOfDayToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
 }
 
 /**
- * Open the hidden file picker so the user can choose a backup JSON file.
+ * Move a timestamp that falls inside quiet hours to the moment they end.
+ * Quiet hours may wrap past midnight, e.g. 22:00–07:00.
+ * @param {number} at
+ * @returns {number}
  */
-function importTimers() {
-  document.getElementById('input-import-file').click();
+function deferPastQuietHours(at) {
+  const quiet = appState.notifications.quietHours;
+  if (!quiet || !quiet.enabled) return at;
+
+  const start = timeOfDayToMinutes(quiet.start);
+  const end   = timeOfDayToMinutes(quiet.end);
+  if (start === end) return at;
+
+  const d       = new Date(at);
+  const minutes = d.getHours() * 60 + d.getMinutes();
+  const isQuiet = start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+  if (!isQuiet) return at;
+
+  const release = new Date(d);
+  release.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (release < d) release.setDate(release.getDate() + 1);
+  return release.getTime();
 }
 
 /**
- * Handle the backup file chosen for import.
- * Validates the JSON then asks: replace all timers or merge?
- * Merge skips any timer whose ID already exists — safe to re-import.
- * @param {Event} event
+ * The moment an event offset by a number of days from the timer's target
+ * happens. Timers with a time of day keep it; date-only timers notify at
+ * NOTIFY_HOUR rather than midnight.
  */
-function handleImportFile(event) {
-  const file = event.target.files && event.target.files[0];
-  if (!file) return;
+function getNotificationTime(timer, target, offsetDays) {
+  const d = new Date(target);
+  d.setDate(d.getDate() + offsetDays);
+  if (!timer.time) d.setHours(NOTIFY_HOUR, 0, 0, 0);
+  return d;
+}
 
-  event.target.value = ''; // reset so the same file can be re-chosen
+/**
+ * Every notification due for the timers that have them switched on, from
+ * NOTIFY_CATCH_UP_DAYS ago up to NOTIFY_HORIZON_DAYS ahead. Tags are stable
+ * so the service worker can tell which ones it has already shown.
+ * @returns {{ tag: string, timerId: string, title: string, body: string, at: number }[]}
+ */
+function buildNotificationSchedule() {
+  const now      = Date.now();
+  const horizon  = now + NOTIFY_HORIZON_DAYS * MS_PER_DAY;
+  const schedule = [];
+
+  getActiveTimers().forEach(timer => {
+    if (timer.notify === false) return;
+
+    // Never announce anything that happened before notifications were switched on
+    const earliest = Math.max(
+      now - NOTIFY_CATCH_UP_DAYS * MS_PER_DAY,
+      timer.notifyFrom || 0,
+      appState.notifications.enabledAt || 0
+    );
 
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    let payload;
+    // Notifications show on the lock screen, so private timers stay private even while unlocked
+    const secret = Boolean(timer.private) && hasPasscode();
+
+    const add = (kind, key, when, body) => {
+      if (when.getTime() < earliest) return;
+      const at = deferPastQuietHours(when.getTime());
+      if (at > horizon) return;
+      schedule.push({
+        tag:     `${timer.id}:${kind}:${key}`,
+        timerId: timer.id,
+        title:   secret ? tr(PRIVATE_TIMER_NAME) : timer.name,
+        body:    secret ? tr('Open Milestone to see what\u2019s new.') : body,
+        at,
+      });
+    };
 
-    try {
-      payload = JSON.parse(e.target.result);
-    } catch {
-      alert('Could not read the file. Please make sure it is a valid Milestone Counter backup.');
-      return;
+    const target     = getTimerTarget(timer);
+    const occurrence = isRecurringTimer(timer) ? getNextOccurrence(timer).number : 0;
+
+    getTimerMilestones(timer).forEach(milestone => {
+      const offset = timer.mode === 'countup' ? milestone.days : -milestone.days;
+      const key    = `${milestone.days}@${occurrence}`;
+      add('milestone', key, getNotificationTime(timer, target, offset), buildMilestoneMessage(timer, milestone, `${timer.id}:milestone:${key}`));
+    });
+
+    if (timer.mode === 'countdown') {
+      const label = formatOccurrenceLabel(timer);
+      add('arrived', occurrence, getNotificationTime(timer, target, 0), label ? tr('Today is the {occurrence}!', { occurrence: label }) : tr('The day has arrived!'));
     }
 
-    if (!payload.timers || !Array.isArray(payload.timers)) {
-      alert('This file does not look like a Milestone Counter backup.');
-      return;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    (timer.messages || []).forEach((msg, index) => {
+      if (!msg.text) return;
+      // Recurring messages announce their current and next repetition
+      const dates = [getMessageStartDate(timer, msg, today), getNextMessageRepeat(timer, msg, today)];
+
+      dates.forEach(startDate => {
+        if (!startDate || (msg.endDate && parseDateOnly(msg.endDate) < startDate)) return;
+        if (isMessageDismissed(msg, startDate)) return;
+        const key  = toLocalDateString(startDate);
+        const when = new Date(startDate);
+        when.setHours(NOTIFY_HOUR, 0, 0, 0);
+        add('message', `${index}@${key}`, when, msg.text);
+      });
+    });
+  });
+
+  return schedule.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Post the current schedule to the service worker. An empty schedule
+ * clears anything pending, so switching notifications off takes effect
+ * immediately.
+ */
+async function syncNotificationSchedule() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const reg      = await navigator.serviceWorker.ready;
+    const active   = notificationsActive();
+    const schedule = active ? buildNotificationSchedule() : [];
+
+    if (reg.active) reg.active.postMessage({ type: 'notification-schedule', schedule });
+
+    if ('periodicSync' in reg) {
+      if (active) {
+        await reg.periodicSync.register(NOTIFY_PERIODIC_SYNC_TAG, { minInterval: NOTIFY_PERIODIC_INTERVAL })
+          .catch(err => console.warn('[Milestone] Periodic sync unavailable:', err));
+      } else {
+        await reg.periodicSync.unregister(NOTIFY_PERIODIC_SYNC_TAG).catch(() => {});
+      }
     }
+  } catch (e) {
+    console.warn('[Milestone] Could not sync notification schedule:', e);
+  }
+}
+
+/** Coalesce the burst of saves from one user action into a single sync. */
+function queueNotificationSync() {
+  clearTimeout(notificationSyncHandle);
+  notificationSyncHandle = setTimeout(syncNotificationSchedule, 500);
+}
+
+// -- Settings screen --
+
+function openSettingsScreen() {
+  navigate('settings');
+}
+
+function showSettingsScreen() {
+  renderSettingsScreen();
+  showScreen('settings');
+}
+
+function renderSettingsScreen() {
+  const settings  = appState.notifications;
+  const statusEl  = document.getElementById('notification-status');
+  const permBtn   = document.getElementById('btn-notification-permission');
+  const enabledEl = document.getElementById('input-notifications-enabled');
+
+  let status;
+  if (!notificationsSupported()) {
+    status = tr('This browser does not support notifications. On iPhone, add Milestone to your Home Screen first.');
+  } else if (Notification.permission === 'denied') {
+    status = tr('Notifications are blocked. Allow them for this app in your device settings.');
+  } else if (Notification.permission === 'default') {
+    status = tr('Allow notifications to hear about milestones, messages and countdowns.');
+  } else if ('showTrigger' in Notification.prototype) {
+    status = tr('Notifications are scheduled on this device and arrive on time.');
+  } else {
+    status = tr('Notifications are checked in the background where supported, and whenever you open the app.');
+  }
+
+  statusEl.textContent = status;
+  permBtn.classList.toggle('hidden', !notificationsSupported() || Notification.permission !== 'default');
+  enabledEl.disabled = !notificationsSupported() || Notification.permission !== 'granted';
+  enabledEl.checked  = notificationsActive();
+
+  document.getElementById('input-quiet-enabled').checked = settings.quietHours.enabled;
+  document.getElementById('input-quiet-start').value     = settings.quietHours.start;
+  document.getElementById('input-quiet-end').value       = settings.quietHours.end;
+
+  document.getElementById('input-auto-archive').value = appState.autoArchiveDays || '';
 
-    const count = payload.timers.length;
-    if (count === 0) { alert('The backup file contains no timers.'); return; }
+  const trashCount = appState.trash.length;
+  document.getElementById('btn-open-trash').textContent = trashCount ? tr('Open trash ({count})', { count: trashCount }) : tr('Open trash');
 
-    // OK = replace all, Cancel = merge
-    const replace = confirm(
-      `Found ${count} timer${count !== 1 ? 's' : ''} in the backup.\n\n` +
-      `OK     = Replace all current timers with the backup.\n` +
-      `Cancel = Merge — add only timers not already in your app.`
-    );
+  let storage;
+  if (storageBackend !== 'indexeddb') {
+    storage = tr('This browser won\u2019t give Milestone a database, so timers are kept in its basic storage, without photos. Export a backup now and then.');
+  } else if (storagePersisted) {
+    storage = tr('Timers and photos are saved on this device, and the browser won\u2019t clear them to free up space.');
+  } else {
+    storage = tr('Timers and photos are saved on this device. The browser may clear them if space runs low \u2014 export a backup now and then.');
+  }
+  document.getElementById('storage-status').textContent = storage;
+  renderLanguageSettings();
+  renderServerSyncSettings();
+  renderAppLockSettings();
+}
 
-    if (replace) {
-      appState.timers = payload.timers;
-    } else {
-      const existingIds = new Set(appState.timers.map(t => t.id));
-      const newTimers   = payload.timers.filter(t => !existingIds.has(t.id));
+async function requestNotificationPermission() {
+  if (!notificationsSupported()) return;
 
-      if (newTimers.length === 0) {
-        alert('All timers in the backup already exist in your app. Nothing was added.');
-        return;
-      }
+  const permission = await Notification.requestPermission();
+  if (permission === 'granted') setNotificationsEnabled(true);
+  renderSettingsScreen();
+}
 
-      appState.timers = [...appState.timers, ...newTimers];
-      alert(`Added ${newTimers.length} new timer${newTimers.length !== 1 ? 's' : ''}.`);
-    }
+function setNotificationsEnabled(enabled) {
+  const settings = appState.notifications;
+  if (enabled && !settings.enabled) settings.enabledAt = Date.now();
+  settings.enabled = enabled;
+  saveState();
+}
 
-    saveState();
-    renderTimerList();
-  };
+function handleQuietHoursChange() {
+  const start = document.getElementById('input-quiet-start').value;
+  const end   = document.getElementById('input-quiet-end').value;
 
-  reader.readAsText(file);
+  appState.notifications.quietHours = {
+    enabled: document.getElementById('input-quiet-enabled').checked,
+    start:   start || appState.notifications.quietHours.start,
+    end:     end   || appState.notifications.quietHours.end,
+  };
+  saveState();
 }
 
 
 /* ════════════════════════════════════════════════════
-   11. PHOTO POSITION & ZOOM EDITOR
+   11e. APP LOCK & PRIVATE TIMERS
+
+   An optional passcode, kept only as a salted PBKDF2
+   hash in appState.appLock. With lockOnLaunch, the lock
+   screen covers the app whenever it opens; either way
+   it locks again after relockMinutes in the background
+   (visibilitychange). While locked, private timers show
+   as "Private timer" — no name, date or numbers — on the
+   list, archive, trash, in notifications and
+   celebrations, and need the passcode before they're
+   opened, shared or exported. Without a passcode they
+   show like any other timer.
 ════════════════════════════════════════════════════ */
 
-let editorState = {
-  dataUrl:       null,
-  x:             0,
-  y:             0,
-  scale:         1.0,
-  minScale:      1.0,
-  isDragging:    false,
-  lastX:         0,
-  lastY:         0,
-  pointers:      {},
-  lastPinchDist: null,
-};
-
-function openPhotoEditor(dataUrl, savedTransform) {
-  const overlay = document.getElementById('photo-editor-overlay');
-  const imgEl   = document.getElementById('photo-editor-img');
-
-  editorState.dataUrl       = dataUrl;
-  editorState.x             = savedTransform ? savedTransform.x     : 0;
-  editorState.y             = savedTransform ? savedTransform.y     : 0;
-  editorState.scale         = savedTransform ? savedTransform.scale : 1.0;
-  editorState.isDragging    = false;
-  editorState.pointers      = {};
-  editorState.lastPinchDist = null;
+const PASSCODE_ITERATIONS = 200000;
+const MIN_PASSCODE_LENGTH = 4;
+const RELOCK_OPTIONS      = [0, 1, 5, 15, 60];   // minutes in the background
+const PRIVATE_TIMER_NAME  = 'Private timer';
 
-  imgEl.src = dataUrl;
-  imgEl.onload = () => {
-    computeMinScale();
-    if (!savedTransform) {
-      editorState.scale = editorState.minScale;
-      editorState.x = 0;
-      editorState.y = 0;
-    } else {
-      editorState.scale = Math.max(editorState.scale, editorState.minScale);
-    }
-    applyEditorTransform();
-  };
+let appUnlocked    = false;
+let hiddenSince    = null;   // when the app last went into the background
+let passcodeDialog = null;   // the open passcode dialog: { resolve, create }
+let unlocking      = null;   // the unlock in progress, shared by everything waiting on it
 
-  overlay.classList.remove('hidden');
+function canUsePasscode() {
+  return Boolean(window.crypto && crypto.subtle);
 }
 
-function computeMinScale() {
-  const viewport = document.getElementById('photo-editor-viewport');
-  const imgEl    = document.getElementById('photo-editor-img');
-  const vw = viewport.clientWidth;
-  const vh = viewport.clientHeight;
-  const iw = imgEl.naturalWidth;
-  const ih = imgEl.naturalHeight;
-  if (!iw || !ih) return;
-  editorState.minScale = Math.max(vw / iw, vh / ih);
+function hasPasscode() {
+  return Boolean(appState.appLock.hash);
 }
 
-function applyEditorTransform() {
-  const imgEl = document.getElementById('photo-editor-img');
-  const { x, y, scale } = editorState;
-  imgEl.style.transform = `translate(calc(-50% + ${x}px), calc(-50% + ${y}px)) scale(${scale})`;
+function isAppUnlocked() {
+  return appUnlocked || !hasPasscode();
 }
 
-function constrainTransform() {
-  const viewport = document.getElementById('photo-editor-viewport');
-  const imgEl    = document.getElementById('photo-editor-img');
-  const vw = viewport.clientWidth;
-  const vh = viewport.clientHeight;
-  const iw = imgEl.naturalWidth  * editorState.scale;
-  const ih = imgEl.naturalHeight * editorState.scale;
-  const maxX = Math.max(0, (iw - vw) / 2);
-  const maxY = Math.max(0, (ih - vh) / 2);
-  editorState.x = Math.max(-maxX, Math.min(maxX, editorState.x));
-  editorState.y = Math.max(-maxY, Math.min(maxY, editorState.y));
+/** Are this timer's name and numbers kept out of sight right now? */
+function isTimerHidden(timer) {
+  return Boolean(timer.private) && !isAppUnlocked();
 }
 
-function donePhotoEditor() {
-  const transform = { x: editorState.x, y: editorState.y, scale: editorState.scale };
-  formPendingPhotoTransform = transform;
-  updatePhotoPreviewThumbnail(editorState.dataUrl, transform);
-  document.getElementById('photo-editor-overlay').classList.add('hidden');
+function getTimerDisplayName(timer) {
+  return isTimerHidden(timer) ? tr(PRIVATE_TIMER_NAME) : timer.name;
 }
 
-function cancelPhotoEditor() {
-  document.getElementById('photo-editor-overlay').classList.add('hidden');
+async function hashPasscode(passcode, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveBits']);
+  const bits     = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256);
+  return bytesToBase64(new Uint8Array(bits));
 }
 
-function updatePhotoPreviewThumbnail(dataUrl, transform) {
-  const previewImg = document.getElementById('wp-preview-img');
-  const viewport   = document.getElementById('photo-editor-viewport');
-
-  const canvas  = document.createElement('canvas');
-  const vw      = viewport.clientWidth  || 360;
-  const vh      = viewport.clientHeight || 640;
-  canvas.width  = 360;
-  canvas.height = Math.round(360 / (vw / vh));
-  const ctx     = canvas.getContext('2d');
-
-  const img = new Image();
-  img.onload = () => {
-    const scaledW    = img.naturalWidth  * transform.scale;
-    const scaledH    = img.naturalHeight * transform.scale;
-    const imgCentreX = vw / 2 + transform.x;
-    const imgCentreY = vh / 2 + transform.y;
-    const imgLeft    = imgCentreX - scaledW / 2;
-    const imgTop     = imgCentreY - scaledH / 2;
-    ctx.drawImage(img, imgLeft * (canvas.width / vw), imgTop * (canvas.height / vh), scaledW * (canvas.width / vw), scaledH * (canvas.height / vh));
-    previewImg.src = canvas.toDataURL('image/jpeg', 0.85);
-  };
-  img.src = dataUrl;
+async function checkPasscode(passcode) {
+  const { hash, salt, iterations } = appState.appLock;
+  return (await hashPasscode(passcode, base64ToBytes(salt), iterations)) === hash;
 }
 
-function pointerDistance(p1, p2) {
-  return Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
+/**
+ * Ask for the passcode until it's right or the user gives up.
+ * @param {object} options — see askForPasscode
+ * @returns {Promise<boolean>}
+ */
+async function askForCorrectPasscode(options) {
+  let error = '';
+  for (;;) {
+    const passcode = await askForPasscode({ ...options, error });
+    if (passcode === null) return false;
+    if (await checkPasscode(passcode)) return true;
+    error = tr('That isn\u2019t the passcode.');
+  }
 }
 
-function onEditorPointerDown(e) {
-  e.preventDefault();
-  document.getElementById('photo-editor-viewport').setPointerCapture(e.pointerId);
-  editorState.pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
-
-  const count = Object.keys(editorState.pointers).length;
-  if (count === 1) {
-    editorState.isDragging    = true;
-    editorState.lastX         = e.clientX;
-    editorState.lastY         = e.clientY;
-    editorState.lastPinchDist = null;
-  } else if (count === 2) {
-    editorState.isDragging    = false;
-    editorState.lastPinchDist = pointerDistance(...Object.values(editorState.pointers));
+/**
+ * Unlock the app, asking for the passcode if it's locked.
+ * @param {object} [options] — see askForPasscode
+ * @returns {Promise<boolean>} whether it's unlocked now — also true once
+ *          "Forgot passcode?" has removed the lock
+ */
+async function unlockApp(options = {}) {
+  if (isAppUnlocked()) return true;
+  if (!unlocking) {
+    unlocking = askForCorrectPasscode(options)
+      .then(correct => { if (correct) appUnlocked = true; })
+      .finally(() => { unlocking = null; });
   }
+  await unlocking;
+  updateLockButton();
+  return isAppUnlocked();
 }
 
-function onEditorPointerMove(e) {
-  e.preventDefault();
-  editorState.pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+/** Hide private timers again and, with lockOnLaunch, cover the app. */
+function lockApp() {
+  if (!hasPasscode()) return;
+  appUnlocked = false;
+  refreshAfterLockChange();
+  if (appState.appLock.lockOnLaunch) unlockApp({ cancellable: false }).then(refreshAfterLockChange);
+}
 
-  const count = Object.keys(editorState.pointers).length;
+/** Redraw whatever shows timer names, leaving a private timer's own screens. */
+function refreshAfterLockChange() {
+  const route = parseRoute();
+  const timer = TIMER_ROUTES.includes(route.name) && appState.timers.find(t => t.id === route.id);
+  updateLockButton();
 
-  if (count === 1 && editorState.isDragging) {
-    editorState.x    += e.clientX - editorState.lastX;
-    editorState.y    += e.clientY - editorState.lastY;
-    editorState.lastX = e.clientX;
-    editorState.lastY = e.clientY;
-    constrainTransform();
-    applyEditorTransform();
+  if (timer && isTimerHidden(timer)) {
+    navigate('list', null, { replace: true });
+    return;
+  }
+  if (currentScreen === 'list')    renderTimerList();
+  if (currentScreen === 'archive') renderArchiveScreen();
+  if (currentScreen === 'trash')   renderTrashScreen();
+}
 
-  } else if (count === 2) {
-    const dist = pointerDistance(...Object.values(editorState.pointers));
-    if (editorState.lastPinchDist !== null) {
-      editorState.scale = Math.max(
-        editorState.minScale,
-        Math.min(editorState.scale * (dist / editorState.lastPinchDist), editorState.minScale * 8)
-      );
-      constrainTransform();
-      applyEditorTransform();
-    }
-    editorState.lastPinchDist = dist;
+async function toggleAppLock() {
+  if (isAppUnlocked()) {
+    lockApp();
+    return;
   }
+  if (await unlockApp({ title: tr('Show Private Timers') })) refreshAfterLockChange();
 }
 
-function onEditorPointerUp(e) {
-  delete editorState.pointers[e.pointerId];
+function updateLockButton() {
+  const btn = document.getElementById('btn-lock');
+  btn.classList.toggle('hidden', !hasPasscode());
+  btn.textContent = isAppUnlocked() ? '\uD83D\uDD13' : '\uD83D\uDD12';
+  btn.setAttribute('aria-label', tr(isAppUnlocked() ? 'Lock Milestone' : 'Unlock private timers'));
+}
 
-  if (Object.keys(editorState.pointers).length === 0) {
-    editorState.isDragging    = false;
-    editorState.lastPinchDist = null;
-  } else if (Object.keys(editorState.pointers).length === 1) {
-    const remaining       = Object.values(editorState.pointers)[0];
-    editorState.isDragging    = true;
-    editorState.lastX         = remaining.x;
-    editorState.lastY         = remaining.y;
-    editorState.lastPinchDist = null;
-  }
+/** Lock on launch, and again after the app has been in the background long enough. */
+function startAppLock() {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      hiddenSince = Date.now();
+      // "Immediately" locks before the app switcher takes its snapshot
+      if (appState.appLock.relockMinutes === 0 && appUnlocked) lockApp();
+      return;
+    }
+    const away  = hiddenSince === null ? 0 : Date.now() - hiddenSince;
+    hiddenSince = null;
+    if (appUnlocked && away >= appState.appLock.relockMinutes * MS_PER_MINUTE) lockApp();
+  });
+
+  updateLockButton();
+  if (hasPasscode() && appState.appLock.lockOnLaunch) unlockApp({ cancellable: false }).then(refreshAfterLockChange);
 }
 
+// -- Setting the passcode --
 
-/* ════════════════════════════════════════════════════
-   11b. DETAIL SCREEN MESSAGE DISPLAY
-════════════════════════════════════════════════════ */
+async function setUpPasscode() {
+  const changing = hasPasscode();
+  if (changing && !(await askForCorrectPasscode({ title: tr('Change Passcode'), message: tr('Enter your current passcode.') }))) return;
 
-function getActiveMessage(timer, totalDays) {
-  const messages = timer.messages || [];
-  if (messages.length === 0) return null;
+  const passcode = await askForPasscode({
+    title:   tr(changing ? 'Change Passcode' : 'Set a Passcode'),
+    message: tr('At least {count} characters. It can\u2019t be recovered, so pick one you\u2019ll remember.', { count: MIN_PASSCODE_LENGTH }),
+    create:  true,
+  });
+  if (passcode === null) return;
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  appState.appLock = {
+    ...appState.appLock,
+    hash:       await hashPasscode(passcode, salt, PASSCODE_ITERATIONS),
+    salt:       bytesToBase64(salt),
+    iterations: PASSCODE_ITERATIONS,
+  };
+  appUnlocked = true;
+  saveState();
+  renderAppLockSettings();
+  updateLockButton();
+}
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+async function removePasscode() {
+  if (!(await askForCorrectPasscode({ title: tr('Turn Off Passcode'), message: tr('Enter your passcode to turn it off.') }))) return;
+  clearPasscode();
+  saveState();
+  renderAppLockSettings();
+  refreshAfterLockChange();
+}
 
-  let best          = null;
-  let bestDaysUntil = Infinity;
+function clearPasscode() {
+  appState.appLock = { ...appState.appLock, hash: null, salt: null, iterations: null };
+  appUnlocked      = false;
+}
 
-  for (const msg of messages) {
-    if (!msg.text || msg.triggerType !== 'date' || !msg.triggerDate) continue;
+/**
+ * The way out of a forgotten passcode: remove it, along with every
+ * private timer — they were meant not to be seen without it.
+ */
+async function forgetPasscode() {
+  const privateIds = [...appState.timers, ...appState.trash.map(entry => entry.timer)]
+    .filter(t => t.private)
+    .map(t => t.id);
+  const count    = privateIds.length;
+  const question = count
+    ? tr('Remove the passcode? {count} private timers will be deleted for good, here and on any device this one syncs with.', { count })
+    : tr('Remove the passcode?');
+  if (!confirm(question)) return;
+
+  appState.timers = appState.timers.filter(t => !t.private);
+  clearPasscode();
+  await purgeTrashedTimers(privateIds); // deletes their photos and saves
+  closePasscodeDialog();
+  renderAppLockSettings();
+  refreshAfterLockChange();
+}
 
-    const triggerDay   = new Date(msg.triggerDate + 'T00:00:00');
-    const daysUntil    = Math.round((triggerDay - today) / (1000 * 60 * 60 * 24));
-    const triggerLabel = `\uD83D\uDCC5 ${formatDate(msg.triggerDate)}`;
+function renderAppLockSettings() {
+  const lock      = appState.appLock;
+  const supported = canUsePasscode();
+
+  let status;
+  if (!supported)          status = tr('A passcode needs Milestone to be opened over https.');
+  else if (!hasPasscode()) status = tr('Lock Milestone, or just its private timers, with a passcode.');
+  else if (lock.lockOnLaunch) status = tr('Milestone asks for the passcode when it opens.');
+  else                     status = tr('Private timers stay hidden until the passcode is entered.');
+
+  document.getElementById('passcode-status').textContent = status;
+  document.getElementById('btn-passcode-set').classList.toggle('hidden', !supported);
+  document.getElementById('btn-passcode-set').textContent = tr(hasPasscode() ? 'Change passcode' : 'Set a passcode');
+  document.getElementById('passcode-options').classList.toggle('hidden', !hasPasscode());
+  document.getElementById('input-lock-on-launch').checked = lock.lockOnLaunch;
+  document.getElementById('input-relock-minutes').value   = lock.relockMinutes;
+}
 
-    if (daysUntil <= 0 && daysUntil < bestDaysUntil) {
-      bestDaysUntil = daysUntil;
-      best = { text: msg.text, daysUntil, triggerLabel };
-    }
-  }
+function handleAppLockOptionsChange() {
+  const minutes = Number(document.getElementById('input-relock-minutes').value);
+  appState.appLock.lockOnLaunch  = document.getElementById('input-lock-on-launch').checked;
+  appState.appLock.relockMinutes = RELOCK_OPTIONS.includes(minutes) ? minutes : appState.appLock.relockMinutes;
+  saveState();
+  renderAppLockSettings();
+}
+
+// -- Passcode dialog --
 
-  return best;
+/**
+ * Show the passcode screen. It covers the whole app, so it doubles as
+ * the lock screen.
+ * @param {object}  [options]
+ * @param {string}  [options.title]
+ * @param {string}  [options.message]
+ * @param {boolean} [options.create]      — a new passcode, typed twice
+ * @param {boolean} [options.cancellable] — false for the lock on launch
+ * @param {string}  [options.error]       — e.g. after a wrong passcode
+ * @returns {Promise<string|null>} null if cancelled
+ */
+function askForPasscode({ title = tr('Milestone is Locked'), message = tr('Enter your passcode.'), create = false, cancellable = true, error = '' } = {}) {
+  if (passcodeDialog) closePasscodeDialog();
+  const result = new Promise(resolve => { passcodeDialog = { resolve, create }; });
+
+  const input        = document.getElementById('input-passcode');
+  const confirmInput = document.getElementById('input-passcode-confirm');
+  document.getElementById('lock-title').textContent   = title;
+  document.getElementById('lock-message').textContent = message;
+  document.getElementById('btn-lock-ok').textContent  = tr(create ? 'Save Passcode' : 'Unlock');
+  document.getElementById('btn-lock-cancel').classList.toggle('hidden', !cancellable);
+  document.getElementById('btn-lock-forgot').classList.toggle('hidden', create);
+  document.getElementById('passcode-confirm-row').classList.toggle('hidden', !create);
+  input.autocomplete = create ? 'new-password' : 'current-password';
+  input.value        = '';
+  confirmInput.value = '';
+  showPasscodeError(error);
+
+  document.getElementById('lock-overlay').classList.remove('hidden');
+  input.focus();
+  return result;
 }
 
-function updateDetailMessage(timer, totalDays) {
-  const el = document.getElementById('detail-message');
-  if (!el) return;
+function showPasscodeError(message) {
+  const errorEl = document.getElementById('lock-error');
+  errorEl.textContent = message;
+  errorEl.classList.toggle('hidden', !message);
+}
 
-  const active = getActiveMessage(timer, totalDays);
+function submitPasscodeDialog(event) {
+  event.preventDefault();
+  if (!passcodeDialog) return;
 
-  if (active) {
-    const dayStr = active.daysUntil === 0 ? 'Today' : `Since ${active.triggerLabel}`;
-    el.innerHTML = `<span class="detail-message-text">${escapeHtml(active.text)}</span><span class="detail-message-when">${dayStr} \u2013 ${active.triggerLabel}</span>`;
-    el.classList.remove('hidden');
-  } else {
-    el.classList.add('hidden');
+  const passcode = document.getElementById('input-passcode').value;
+  if (!passcode) {
+    showPasscodeError(tr('Enter the passcode.'));
+    return;
+  }
+  if (passcodeDialog.create && passcode.length < MIN_PASSCODE_LENGTH) {
+    showPasscodeError(tr('Use at least {count} characters.', { count: MIN_PASSCODE_LENGTH }));
+    return;
   }
+  if (passcodeDialog.create && passcode !== document.getElementById('input-passcode-confirm').value) {
+    showPasscodeError(tr('The two passcodes don\u2019t match.'));
+    return;
+  }
+  closePasscodeDialog(passcode);
+}
+
+function closePasscodeDialog(result = null) {
+  document.getElementById('lock-overlay').classList.add('hidden');
+  document.getElementById('input-passcode').value         = '';
+  document.getElementById('input-passcode-confirm').value = '';
+
+  const dialog = passcodeDialog;
+  passcodeDialog = null;
+  if (dialog) dialog.resolve(result);
 }
 
 
@@ -1183,6 +6433,29 @@ function blobToDataUrl(blob) {
   });
 }
 
+/**
+ * Decode a data URL (as produced by blobToDataUrl) back into a Blob.
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+function dataUrlToBlob(dataUrl) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl);
+  if (!match) throw new Error('Not a data URL');
+
+  const type = match[1] || 'application/octet-stream';
+  if (!match[2]) return new Blob([decodeURIComponent(match[3])], { type });
+
+  const binary = atob(match[3]);
+  const bytes  = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
+
+/** A filename-safe version of a timer name, e.g. "Our Wedding!" -> "our-wedding". */
+function slugifyName(name) {
+  return name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').toLowerCase() || 'timer';
+}
+
 function escapeHtml(str) {
   const div = document.createElement('div');
   div.appendChild(document.createTextNode(str));
@@ -1194,46 +6467,148 @@ function escapeHtml(str) {
    14. EVENT WIRING
 ════════════════════════════════════════════════════ */
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
 
-  loadState();
+  await loadState();
+  applyLanguage();
+  requestPersistentStorage().then(persisted => { storagePersisted = persisted; });
+  startWindowSync();
+  startServerSync();
+  startAppLock();
   applyTheme();
+  autoArchiveTimers();
   renderTimerList();
+  checkMilestones(getActiveTimers());
+  purgeExpiredTrash();
+
+  // An installed PWA is often resumed rather than relaunched — treat that as opening the app
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible') return;
+    if (autoArchiveTimers() && currentScreen === 'list') renderTimerList();
+    checkMilestones(getActiveTimers());
+    syncNotificationSchedule();
+    syncWithServer();
+  });
+
+  // Following the device's language, so follow it when it changes
+  window.addEventListener('languagechange', () => {
+    if (appState.language) return;
+    applyLanguage();
+    // Re-rendering the form would throw away what's being typed
+    if (currentScreen !== 'form') renderRoute();
+  });
 
   // -- List --
   document.getElementById('btn-new-timer').addEventListener('click', () => openFormScreen(null));
   document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
+  document.getElementById('btn-settings').addEventListener('click', openSettingsScreen);
+  document.getElementById('input-list-search').addEventListener('input', (e) => {
+    listSearchQuery = e.target.value;
+    renderTimerList();
+  });
+  document.getElementById('input-list-sort').addEventListener('change', (e) => setListSort(e.target.value));
+  document.getElementById('input-list-group').addEventListener('change', (e) => setListGrouping(e.target.checked));
+  document.getElementById('btn-share-collection').addEventListener('click', shareTagCollection);
+
+  // -- Settings --
+  document.getElementById('btn-settings-back').addEventListener('click', () => goBack('list'));
+  document.getElementById('input-language').addEventListener('change', (e) => setLanguage(e.target.value));
+  document.getElementById('input-auto-archive').addEventListener('change', (e) => setAutoArchiveDays(e.target.value));
+  document.getElementById('btn-open-trash').addEventListener('click', () => navigate('trash'));
+  document.getElementById('btn-save-retry').addEventListener('click', saveState);
+  document.getElementById('btn-notification-permission').addEventListener('click', requestNotificationPermission);
+  document.getElementById('input-notifications-enabled').addEventListener('change', (e) => {
+    setNotificationsEnabled(e.target.checked);
+  });
+  document.getElementById('input-quiet-enabled').addEventListener('change', handleQuietHoursChange);
+  document.getElementById('input-quiet-start').addEventListener('change', handleQuietHoursChange);
+  document.getElementById('input-quiet-end').addEventListener('change', handleQuietHoursChange);
+  ['input-sync-provider', 'input-sync-url', 'input-sync-username', 'input-sync-password'].forEach(id => {
+    document.getElementById(id).addEventListener('change', handleServerSyncSettingsChange);
+  });
+  document.getElementById('btn-sync-now').addEventListener('click', syncWithServer);
+  document.getElementById('btn-passcode-set').addEventListener('click', setUpPasscode);
+  document.getElementById('btn-passcode-remove').addEventListener('click', removePasscode);
+  document.getElementById('input-lock-on-launch').addEventListener('change', handleAppLockOptionsChange);
+  document.getElementById('input-relock-minutes').addEventListener('change', handleAppLockOptionsChange);
+
+  // -- Lock --
+  document.getElementById('btn-lock').addEventListener('click', toggleAppLock);
+  document.getElementById('lock-form').addEventListener('submit', submitPasscodeDialog);
+  document.getElementById('btn-lock-cancel').addEventListener('click', () => closePasscodeDialog());
+  document.getElementById('btn-lock-forgot').addEventListener('click', forgetPasscode);
 
   // -- Export / Import --
-  document.getElementById('btn-export').addEventListener('click', exportTimers);
+  document.getElementById('btn-export').addEventListener('click', () => exportTimers());
   document.getElementById('btn-import').addEventListener('click', importTimers);
   document.getElementById('input-import-file').addEventListener('change', handleImportFile);
+  document.getElementById('btn-export-calendar').addEventListener('click', () => exportTimersToCalendar(appState.timers));
+  document.getElementById('btn-import-back').addEventListener('click', cancelImport);
+  document.getElementById('passphrase-form').addEventListener('submit', submitPassphraseDialog);
+  document.getElementById('btn-passphrase-cancel').addEventListener('click', () => closePassphraseDialog());
+  document.getElementById('input-passphrase-enabled').addEventListener('change', updatePassphraseFields);
+  document.getElementById('btn-import-confirm').addEventListener('click', confirmImport);
+
+  // -- Archive --
+  document.getElementById('btn-open-archive').addEventListener('click', () => navigate('archive'));
+  document.getElementById('btn-archive-back').addEventListener('click', () => goBack('list'));
+  document.getElementById('btn-detail-archive').addEventListener('click', toggleDetailArchived);
+  document.getElementById('btn-detail-countup').addEventListener('click', convertDetailToCountUp);
+
+  // -- Trash & undo --
+  document.getElementById('btn-trash-back').addEventListener('click', () => goBack('settings'));
+  document.getElementById('btn-empty-trash').addEventListener('click', emptyTrash);
+  document.getElementById('btn-undo-toast').addEventListener('click', undoFromToast);
+  document.getElementById('input-import-remove-missing').addEventListener('change', (e) => {
+    pendingImport.removeMissing = e.target.checked;
+    renderImportScreen();
+  });
+  document.querySelectorAll('#import-conflict-choice [data-choice]').forEach(btn => {
+    btn.addEventListener('click', () => setImportConflictChoice(btn.dataset.choice));
+  });
 
   // -- Detail --
-  document.getElementById('btn-back').addEventListener('click', () => {
-    stopTicker();
-    renderTimerList();
-    showScreen('list');
-  });
+  document.getElementById('btn-back').addEventListener('click', () => goBack('list'));
   document.getElementById('btn-edit-timer').addEventListener('click', () => {
     if (appState.activeTimerId) openFormScreen(appState.activeTimerId);
   });
 
   // -- Share --
   document.getElementById('btn-share-timer').addEventListener('click', shareTimer);
+  document.getElementById('btn-shared-add').addEventListener('click', addSharedTimer);
+  document.getElementById('btn-shared-cancel').addEventListener('click', dismissSharedTimer);
+  document.getElementById('btn-shared-back').addEventListener('click', dismissSharedTimer);
+  document.getElementById('btn-image-timer').addEventListener('click', openImageShareOverlay);
+  document.getElementById('btn-image-share').addEventListener('click', shareImageCard);
+  document.getElementById('btn-image-share-cancel').addEventListener('click', closeImageShareOverlay);
+  document.querySelectorAll('#image-share-layouts [data-layout]').forEach(btn => {
+    btn.addEventListener('click', () => renderImageSharePreview(btn.dataset.layout));
+  });
+  document.getElementById('btn-calendar-timer').addEventListener('click', () => {
+    const timer = appState.timers.find(t => t.id === appState.activeTimerId);
+    if (timer) exportTimersToCalendar([timer]);
+  });
 
   // -- Form --
   document.getElementById('btn-form-cancel').addEventListener('click', () => {
-    if (appState.activeTimerId && editingTimerId) openDetailScreen(appState.activeTimerId);
-    else showScreen('list');
+    if (editingTimerId) goBack('detail', editingTimerId);
+    else                goBack('list');
   });
   document.getElementById('timer-form').addEventListener('submit', handleFormSubmit);
   document.getElementById('btn-form-delete').addEventListener('click', deleteTimer);
+  document.getElementById('btn-form-conflict-reload').addEventListener('click', () => showFormScreen(editingTimerId));
+
+  // Any edit in the form — typing, ticking, or one of its buttons
+  const timerForm = document.getElementById('timer-form');
+  ['input', 'change'].forEach(type => timerForm.addEventListener(type, () => { formDirty = true; }));
+  timerForm.addEventListener('click', (e) => { if (e.target.closest('button')) formDirty = true; });
+  document.getElementById('btn-form-archive').addEventListener('click', archiveTimerFromForm);
 
   document.querySelectorAll('.mode-toggle-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       document.querySelectorAll('.mode-toggle-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
+      renderMessageRows(getFormMessages(), formEditingTimer);
     });
   });
 
@@ -1255,7 +6630,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!file) return;
 
     if (!file.type.startsWith('image/')) {
-      alert('Please choose an image file (JPEG, PNG, HEIC, etc.)');
+      alert(tr('Please choose an image file (JPEG, PNG, HEIC, etc.)'));
       return;
     }
 
@@ -1288,7 +6663,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!dataUrl && editingTimerId)    dataUrl = await loadPhoto(editingTimerId);
     if (!dataUrl && formPendingPhotoBlob) dataUrl = await blobToDataUrl(formPendingPhotoBlob);
 
-    if (!dataUrl) { alert('No photo found. Please choose a photo first.'); return; }
+    if (!dataUrl) { alert(tr('No photo found. Please choose a photo first.')); return; }
 
     editorState.dataUrl = dataUrl;
     openPhotoEditor(dataUrl, formPendingPhotoTransform);
@@ -1311,6 +6686,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // -- Messages --
   document.getElementById('btn-add-message').addEventListener('click', addMessageToForm);
+  document.getElementById('input-message-trigger').addEventListener('change', (e) => switchMessageTrigger(e.target.value));
+
+  // Message previews depend on the timer's date and mode, so refresh them as those change
+  const refreshMessagePreviews = () => renderMessageRows(getFormMessages(), formEditingTimer);
+  ['input-date', 'input-time', 'input-repeats-yearly', 'input-message-limit'].forEach(id => {
+    document.getElementById(id).addEventListener('change', refreshMessagePreviews);
+  });
+  document.getElementById('input-calendar').addEventListener('change', () => {
+    updateFormCalendar();
+    refreshMessagePreviews();
+  });
+  ['input-calendar-day', 'input-calendar-month', 'input-calendar-year'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      handleFormCalendarInput();
+      refreshMessagePreviews();
+    });
+  });
 
   // -- Custom milestones --
   document.getElementById('btn-add-custom-milestone').addEventListener('click', addCustomMilestoneToForm);
@@ -1318,6 +6710,12 @@ document.addEventListener('DOMContentLoaded', () => {
     if (e.key === 'Enter') { e.preventDefault(); addCustomMilestoneToForm(); }
   });
 
+  // -- Tags --
+  document.getElementById('btn-add-tag').addEventListener('click', addTagToForm);
+  document.getElementById('input-tag').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); addTagToForm(); }
+  });
+
   // -- Milestone overlay --
   document.getElementById('milestone-overlay').addEventListener('click', (e) => {
     if (e.target.id === 'btn-close-milestone' || e.target.closest('#btn-close-milestone')) closeMilestoneOverlay();
@@ -1329,5 +6727,1536 @@ document.addEventListener('DOMContentLoaded', () => {
     navigator.serviceWorker.register('./sw.js')
       .then(reg  => console.log('[Milestone] SW registered:', reg.scope))
       .catch(err => console.warn('[Milestone] SW failed:', err));
+
+    // Tapping a notification while the app is open focuses it and asks for the timer
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      const data = e.data || {};
+      if (data.type === 'open-timer' && appState.timers.some(t => t.id === data.timerId)) openDetailScreen(data.timerId);
+    });
+
+    // Post the fresh schedule on every launch — the foreground catch-up for
+    // platforms without background scheduling
+    syncNotificationSchedule();
+  }
+
+  // -- Router --
+  // Opened from a notification while the app was closed: ?timer=<id> becomes #/detail/<id>
+  const launchTimerId = new URLSearchParams(location.search).get('timer');
+  if (launchTimerId) {
+    history.replaceState({ depth: 0 }, '', location.pathname + buildRouteHash('detail', launchTimerId));
+  } else if (!history.state) {
+    history.replaceState({ depth: 0 }, '', location.href);
   }
+
+  // Back/forward, edited URLs and share links opened while the app is running
+  window.addEventListener('popstate', renderRoute);
+  renderRoute();
 });
+
+/* ════════════════════════════════════════════════════
+   15. TRANSLATIONS
+
+   The catalogues tr() reads (section 5b), keyed by the
+   English text exactly as app.js and index.html write
+   it. English only lists wording that changes with a
+   number; the other languages list everything, in
+   their own script so they can be read and corrected.
+
+   Plural forms are keyed by Intl.PluralRules category:
+   English and German have one/other, Hebrew one/two/
+   other, Japanese needs none. Ordinals (`nth`) use the
+   ordinal categories — one/two/few/other in English.
+
+   A language is added by adding it to LANGUAGES and
+   giving it a catalogue here; a key it doesn't have
+   shows in English.
+════════════════════════════════════════════════════ */
+
+const TRANSLATIONS = {
+  en: {
+    '{count} years': { one: '{count} year', other: '{count} years' },
+    '{count} months': { one: '{count} month', other: '{count} months' },
+    '{count} weeks': { one: '{count} week', other: '{count} weeks' },
+    '{count} days': { one: '{count} day', other: '{count} days' },
+    '{count} hours': { one: '{count} hour', other: '{count} hours' },
+    '{count} minutes': { one: '{count} minute', other: '{count} minutes' },
+    'days left': { one: 'day left', other: 'days left' },
+    'days': { one: 'day', other: 'days' },
+    '{nth}th anniversary': { one: '{nth}st anniversary', two: '{nth}nd anniversary', few: '{nth}rd anniversary', other: '{nth}th anniversary' },
+    '{count} changes waiting.': { one: '{count} change waiting.', other: '{count} changes waiting.' },
+    'Offline \u2014 {count} changes will sync when you\u2019re back online.': { one: 'Offline \u2014 {count} change will sync when you\u2019re back online.', other: 'Offline \u2014 {count} changes will sync when you\u2019re back online.' },
+    '{count} days to go': { one: '{count} day to go', other: '{count} days to go' },
+    '{count} days so far': { one: '{count} day so far', other: '{count} days so far' },
+    'Maximum of {count} messages for this timer reached. Remove one or raise the limit to add another.': { one: 'Maximum of {count} message for this timer reached. Remove it or raise the limit to add another.', other: 'Maximum of {count} messages for this timer reached. Remove one or raise the limit to add another.' },
+    'This timer has {count} messages but the limit is {limit}. Remove some messages or raise the limit.': { one: 'This timer has {count} message but the limit is {limit}. Remove it or raise the limit.', other: 'This timer has {count} messages but the limit is {limit}. Remove some messages or raise the limit.' },
+    '{count} timers in this file: {parts}.': { one: '{count} timer in this file: {parts}.', other: '{count} timers in this file: {parts}.' },
+    'Also move {count} timers not in this backup to the trash': { one: 'Also move {count} timer not in this backup to the trash', other: 'Also move {count} timers not in this backup to the trash' },
+    'Deleted {count} days ago': { one: 'Deleted {count} day ago', other: 'Deleted {count} days ago' },
+    'removed for good in {count} days': { one: 'removed for good in {count} day', other: 'removed for good in {count} days' },
+    'Delete {count} timers for good? This cannot be undone.': { one: 'Delete {count} timer for good? This cannot be undone.', other: 'Delete {count} timers for good? This cannot be undone.' },
+    'Counted up {count} days from {date}': { one: 'Counted up {count} day from {date}', other: 'Counted up {count} days from {date}' },
+    'Counted down {count} days': { one: 'Counted down {count} day', other: 'Counted down {count} days' },
+    '{count} days to go when archived \u2014 {date}': { one: '{count} day to go when archived \u2014 {date}', other: '{count} days to go when archived \u2014 {date}' },
+    '{count} days before': { one: '{count} day before', other: '{count} days before' },
+    '{count} days after': { one: '{count} day after', other: '{count} days after' },
+    'At {count} days': { one: 'At {count} day', other: 'At {count} days' },
+    'Every {count} weeks': { one: 'Every week', other: 'Every {count} weeks' },
+    'Every {count} days': { one: 'Every day', other: 'Every {count} days' },
+    'Remove the passcode? {count} private timers will be deleted for good, here and on any device this one syncs with.': { one: 'Remove the passcode? {count} private timer will be deleted for good, here and on any device this one syncs with.', other: 'Remove the passcode? {count} private timers will be deleted for good, here and on any device this one syncs with.' },
+  },
+
+  de: {
+    // Saving and sync
+    'Couldn\u2019t save \u2014 this device is out of storage. Free up some space, then retry.': 'Speichern fehlgeschlagen – auf diesem Gerät ist kein Speicherplatz mehr frei. Schaffe etwas Platz und versuche es dann erneut.',
+    'Couldn\u2019t save your latest changes. They\u2019ll be lost if you close the app.': 'Deine letzten Änderungen konnten nicht gespeichert werden. Sie gehen verloren, wenn du die App schließt.',
+    'Retry': 'Erneut versuchen',
+    'Couldn\u2019t reach the server': 'Server nicht erreichbar',
+    'The server didn\u2019t accept the sign-in details': 'Der Server hat die Anmeldedaten nicht akzeptiert',
+    'The server answered {status}': 'Der Server antwortete mit {status}',
+    'The server\u2019s sync data isn\u2019t in a format Milestone understands': 'Die Sync-Daten des Servers haben ein Format, das Milestone nicht versteht',
+    'Access token': 'Zugriffstoken',
+    'Password': 'Passwort',
+    '{count} changes waiting.': { one: '{count} Änderung wartet.', other: '{count} Änderungen warten.' },
+    'Keep timers the same on all your devices by syncing them through a WebDAV folder or your own Milestone sync server.': 'Halte deine Timer auf allen Geräten gleich, indem du sie über einen WebDAV-Ordner oder deinen eigenen Milestone-Sync-Server synchronisierst.',
+    'Enter the server address to start syncing.': 'Gib die Serveradresse ein, um mit dem Synchronisieren zu beginnen.',
+    'Syncing\u2026': 'Wird synchronisiert …',
+    'Offline \u2014 {count} changes will sync when you\u2019re back online.': { one: 'Offline – {count} Änderung wird synchronisiert, sobald du wieder online bist.', other: 'Offline – {count} Änderungen werden synchronisiert, sobald du wieder online bist.' },
+    'Offline \u2014 syncing will resume when you\u2019re back online.': 'Offline – die Synchronisierung geht weiter, sobald du wieder online bist.',
+    'Sync failed: {error}.': 'Synchronisierung fehlgeschlagen: {error}.',
+    'Last synced {when}.': 'Zuletzt synchronisiert: {when}.',
+    'Not synced yet.': 'Noch nicht synchronisiert.',
+
+    // Dates and counts
+    '{date} at {time}': '{date} um {time}',
+    '{date} ({gregorianDate})': '{date} ({gregorianDate})',
+    'Until {date}': 'Bis {date}',
+    'Since {date}': 'Seit {date}',
+    '{nth}th anniversary': '{nth}. Jahrestag',
+    '{list} and {last}': '{list} und {last}',
+    '{count} years': { one: '{count} Jahr', other: '{count} Jahre' },
+    '{count} months': { one: '{count} Monat', other: '{count} Monate' },
+    '{count} weeks': { one: '{count} Woche', other: '{count} Wochen' },
+    '{count} days': { one: '{count} Tag', other: '{count} Tage' },
+    '{count} hours': { one: '{count} Stunde', other: '{count} Stunden' },
+    '{count} minutes': { one: '{count} Minute', other: '{count} Minuten' },
+    'today': 'heute',
+    'Today': 'Heute',
+    'Years': 'Jahre',
+    'Months': 'Monate',
+    'Weeks': 'Wochen',
+    'Days': 'Tage',
+    'Hours': 'Std.',
+    'Mins': 'Min.',
+    'Secs': 'Sek.',
+
+    // Built-in milestones
+    '1 week': '1 Woche',
+    '2 weeks': '2 Wochen',
+    '1 month': '1 Monat',
+    '50 days': '50 Tage',
+    '2 months': '2 Monate',
+    '3 months': '3 Monate',
+    '100 days': '100 Tage',
+    '6 months': '6 Monate',
+    '200 days': '200 Tage',
+    '1 year': '1 Jahr',
+    '500 days': '500 Tage',
+    '2 years': '2 Jahre',
+    '1000 days': '1000 Tage',
+    '3 years': '3 Jahre',
+    '5 years': '5 Jahre',
+
+    // Timer list
+    'No timers yet': 'Noch keine Timer',
+    'Tap \uFF0B to create your first milestone': 'Tippe auf ＋, um deinen ersten Meilenstein anzulegen',
+    'Toggle light/dark mode': 'Hell/Dunkel umschalten',
+    'Export timers to backup file': 'Timer in eine Sicherungsdatei exportieren',
+    'Import timers from a backup or calendar file': 'Timer aus einer Sicherungs- oder Kalenderdatei importieren',
+    'Settings': 'Einstellungen',
+    'Add new timer': 'Neuen Timer hinzufügen',
+    'Lock Milestone': 'Milestone sperren',
+    'Unlock private timers': 'Private Timer entsperren',
+    'Search names and messages': 'Namen und Nachrichten durchsuchen',
+    'Search timers': 'Timer durchsuchen',
+    'Filter by tag': 'Nach Tag filtern',
+    'Sort timers': 'Timer sortieren',
+    'Soonest': 'Demnächst',
+    'Most days': 'Meiste Tage',
+    'Name': 'Name',
+    'Newest': 'Neueste',
+    'My order': 'Meine Reihenfolge',
+    'Group': 'Gruppieren',
+    'Pinned': 'Angeheftet',
+    'Upcoming': 'Bevorstehend',
+    'Counting up': 'Zählt hoch',
+    'Arrived': 'Erreicht',
+    'Private': 'Privat',
+    'All': 'Alle',
+    'Share \u201C{tag}\u201D collection': 'Sammlung „{tag}“ teilen',
+    'Share \u201C{tag}\u201D': '„{tag}“ teilen',
+    'Move {name} \u2014 drag, or use the arrow keys': '{name} verschieben – ziehen oder die Pfeiltasten verwenden',
+    'Repeats yearly': 'Jährlich',
+    'Unpin': 'Loslösen',
+    'Pin to top': 'Oben anheften',
+    'arrived': 'erreicht',
+    'days left': { one: 'Tag übrig', other: 'Tage übrig' },
+    'days': { one: 'Tag', other: 'Tage' },
+    'Private timer': 'Privater Timer',
+    'Enter the passcode to see it': 'Gib den Code ein, um ihn zu sehen',
+    'Archive ({count})': 'Archiv ({count})',
+    'No \u201C{tag}\u201D timers match \u201C{query}\u201D': 'Keine Timer in „{tag}“ passen zu „{query}“',
+    'No timers match \u201C{query}\u201D': 'Keine Timer passen zu „{query}“',
+    'Undo': 'Rückgängig',
+    '\u201C{name}\u201D moved to the trash': '„{name}“ in den Papierkorb verschoben',
+    '\u201C{name}\u201D archived': '„{name}“ archiviert',
+
+    // Timer detail, sharing and calendars
+    'Back to timer list': 'Zurück zur Timer-Liste',
+    'Share this timer': 'Diesen Timer teilen',
+    'Share this timer as an image': 'Diesen Timer als Bild teilen',
+    'Add this timer to your calendar': 'Diesen Timer zum Kalender hinzufügen',
+    'Edit this timer': 'Diesen Timer bearbeiten',
+    'Largest unit to display': 'Größte angezeigte Einheit',
+    'Counting down to the {occurrence}': 'Countdown zum {occurrence}',
+    'Counting down to': 'Countdown bis',
+    'Counting up from': 'Zählt hoch seit',
+    'Counting down to {date}': 'Countdown bis {date}',
+    'Counting up from {date}': 'Zählt hoch seit {date}',
+    'This date has now passed.': 'Dieses Datum ist inzwischen vorbei.',
+    'Counting down to the {occurrence}, {date}': 'Countdown zum {occurrence}, {date}',
+    'The {occurrence} is today!': 'Heute ist der {occurrence}!',
+    '{time} until the {occurrence}': 'Noch {time} bis zum {occurrence}',
+    '{time} to go': 'Noch {time}',
+    '{time} so far': 'Bisher {time}',
+    'Add it to Milestone: {link}': 'Zu Milestone hinzufügen: {link}',
+    'Timer details copied to clipboard.': 'Timer-Details in die Zwischenablage kopiert.',
+    'Count up from this date': 'Ab diesem Datum hochzählen',
+    'Count up from it': 'Ab da hochzählen',
+    'This countdown has arrived': 'Dieser Countdown ist abgelaufen',
+    'Archive': 'Archivieren',
+    'Unarchive': 'Aus dem Archiv holen',
+    'Share as Image': 'Als Bild teilen',
+    'Card layout': 'Kartenformat',
+    'Story': 'Story',
+    'Square': 'Quadrat',
+    'Landscape': 'Querformat',
+    'Preview of the image to share': 'Vorschau des Bildes zum Teilen',
+    'Share Image': 'Bild teilen',
+    'Cancel': 'Abbrechen',
+    'Sorry \u2014 the image could not be created.': 'Das Bild konnte leider nicht erstellt werden.',
+    'Counting down to this date in Milestone.': 'Countdown bis zu diesem Datum in Milestone.',
+    'Counting up from this date in Milestone.': 'Zählt in Milestone ab diesem Datum hoch.',
+    '{milestone} to go': 'Noch {milestone}',
+    'Milestone Calendar': 'Milestone-Kalender',
+    'Untitled event': 'Unbenannter Termin',
+
+    // Share links
+    'This share link is incomplete or damaged, so the timer could not be added.': 'Dieser Link ist unvollständig oder beschädigt, daher konnte der Timer nicht hinzugefügt werden.',
+    'Add this timer?': 'Diesen Timer hinzufügen?',
+    'This date has passed': 'Dieses Datum ist vorbei',
+    '{count} days to go': { one: 'Noch {count} Tag', other: 'Noch {count} Tage' },
+    '{count} days so far': { one: 'Bisher {count} Tag', other: 'Bisher {count} Tage' },
+    'You already have a timer with this name and date.': 'Du hast bereits einen Timer mit diesem Namen und Datum.',
+    'Add Timer': 'Timer hinzufügen',
+    'Not Now': 'Jetzt nicht',
+
+    // Timer form
+    'Edit Timer': 'Timer bearbeiten',
+    'New Timer': 'Neuer Timer',
+    'Discard mine and load theirs': 'Meine verwerfen und die andere laden',
+    'This timer was deleted in another window. Saving will bring it back.': 'Dieser Timer wurde in einem anderen Fenster gelöscht. Beim Speichern wird er wiederhergestellt.',
+    'This timer was changed in another window. Saving will overwrite those changes.': 'Dieser Timer wurde in einem anderen Fenster geändert. Beim Speichern werden diese Änderungen überschrieben.',
+    'This timer is also open in another window \u2014 whichever is saved last will overwrite the other.': 'Dieser Timer ist auch in einem anderen Fenster geöffnet – was zuletzt gespeichert wird, überschreibt das andere.',
+    'Timer name': 'Name des Timers',
+    'e.g. Weeks since surgery': 'z. B. Wochen seit der OP',
+    'Gregorian': 'Gregorianisch',
+    'Hebrew': 'Jüdisch',
+    'Islamic (Hijri)': 'Islamisch (Hidschri)',
+    'Chinese lunar': 'Chinesisch (Mondkalender)',
+    'For dates kept on the Hebrew, Islamic or Chinese calendar \u2014 years and anniversaries are counted on it.': 'Für Daten im jüdischen, islamischen oder chinesischen Kalender – Jahre und Jahrestage werden darin gezählt.',
+    'Date': 'Datum',
+    'Day': 'Tag',
+    'Month': 'Monat',
+    'Year': 'Jahr',
+    '{date} on the Gregorian calendar': '{date} im gregorianischen Kalender',
+    'Time (optional)': 'Uhrzeit (optional)',
+    'Set a time for flights, launches and other exact moments. Leave blank to count whole days.': 'Lege eine Uhrzeit für Flüge, Starts und andere genaue Momente fest. Leer lassen, um ganze Tage zu zählen.',
+    'Mode': 'Modus',
+    'Timer mode': 'Timer-Modus',
+    'Countdown to': 'Countdown bis',
+    'Count up from': 'Hochzählen ab',
+    'Repeats every year': 'Wiederholt sich jedes Jahr',
+    'For birthdays and anniversaries \u2014 the countdown rolls over to the same date every year. Enter the original date (e.g. the wedding day) to see which anniversary is next. Countdowns only.': 'Für Geburtstage und Jahrestage – der Countdown springt jedes Jahr auf dasselbe Datum weiter. Gib das ursprüngliche Datum ein (z. B. den Hochzeitstag), um zu sehen, der wievielte Jahrestag als Nächstes kommt. Nur für Countdowns.',
+    'Tags': 'Tags',
+    'Group timers into collections like Family or Work \u2014 filter by them on the list.': 'Fasse Timer in Sammlungen wie Familie oder Arbeit zusammen – und filtere die Liste danach.',
+    'e.g. Family': 'z. B. Familie',
+    'Add': 'Hinzufügen',
+    'Remove tag {tag}': 'Tag {tag} entfernen',
+    'Tags can be up to {max} characters.': 'Tags dürfen höchstens {max} Zeichen lang sein.',
+    'Background image': 'Hintergrundbild',
+    'Built-in themes': 'Mitgelieferte Designs',
+    'Your photo': 'Dein Foto',
+    '\u2715 No background': '✕ Kein Hintergrund',
+    '\u2922 Adjust position & zoom': '⤢ Position & Zoom anpassen',
+    'Your chosen background': 'Dein gewählter Hintergrund',
+    '\u2715 Remove photo': '✕ Foto entfernen',
+    'Tap to choose a photo': 'Tippen, um ein Foto auszuwählen',
+    'Saved inside the app \u2014 works offline': 'Wird in der App gespeichert – funktioniert offline',
+    'Dawn': 'Morgenrot',
+    'Ocean': 'Ozean',
+    'Sunset': 'Sonnenuntergang',
+    'Forest': 'Wald',
+    'Gold': 'Gold',
+    'Aurora': 'Polarlicht',
+    'Notify me about this timer': 'Benachrichtigungen zu diesem Timer',
+    'Milestones, message dates and the countdown reaching zero. Turn notifications on in Settings.': 'Meilensteine, Nachrichtentermine und das Ende des Countdowns. Benachrichtigungen schaltest du in den Einstellungen ein.',
+    'Hidden on the list, in notifications and from sharing until the passcode is entered.': 'In der Liste, in Benachrichtigungen und beim Teilen verborgen, bis der Code eingegeben wird.',
+    'Set a passcode in Settings to hide private timers \u2014 until then they show as usual.': 'Lege in den Einstellungen einen Code fest, um private Timer zu verbergen – bis dahin werden sie normal angezeigt.',
+    'Milestones': 'Meilensteine',
+    'Tick the day counts you want to celebrate.': 'Wähle die Tageszahlen aus, die du feiern möchtest.',
+    'Custom milestones': 'Eigene Meilensteine',
+    'Number of days, e.g. 42': 'Anzahl Tage, z. B. 42',
+    'No custom milestones added yet': 'Noch keine eigenen Meilensteine',
+    'Remove custom milestone': 'Eigenen Meilenstein entfernen',
+    'Please enter a whole number of days between 1 and {max}.': 'Bitte gib eine ganze Zahl von Tagen zwischen 1 und {max} ein.',
+    '{milestone} is already a built-in milestone \u2014 tick it in the list above.': '{milestone} ist bereits ein mitgelieferter Meilenstein – wähle ihn oben in der Liste aus.',
+    'That milestone has already been added.': 'Dieser Meilenstein wurde bereits hinzugefügt.',
+    'Save Timer': 'Timer speichern',
+    'Archive Timer': 'Timer archivieren',
+    'Delete Timer': 'Timer löschen',
+    'Please give your timer a name.': 'Bitte gib deinem Timer einen Namen.',
+    'Please choose a date.': 'Bitte wähle ein Datum.',
+    'This timer was changed in another window while you were editing. Save your version over those changes?': 'Dieser Timer wurde während deiner Bearbeitung in einem anderen Fenster geändert. Deine Version darüber speichern?',
+    'This timer was deleted in another window. Save it again?': 'Dieser Timer wurde in einem anderen Fenster gelöscht. Erneut speichern?',
+
+    // Messages
+    'Messages': 'Nachrichten',
+    'Add messages to display on the timer screen \u2014 from a specific date, a few days before the big day, at a day count or milestone, or on repeat. e.g. "Buy a card and gift for wife" showing 7 days before your anniversary.': 'Füge Nachrichten hinzu, die auf dem Timer-Bildschirm erscheinen – ab einem bestimmten Datum, ein paar Tage vor dem großen Tag, bei einer Tageszahl oder einem Meilenstein oder wiederholt. Z. B. „Karte und Geschenk kaufen“ 7 Tage vor eurem Jahrestag.',
+    'e.g. Buy a card and gift for wife': 'z. B. Karte und Geschenk kaufen',
+    'Show this message': 'Diese Nachricht zeigen',
+    'From a date': 'Ab einem Datum',
+    'Days before or after the timer date': 'Tage vor oder nach dem Timer-Datum',
+    'When the day count reaches': 'Wenn die Tageszahl erreicht ist',
+    'When a milestone is reached': 'Wenn ein Meilenstein erreicht ist',
+    'Every few days or weeks': 'Alle paar Tage oder Wochen',
+    'Display from this date': 'Ab diesem Datum anzeigen',
+    'Message date': 'Datum der Nachricht',
+    'Number of days': 'Anzahl Tage',
+    'Before or after': 'Vorher oder nachher',
+    'before': 'vor',
+    'after': 'nach',
+    'the date': 'dem Datum',
+    'At day': 'Bei Tag',
+    'of the count': 'der Zählung',
+    'Milestone': 'Meilenstein',
+    'Every': 'Alle',
+    'Repeat unit': 'Einheit der Wiederholung',
+    'weeks': 'Wochen',
+    'Starting on': 'Beginnend am',
+    'Stop showing after (optional)': 'Nicht mehr zeigen nach (optional)',
+    'Add message': 'Nachricht hinzufügen',
+    'Maximum messages': 'Höchstens Nachrichten',
+    'No limit': 'Keine Grenze',
+    '{count} of {limit}': '{count} von {limit}',
+    'No messages added yet': 'Noch keine Nachrichten',
+    'Remove message': 'Nachricht entfernen',
+    'Marked done': 'Als erledigt markiert',
+    'Show again': 'Wieder zeigen',
+    'Showing from {start} until {end}': 'Angezeigt von {start} bis {end}',
+    'Showing from {start}': 'Angezeigt ab {start}',
+    'Choose the timer date to preview until {end}': 'Wähle das Timer-Datum, um die Vorschau bis {end} zu sehen',
+    'Choose the timer date to preview': 'Wähle das Timer-Datum für eine Vorschau',
+    'This message will not show': 'Diese Nachricht wird nicht angezeigt',
+    'Showing now, next from {next} until {end}': 'Wird jetzt angezeigt, als Nächstes von {next} bis {end}',
+    'Showing now, next from {next}': 'Wird jetzt angezeigt, als Nächstes ab {next}',
+    'No milestones enabled': 'Keine Meilensteine aktiviert',
+    'Please choose a date for this message.': 'Bitte wähle ein Datum für diese Nachricht.',
+    'Please enter how many days before or after the timer date.': 'Bitte gib an, wie viele Tage vor oder nach dem Timer-Datum.',
+    'Please enter the day count that should show this message.': 'Bitte gib die Tageszahl ein, bei der diese Nachricht erscheinen soll.',
+    'Please tick or add a milestone first.': 'Bitte wähle zuerst einen Meilenstein aus oder füge einen hinzu.',
+    'Please enter how often this message repeats.': 'Bitte gib an, wie oft sich diese Nachricht wiederholt.',
+    'Please choose when this message starts repeating.': 'Bitte wähle, ab wann sich diese Nachricht wiederholt.',
+    'Please enter a message.': 'Bitte gib eine Nachricht ein.',
+    'The end date must be on or after the start date.': 'Das Enddatum darf nicht vor dem Startdatum liegen.',
+    'Maximum of {count} messages for this timer reached. Remove one or raise the limit to add another.': { one: 'Für diesen Timer ist höchstens {count} Nachricht erlaubt. Entferne sie oder erhöhe die Grenze, um eine weitere hinzuzufügen.', other: 'Für diesen Timer sind höchstens {count} Nachrichten erlaubt. Entferne eine oder erhöhe die Grenze, um eine weitere hinzuzufügen.' },
+    'This timer has {count} messages but the limit is {limit}. Remove some messages or raise the limit.': { one: 'Dieser Timer hat {count} Nachricht, die Grenze ist aber {limit}. Entferne sie oder erhöhe die Grenze.', other: 'Dieser Timer hat {count} Nachrichten, die Grenze ist aber {limit}. Entferne einige oder erhöhe die Grenze.' },
+    'No date set': 'Kein Datum',
+    'On the day': 'Am Tag selbst',
+    '{count} days before': { one: '{count} Tag vorher', other: '{count} Tage vorher' },
+    '{count} days after': { one: '{count} Tag danach', other: '{count} Tage danach' },
+    'At {count} days': { one: 'Bei {count} Tag', other: 'Bei {count} Tagen' },
+    '{milestone} milestone': 'Meilenstein {milestone}',
+    'Every {count} weeks': { one: 'Jede Woche', other: 'Alle {count} Wochen' },
+    'Every {count} days': { one: 'Jeden Tag', other: 'Alle {count} Tage' },
+    'No trigger set': 'Kein Auslöser',
+    'Mark message as done': 'Nachricht als erledigt markieren',
+    'Done': 'Fertig',
+
+    // Import and export
+    'No timers to export.': 'Keine Timer zum Exportieren.',
+    'Private Timer': 'Privater Timer',
+    'Private Timers': 'Private Timer',
+    'Enter the passcode to include private timers.': 'Gib den Code ein, um private Timer einzuschließen.',
+    'Milestone Backup': 'Milestone-Sicherung',
+    'No events were found in this calendar file.': 'In dieser Kalenderdatei wurden keine Termine gefunden.',
+    'Could not read the file. Please make sure it is a valid Milestone Counter backup or calendar (.ics) file.': 'Die Datei konnte nicht gelesen werden. Bitte prüfe, ob es eine gültige Milestone-Counter-Sicherung oder Kalenderdatei (.ics) ist.',
+    'This file does not look like a Milestone Counter backup.': 'Diese Datei sieht nicht wie eine Milestone-Counter-Sicherung aus.',
+    'The backup file contains no timers.': 'Die Sicherungsdatei enthält keine Timer.',
+    'This backup has an unrecognised format version.': 'Diese Sicherung hat eine unbekannte Formatversion.',
+    'This backup was made by a newer version of Milestone Counter. Please update the app and try again.': 'Diese Sicherung wurde mit einer neueren Version von Milestone Counter erstellt. Bitte aktualisiere die App und versuche es erneut.',
+    'Untitled timer': 'Unbenannter Timer',
+    'not a timer': 'kein Timer',
+    'missing its ID': 'ID fehlt',
+    'missing a name': 'Name fehlt',
+    'invalid date': 'ungültiges Datum',
+    'invalid time': 'ungültige Uhrzeit',
+    'unknown timer mode': 'unbekannter Timer-Modus',
+    'unknown calendar': 'unbekannter Kalender',
+    'invalid {setting} setting': 'ungültige Einstellung {setting}',
+    'unknown wallpaper': 'unbekannter Hintergrund',
+    'invalid photo position': 'ungültige Fotoposition',
+    'invalid messages': 'ungültige Nachrichten',
+    'invalid message': 'ungültige Nachricht',
+    'invalid message limit': 'ungültige Nachrichtengrenze',
+    'more messages than its limit': 'mehr Nachrichten als erlaubt',
+    'invalid milestones': 'ungültige Meilensteine',
+    'invalid custom milestones': 'ungültige eigene Meilensteine',
+    'invalid tags': 'ungültige Tags',
+    'invalid created date': 'ungültiges Erstellungsdatum',
+    'invalid archive date': 'ungültiges Archivierungsdatum',
+    'duplicate ID': 'doppelte ID',
+    'Import Backup': 'Sicherung importieren',
+    'Cancel import': 'Import abbrechen',
+    'Timers that differ': 'Abweichende Timer',
+    'Keep all mine': 'Alle meine behalten',
+    'Take all theirs': 'Alle aus der Sicherung übernehmen',
+    'Import Selected': 'Auswahl importieren',
+    'New': 'Neu',
+    'Changed': 'Geändert',
+    'Identical': 'Identisch',
+    'Skipped': 'Übersprungen',
+    '{count} new': '{count} neu',
+    '{count} changed': '{count} geändert',
+    '{count} already up to date': '{count} bereits aktuell',
+    '{count} skipped as invalid': '{count} ungültig und übersprungen',
+    '{count} timers in this file: {parts}.': '{count} Timer in dieser Datei: {parts}.',
+    'Also move {count} timers not in this backup to the trash': { one: 'Auch {count} Timer, der nicht in dieser Sicherung ist, in den Papierkorb verschieben', other: 'Auch {count} Timer, die nicht in dieser Sicherung sind, in den Papierkorb verschieben' },
+    'Can\u2019t import \u2014 {reason}': 'Import nicht möglich – {reason}',
+    'Which version to keep': 'Welche Version behalten',
+    'Keep mine': 'Meine behalten',
+    'Take theirs': 'Aus der Sicherung übernehmen',
+    '{count} added': '{count} hinzugefügt',
+    '{count} updated': '{count} aktualisiert',
+    '{count} moved to the trash': '{count} in den Papierkorb verschoben',
+    'Import complete \u2014 {summary}.': 'Import abgeschlossen – {summary}.',
+    'Nothing was changed.': 'Es wurde nichts geändert.',
+
+    // Encrypted backups
+    'This encrypted backup is damaged or was made by a newer version of Milestone, so it can\u2019t be opened.': 'Diese verschlüsselte Sicherung ist beschädigt oder stammt aus einer neueren Version von Milestone und kann nicht geöffnet werden.',
+    'That passphrase doesn\u2019t open this backup \u2014 or the file has been changed since it was exported.': 'Diese Passphrase öffnet die Sicherung nicht – oder die Datei wurde seit dem Export verändert.',
+    'This encrypted backup opened, but what\u2019s inside isn\u2019t a Milestone Counter backup.': 'Die verschlüsselte Sicherung ließ sich öffnen, enthält aber keine Milestone-Counter-Sicherung.',
+    'This backup is encrypted, and this browser can\u2019t decrypt it here. Open Milestone over https and try again.': 'Diese Sicherung ist verschlüsselt, und dieser Browser kann sie hier nicht entschlüsseln. Öffne Milestone über https und versuche es erneut.',
+    'Export Backup': 'Sicherung exportieren',
+    'Encrypted Backup': 'Verschlüsselte Sicherung',
+    'Backups hold every timer\u2019s name, dates and messages. A passphrase keeps them private wherever the file ends up \u2014 but without it, the file can\u2019t be opened at all.': 'Sicherungen enthalten Namen, Daten und Nachrichten aller Timer. Eine Passphrase hält sie privat, wo immer die Datei landet – ohne sie lässt sich die Datei aber gar nicht mehr öffnen.',
+    'Enter the passphrase this backup was exported with.': 'Gib die Passphrase ein, mit der diese Sicherung exportiert wurde.',
+    'Export': 'Exportieren',
+    'Open Backup': 'Sicherung öffnen',
+    'Protect with a passphrase': 'Mit einer Passphrase schützen',
+    'Passphrase': 'Passphrase',
+    'Type it again': 'Noch einmal eingeben',
+    'Enter a passphrase.': 'Gib eine Passphrase ein.',
+    'Use at least {count} characters.': 'Verwende mindestens {count} Zeichen.',
+    'The two passphrases don\u2019t match.': 'Die beiden Passphrasen stimmen nicht überein.',
+
+    // Trash and archive
+    'Trash': 'Papierkorb',
+    'Back to settings': 'Zurück zu den Einstellungen',
+    'The trash is empty.': 'Der Papierkorb ist leer.',
+    'Empty Trash': 'Papierkorb leeren',
+    'Deleted today': 'Heute gelöscht',
+    'Deleted yesterday': 'Gestern gelöscht',
+    'Deleted {count} days ago': { one: 'Vor {count} Tag gelöscht', other: 'Vor {count} Tagen gelöscht' },
+    'removed for good in {count} days': { one: 'wird in {count} Tag endgültig entfernt', other: 'wird in {count} Tagen endgültig entfernt' },
+    'Restore': 'Wiederherstellen',
+    'Delete forever': 'Endgültig löschen',
+    'Delete \u201C{name}\u201D for good? This cannot be undone.': '„{name}“ endgültig löschen? Das lässt sich nicht rückgängig machen.',
+    'Delete {count} timers for good? This cannot be undone.': '{count} Timer endgültig löschen? Das lässt sich nicht rückgängig machen.',
+    'Archive countdowns automatically': 'Countdowns automatisch archivieren',
+    'Never': 'Nie',
+    '1 day after they arrive': '1 Tag nach Ablauf',
+    '1 week after they arrive': '1 Woche nach Ablauf',
+    '30 days after they arrive': '30 Tage nach Ablauf',
+    'Nothing archived yet. Archive a timer from its edit screen, or from an arrived countdown.': 'Noch nichts archiviert. Archiviere einen Timer über seinen Bearbeiten-Bildschirm oder einen abgelaufenen Countdown.',
+    'Countdown': 'Countdown',
+    'Count-up': 'Hochzählen',
+    'Counted up {count} days from {date}': { one: '{count} Tag hochgezählt seit {date}', other: '{count} Tage hochgezählt seit {date}' },
+    'Arrived {date}': 'Abgelaufen am {date}',
+    'Counted down {count} days': { one: '{count} Tag heruntergezählt', other: '{count} Tage heruntergezählt' },
+    '{count} days to go when archived \u2014 {date}': { one: 'Beim Archivieren noch {count} Tag – {date}', other: 'Beim Archivieren noch {count} Tage – {date}' },
+    'Archived {date}': 'Archiviert am {date}',
+
+    // Photos
+    'Adjust photo position': 'Fotoposition anpassen',
+    'Adjust Photo': 'Foto anpassen',
+    'Drag to reposition \u00B7 Pinch to zoom': 'Ziehen zum Verschieben · Zwei Finger zum Zoomen',
+    'Please choose an image file (JPEG, PNG, HEIC, etc.)': 'Bitte wähle eine Bilddatei (JPEG, PNG, HEIC usw.)',
+    'No photo found. Please choose a photo first.': 'Kein Foto gefunden. Bitte wähle zuerst ein Foto.',
+
+    // Milestone celebrations
+    '{label} since {name}. Every single day counted.': '{label} seit {name}. Jeder einzelne Tag zählt.',
+    'You made it to {label}. That is worth celebrating.': 'Du hast {label} geschafft. Das ist ein Grund zum Feiern.',
+    '{label} and still going strong.': '{label} und es geht weiter.',
+    'Look how far you have come \u2014 {label}!': 'Schau, wie weit du gekommen bist – {label}!',
+    'Another milestone reached: {label}. Keep going.': 'Wieder ein Meilenstein: {label}. Weiter so.',
+    'Only {label} to go until {name}!': 'Nur noch {label} bis {name}!',
+    '{label} left. It is getting close now.': 'Noch {label}. Jetzt ist es bald so weit.',
+    'The countdown to {name} hits {label}.': 'Der Countdown bis {name} erreicht {label}.',
+    '{label} to go \u2014 time to start getting excited.': 'Noch {label} – Zeit, sich zu freuen.',
+    'Milestone reached: {label} until {name}.': 'Meilenstein erreicht: {label} bis {name}.',
+    'A milestone': 'Ein Meilenstein',
+    'One of your private timers has reached a milestone. Unlock Milestone to see which.': 'Einer deiner privaten Timer hat einen Meilenstein erreicht. Entsperre Milestone, um zu sehen, welcher.',
+    'Next ({count} more)': 'Weiter (noch {count})',
+
+    // Notifications and settings
+    'Open Milestone to see what\u2019s new.': 'Öffne Milestone, um zu sehen, was es Neues gibt.',
+    'Today is the {occurrence}!': 'Heute ist der {occurrence}!',
+    'The day has arrived!': 'Der Tag ist da!',
+    'Language': 'Sprache',
+    'Automatic': 'Automatisch',
+    'Notifications': 'Benachrichtigungen',
+    'This browser does not support notifications. On iPhone, add Milestone to your Home Screen first.': 'Dieser Browser unterstützt keine Benachrichtigungen. Füge Milestone auf dem iPhone zuerst zum Home-Bildschirm hinzu.',
+    'Notifications are blocked. Allow them for this app in your device settings.': 'Benachrichtigungen sind blockiert. Erlaube sie für diese App in den Geräteeinstellungen.',
+    'Allow notifications to hear about milestones, messages and countdowns.': 'Erlaube Benachrichtigungen, um von Meilensteinen, Nachrichten und Countdowns zu erfahren.',
+    'Notifications are scheduled on this device and arrive on time.': 'Benachrichtigungen werden auf diesem Gerät geplant und kommen pünktlich.',
+    'Notifications are checked in the background where supported, and whenever you open the app.': 'Benachrichtigungen werden, wo möglich, im Hintergrund geprüft – und jedes Mal, wenn du die App öffnest.',
+    'Allow notifications': 'Benachrichtigungen erlauben',
+    'Send notifications': 'Benachrichtigungen senden',
+    'Quiet hours': 'Ruhezeiten',
+    'Hold notifications during quiet hours': 'Benachrichtigungen während der Ruhezeiten zurückhalten',
+    'From': 'Von',
+    'to': 'bis',
+    'Anything due during quiet hours arrives when they end.': 'Was in die Ruhezeiten fällt, kommt, sobald sie enden.',
+    'Calendar': 'Kalender',
+    'Export all timers to calendar': 'Alle Timer in den Kalender exportieren',
+    'Saves an .ics file with each timer\'s date, its milestones and message dates. Import .ics files with the \u2193 button on the timer list.': 'Speichert eine .ics-Datei mit dem Datum jedes Timers, seinen Meilensteinen und Nachrichtenterminen. .ics-Dateien importierst du mit der Taste ↓ in der Timer-Liste.',
+    'Storage': 'Speicher',
+    'This browser won\u2019t give Milestone a database, so timers are kept in its basic storage, without photos. Export a backup now and then.': 'Dieser Browser stellt Milestone keine Datenbank zur Verfügung, daher werden Timer ohne Fotos im einfachen Speicher abgelegt. Exportiere ab und zu eine Sicherung.',
+    'Timers and photos are saved on this device, and the browser won\u2019t clear them to free up space.': 'Timer und Fotos werden auf diesem Gerät gespeichert, und der Browser löscht sie nicht, um Platz zu schaffen.',
+    'Timers and photos are saved on this device. The browser may clear them if space runs low \u2014 export a backup now and then.': 'Timer und Fotos werden auf diesem Gerät gespeichert. Wird der Platz knapp, kann der Browser sie löschen – exportiere ab und zu eine Sicherung.',
+    'Sync between devices': 'Zwischen Geräten synchronisieren',
+    'Off': 'Aus',
+    'WebDAV folder': 'WebDAV-Ordner',
+    'Milestone sync server': 'Milestone-Sync-Server',
+    'Server address': 'Serveradresse',
+    'Username': 'Benutzername',
+    'Sync now': 'Jetzt synchronisieren',
+    'Open trash ({count})': 'Papierkorb öffnen ({count})',
+    'Open trash': 'Papierkorb öffnen',
+    'Deleted timers are kept for 30 days, photos included, before they\'re removed for good.': 'Gelöschte Timer werden samt Fotos 30 Tage lang aufbewahrt, bevor sie endgültig entfernt werden.',
+
+    // Passcode
+    'Passcode': 'Code',
+    'That isn\u2019t the passcode.': 'Das ist nicht der Code.',
+    'Show Private Timers': 'Private Timer anzeigen',
+    'Change Passcode': 'Code ändern',
+    'Enter your current passcode.': 'Gib deinen aktuellen Code ein.',
+    'Set a Passcode': 'Code festlegen',
+    'At least {count} characters. It can\u2019t be recovered, so pick one you\u2019ll remember.': 'Mindestens {count} Zeichen. Er lässt sich nicht wiederherstellen, wähle also einen, den du dir merkst.',
+    'Turn Off Passcode': 'Code ausschalten',
+    'Enter your passcode to turn it off.': 'Gib deinen Code ein, um ihn auszuschalten.',
+    'Remove the passcode? {count} private timers will be deleted for good, here and on any device this one syncs with.': { one: 'Code entfernen? {count} privater Timer wird endgültig gelöscht – hier und auf allen Geräten, mit denen dieses synchronisiert.', other: 'Code entfernen? {count} private Timer werden endgültig gelöscht – hier und auf allen Geräten, mit denen dieses synchronisiert.' },
+    'Remove the passcode?': 'Code entfernen?',
+    'A passcode needs Milestone to be opened over https.': 'Für einen Code muss Milestone über https geöffnet werden.',
+    'Lock Milestone, or just its private timers, with a passcode.': 'Sperre Milestone oder nur die privaten Timer mit einem Code.',
+    'Milestone asks for the passcode when it opens.': 'Milestone fragt beim Öffnen nach dem Code.',
+    'Private timers stay hidden until the passcode is entered.': 'Private Timer bleiben verborgen, bis der Code eingegeben wird.',
+    'Change passcode': 'Code ändern',
+    'Set a passcode': 'Code festlegen',
+    'Lock the whole app, not just private timers': 'Die ganze App sperren, nicht nur private Timer',
+    'Lock again after it\'s been in the background for': 'Wieder sperren, nachdem die App so lange im Hintergrund war:',
+    'No time at all': 'Sofort',
+    '1 minute': '1 Minute',
+    '5 minutes': '5 Minuten',
+    '15 minutes': '15 Minuten',
+    '1 hour': '1 Stunde',
+    'Turn off passcode': 'Code ausschalten',
+    'Milestone is Locked': 'Milestone ist gesperrt',
+    'Enter your passcode.': 'Gib deinen Code ein.',
+    'Save Passcode': 'Code speichern',
+    'Unlock': 'Entsperren',
+    'Forgot passcode?': 'Code vergessen?',
+    'Enter the passcode.': 'Gib den Code ein.',
+    'The two passcodes don\u2019t match.': 'Die beiden Codes stimmen nicht überein.',
+  },
+
+  ja: {
+    // Saving and sync
+    'Couldn\u2019t save \u2014 this device is out of storage. Free up some space, then retry.': '保存できませんでした — この端末の空き容量がありません。容量を空けてから再試行してください。',
+    'Couldn\u2019t save your latest changes. They\u2019ll be lost if you close the app.': '最新の変更を保存できませんでした。アプリを閉じると失われます。',
+    'Retry': '再試行',
+    'Couldn\u2019t reach the server': 'サーバーに接続できませんでした',
+    'The server didn\u2019t accept the sign-in details': 'サーバーがサインイン情報を受け付けませんでした',
+    'The server answered {status}': 'サーバーの応答: {status}',
+    'The server\u2019s sync data isn\u2019t in a format Milestone understands': 'サーバーの同期データは Milestone が読み取れない形式です',
+    'Access token': 'アクセストークン',
+    'Password': 'パスワード',
+    '{count} changes waiting.': '{count} 件の変更が待機中です。',
+    'Keep timers the same on all your devices by syncing them through a WebDAV folder or your own Milestone sync server.': 'WebDAV フォルダーまたは自分の Milestone 同期サーバーを使って、すべての端末のタイマーを同じ状態に保ちます。',
+    'Enter the server address to start syncing.': '同期を始めるにはサーバーのアドレスを入力してください。',
+    'Syncing\u2026': '同期中…',
+    'Offline \u2014 {count} changes will sync when you\u2019re back online.': 'オフライン — オンラインに戻ると {count} 件の変更が同期されます。',
+    'Offline \u2014 syncing will resume when you\u2019re back online.': 'オフライン — オンラインに戻ると同期を再開します。',
+    'Sync failed: {error}.': '同期に失敗しました: {error}。',
+    'Last synced {when}.': '最終同期: {when}。',
+    'Not synced yet.': 'まだ同期していません。',
+
+    // Dates and counts
+    '{date} at {time}': '{date} {time}',
+    '{date} ({gregorianDate})': '{date}（{gregorianDate}）',
+    'Until {date}': '{date} まで',
+    'Since {date}': '{date} から',
+    '{nth}th anniversary': '{nth}周年',
+    '{list} and {last}': '{list}、{last}',
+    '{count} years': '{count}年',
+    '{count} months': '{count}か月',
+    '{count} weeks': '{count}週間',
+    '{count} days': '{count}日',
+    '{count} hours': '{count}時間',
+    '{count} minutes': '{count}分',
+    'today': '今日',
+    'Today': '今日',
+    'Years': '年',
+    'Months': '月',
+    'Weeks': '週',
+    'Days': '日',
+    'Hours': '時間',
+    'Mins': '分',
+    'Secs': '秒',
+
+    // Built-in milestones
+    '1 week': '1週間',
+    '2 weeks': '2週間',
+    '1 month': '1か月',
+    '50 days': '50日',
+    '2 months': '2か月',
+    '3 months': '3か月',
+    '100 days': '100日',
+    '6 months': '6か月',
+    '200 days': '200日',
+    '1 year': '1年',
+    '500 days': '500日',
+    '2 years': '2年',
+    '1000 days': '1000日',
+    '3 years': '3年',
+    '5 years': '5年',
+
+    // Timer list
+    'No timers yet': 'タイマーはまだありません',
+    'Tap \uFF0B to create your first milestone': '＋ をタップして最初のマイルストーンを作成',
+    'Toggle light/dark mode': 'ライト/ダークモードを切り替え',
+    'Export timers to backup file': 'タイマーをバックアップファイルに書き出す',
+    'Import timers from a backup or calendar file': 'バックアップまたはカレンダーファイルからタイマーを読み込む',
+    'Settings': '設定',
+    'Add new timer': '新しいタイマーを追加',
+    'Lock Milestone': 'Milestone をロック',
+    'Unlock private timers': 'プライベートタイマーのロックを解除',
+    'Search names and messages': '名前とメッセージを検索',
+    'Search timers': 'タイマーを検索',
+    'Filter by tag': 'タグで絞り込む',
+    'Sort timers': 'タイマーを並べ替え',
+    'Soonest': '近い順',
+    'Most days': '日数の多い順',
+    'Name': '名前順',
+    'Newest': '新しい順',
+    'My order': '自分の並び順',
+    'Group': 'グループ化',
+    'Pinned': 'ピン留め',
+    'Upcoming': '今後',
+    'Counting up': 'カウントアップ中',
+    'Arrived': '到達済み',
+    'Private': 'プライベート',
+    'All': 'すべて',
+    'Share \u201C{tag}\u201D collection': '「{tag}」コレクションを共有',
+    'Share \u201C{tag}\u201D': '「{tag}」を共有',
+    'Move {name} \u2014 drag, or use the arrow keys': '{name} を移動 — ドラッグするか矢印キーを使用',
+    'Repeats yearly': '毎年繰り返す',
+    'Unpin': 'ピン留めを外す',
+    'Pin to top': '先頭にピン留め',
+    'arrived': '到達',
+    'days left': '日後',
+    'days': '日',
+    'Private timer': 'プライベートタイマー',
+    'Enter the passcode to see it': '表示するにはパスコードを入力',
+    'Archive ({count})': 'アーカイブ ({count})',
+    'No \u201C{tag}\u201D timers match \u201C{query}\u201D': '「{query}」に一致する「{tag}」のタイマーはありません',
+    'No timers match \u201C{query}\u201D': '「{query}」に一致するタイマーはありません',
+    'Undo': '元に戻す',
+    '\u201C{name}\u201D moved to the trash': '「{name}」をゴミ箱に移動しました',
+    '\u201C{name}\u201D archived': '「{name}」をアーカイブしました',
+
+    // Timer detail, sharing and calendars
+    'Back to timer list': 'タイマー一覧に戻る',
+    'Share this timer': 'このタイマーを共有',
+    'Share this timer as an image': 'このタイマーを画像で共有',
+    'Add this timer to your calendar': 'このタイマーをカレンダーに追加',
+    'Edit this timer': 'このタイマーを編集',
+    'Largest unit to display': '表示する最大の単位',
+    'Counting down to the {occurrence}': '{occurrence}までカウントダウン',
+    'Counting down to': 'カウントダウン',
+    'Counting up from': 'カウントアップ開始日',
+    'Counting down to {date}': '{date}までカウントダウン',
+    'Counting up from {date}': '{date}からカウントアップ',
+    'This date has now passed.': 'この日付はすでに過ぎました。',
+    'Counting down to the {occurrence}, {date}': '{occurrence}（{date}）までカウントダウン',
+    'The {occurrence} is today!': '今日は{occurrence}です！',
+    '{time} until the {occurrence}': '{occurrence}まであと{time}',
+    '{time} to go': 'あと{time}',
+    '{time} so far': 'これまでに{time}',
+    'Add it to Milestone: {link}': 'Milestone に追加: {link}',
+    'Timer details copied to clipboard.': 'タイマーの詳細をクリップボードにコピーしました。',
+    'Count up from this date': 'この日からカウントアップ',
+    'Count up from it': 'この日からカウントアップ',
+    'This countdown has arrived': 'このカウントダウンは終了しました',
+    'Archive': 'アーカイブ',
+    'Unarchive': 'アーカイブから戻す',
+    'Share as Image': '画像で共有',
+    'Card layout': 'カードのレイアウト',
+    'Story': 'ストーリー',
+    'Square': '正方形',
+    'Landscape': '横長',
+    'Preview of the image to share': '共有する画像のプレビュー',
+    'Share Image': '画像を共有',
+    'Cancel': 'キャンセル',
+    'Sorry \u2014 the image could not be created.': '申し訳ありません — 画像を作成できませんでした。',
+    'Counting down to this date in Milestone.': 'Milestone でこの日までカウントダウン中。',
+    'Counting up from this date in Milestone.': 'Milestone でこの日からカウントアップ中。',
+    '{milestone} to go': 'あと{milestone}',
+    'Milestone Calendar': 'Milestone カレンダー',
+    'Untitled event': '無題の予定',
+
+    // Share links
+    'This share link is incomplete or damaged, so the timer could not be added.': 'この共有リンクは不完全か破損しているため、タイマーを追加できませんでした。',
+    'Add this timer?': 'このタイマーを追加しますか？',
+    'This date has passed': 'この日付は過ぎました',
+    '{count} days to go': 'あと{count}日',
+    '{count} days so far': 'これまでに{count}日',
+    'You already have a timer with this name and date.': 'この名前と日付のタイマーはすでにあります。',
+    'Add Timer': 'タイマーを追加',
+    'Not Now': '今はしない',
+
+    // Timer form
+    'Edit Timer': 'タイマーを編集',
+    'New Timer': '新しいタイマー',
+    'Discard mine and load theirs': '自分の変更を破棄して相手の変更を読み込む',
+    'This timer was deleted in another window. Saving will bring it back.': 'このタイマーは別のウィンドウで削除されました。保存すると元に戻ります。',
+    'This timer was changed in another window. Saving will overwrite those changes.': 'このタイマーは別のウィンドウで変更されました。保存するとその変更は上書きされます。',
+    'This timer is also open in another window \u2014 whichever is saved last will overwrite the other.': 'このタイマーは別のウィンドウでも開かれています — 後から保存した方がもう一方を上書きします。',
+    'Timer name': 'タイマー名',
+    'e.g. Weeks since surgery': '例: 手術からの週数',
+    'Gregorian': 'グレゴリオ暦',
+    'Hebrew': 'ユダヤ暦',
+    'Islamic (Hijri)': 'イスラム暦（ヒジュラ暦）',
+    'Chinese lunar': '中国の旧暦',
+    'For dates kept on the Hebrew, Islamic or Chinese calendar \u2014 years and anniversaries are counted on it.': 'ユダヤ暦・イスラム暦・中国の旧暦の日付に — 年数や記念日はその暦で数えます。',
+    'Date': '日付',
+    'Day': '日',
+    'Month': '月',
+    'Year': '年',
+    '{date} on the Gregorian calendar': 'グレゴリオ暦では {date}',
+    'Time (optional)': '時刻（任意）',
+    'Set a time for flights, launches and other exact moments. Leave blank to count whole days.': 'フライトや発売日など正確な時刻がある場合は設定します。空欄にすると日単位で数えます。',
+    'Mode': 'モード',
+    'Timer mode': 'タイマーのモード',
+    'Countdown to': 'カウントダウン',
+    'Count up from': 'カウントアップ',
+    'Repeats every year': '毎年繰り返す',
+    'For birthdays and anniversaries \u2014 the countdown rolls over to the same date every year. Enter the original date (e.g. the wedding day) to see which anniversary is next. Countdowns only.': '誕生日や記念日に — カウントダウンは毎年同じ日付に繰り越されます。元の日付（例: 結婚式の日）を入力すると、次が何周年かわかります。カウントダウンのみ。',
+    'Tags': 'タグ',
+    'Group timers into collections like Family or Work \u2014 filter by them on the list.': '家族や仕事などのコレクションにタイマーをまとめ、一覧で絞り込めます。',
+    'e.g. Family': '例: 家族',
+    'Add': '追加',
+    'Remove tag {tag}': 'タグ {tag} を削除',
+    'Tags can be up to {max} characters.': 'タグは{max}文字までです。',
+    'Background image': '背景画像',
+    'Built-in themes': '内蔵テーマ',
+    'Your photo': '自分の写真',
+    '\u2715 No background': '✕ 背景なし',
+    '\u2922 Adjust position & zoom': '⤢ 位置とズームを調整',
+    'Your chosen background': '選択した背景',
+    '\u2715 Remove photo': '✕ 写真を削除',
+    'Tap to choose a photo': 'タップして写真を選択',
+    'Saved inside the app \u2014 works offline': 'アプリ内に保存 — オフラインでも使えます',
+    'Dawn': '夜明け',
+    'Ocean': '海',
+    'Sunset': '夕焼け',
+    'Forest': '森',
+    'Gold': 'ゴールド',
+    'Aurora': 'オーロラ',
+    'Notify me about this timer': 'このタイマーについて通知する',
+    'Milestones, message dates and the countdown reaching zero. Turn notifications on in Settings.': 'マイルストーン、メッセージの日付、カウントダウンの終了。通知は設定でオンにします。',
+    'Hidden on the list, in notifications and from sharing until the passcode is entered.': 'パスコードを入力するまで、一覧・通知・共有には表示されません。',
+    'Set a passcode in Settings to hide private timers \u2014 until then they show as usual.': 'プライベートタイマーを隠すには設定でパスコードを設定してください — それまでは通常どおり表示されます。',
+    'Milestones': 'マイルストーン',
+    'Tick the day counts you want to celebrate.': 'お祝いしたい日数にチェックを入れてください。',
+    'Custom milestones': 'カスタムマイルストーン',
+    'Number of days, e.g. 42': '日数（例: 42）',
+    'No custom milestones added yet': 'カスタムマイルストーンはまだありません',
+    'Remove custom milestone': 'カスタムマイルストーンを削除',
+    'Please enter a whole number of days between 1 and {max}.': '1〜{max}の整数で日数を入力してください。',
+    '{milestone} is already a built-in milestone \u2014 tick it in the list above.': '{milestone}はすでに内蔵のマイルストーンです — 上の一覧でチェックしてください。',
+    'That milestone has already been added.': 'そのマイルストーンはすでに追加されています。',
+    'Save Timer': 'タイマーを保存',
+    'Archive Timer': 'タイマーをアーカイブ',
+    'Delete Timer': 'タイマーを削除',
+    'Please give your timer a name.': 'タイマーに名前を付けてください。',
+    'Please choose a date.': '日付を選択してください。',
+    'This timer was changed in another window while you were editing. Save your version over those changes?': '編集中にこのタイマーが別のウィンドウで変更されました。その変更を自分の内容で上書きしますか？',
+    'This timer was deleted in another window. Save it again?': 'このタイマーは別のウィンドウで削除されました。もう一度保存しますか？',
+
+    // Messages
+    'Messages': 'メッセージ',
+    'Add messages to display on the timer screen \u2014 from a specific date, a few days before the big day, at a day count or milestone, or on repeat. e.g. "Buy a card and gift for wife" showing 7 days before your anniversary.': 'タイマー画面に表示するメッセージを追加します — 特定の日から、当日の数日前、日数やマイルストーンに達したとき、または繰り返し。例: 記念日の7日前に「カードとプレゼントを買う」を表示。',
+    'e.g. Buy a card and gift for wife': '例: カードとプレゼントを買う',
+    'Show this message': 'このメッセージを表示',
+    'From a date': '指定した日から',
+    'Days before or after the timer date': 'タイマーの日付の前後の日数',
+    'When the day count reaches': '日数が達したとき',
+    'When a milestone is reached': 'マイルストーンに達したとき',
+    'Every few days or weeks': '数日または数週間ごと',
+    'Display from this date': 'この日から表示',
+    'Message date': 'メッセージの日付',
+    'Number of days': '日数',
+    'Before or after': '前または後',
+    'before': '前',
+    'after': '後',
+    'the date': 'の日付',
+    'At day': '',
+    'of the count': '日目',
+    'Milestone': 'マイルストーン',
+    'Every': '間隔',
+    'Repeat unit': '繰り返しの単位',
+    'weeks': '週',
+    'Starting on': '開始日',
+    'Stop showing after (optional)': '表示終了日（任意）',
+    'Add message': 'メッセージを追加',
+    'Maximum messages': 'メッセージの上限',
+    'No limit': '上限なし',
+    '{count} of {limit}': '{count} / {limit}',
+    'No messages added yet': 'メッセージはまだありません',
+    'Remove message': 'メッセージを削除',
+    'Marked done': '完了済み',
+    'Show again': '再表示',
+    'Showing from {start} until {end}': '{start}から{end}まで表示',
+    'Showing from {start}': '{start}から表示',
+    'Choose the timer date to preview until {end}': '{end}までのプレビューを見るにはタイマーの日付を選択してください',
+    'Choose the timer date to preview': 'プレビューするにはタイマーの日付を選択してください',
+    'This message will not show': 'このメッセージは表示されません',
+    'Showing now, next from {next} until {end}': '表示中。次回は{next}から{end}まで',
+    'Showing now, next from {next}': '表示中。次回は{next}から',
+    'No milestones enabled': '有効なマイルストーンはありません',
+    'Please choose a date for this message.': 'このメッセージの日付を選択してください。',
+    'Please enter how many days before or after the timer date.': 'タイマーの日付の何日前または何日後かを入力してください。',
+    'Please enter the day count that should show this message.': 'このメッセージを表示する日数を入力してください。',
+    'Please tick or add a milestone first.': '先にマイルストーンをチェックするか追加してください。',
+    'Please enter how often this message repeats.': 'このメッセージを繰り返す間隔を入力してください。',
+    'Please choose when this message starts repeating.': 'このメッセージの繰り返しを始める日を選択してください。',
+    'Please enter a message.': 'メッセージを入力してください。',
+    'The end date must be on or after the start date.': '終了日は開始日以降にしてください。',
+    'Maximum of {count} messages for this timer reached. Remove one or raise the limit to add another.': 'このタイマーのメッセージは上限の{count}件に達しました。追加するには削除するか上限を上げてください。',
+    'This timer has {count} messages but the limit is {limit}. Remove some messages or raise the limit.': 'このタイマーには{count}件のメッセージがありますが、上限は{limit}件です。メッセージを削除するか上限を上げてください。',
+    'No date set': '日付なし',
+    'On the day': '当日',
+    '{count} days before': '{count}日前',
+    '{count} days after': '{count}日後',
+    'At {count} days': '{count}日目',
+    '{milestone} milestone': 'マイルストーン{milestone}',
+    'Every {count} weeks': '{count}週間ごと',
+    'Every {count} days': '{count}日ごと',
+    'No trigger set': 'トリガーなし',
+    'Mark message as done': 'メッセージを完了にする',
+    'Done': '完了',
+
+    // Import and export
+    'No timers to export.': '書き出すタイマーがありません。',
+    'Private Timer': 'プライベートタイマー',
+    'Private Timers': 'プライベートタイマー',
+    'Enter the passcode to include private timers.': 'プライベートタイマーを含めるにはパスコードを入力してください。',
+    'Milestone Backup': 'Milestone バックアップ',
+    'No events were found in this calendar file.': 'このカレンダーファイルには予定が見つかりませんでした。',
+    'Could not read the file. Please make sure it is a valid Milestone Counter backup or calendar (.ics) file.': 'ファイルを読み込めませんでした。有効な Milestone Counter のバックアップまたはカレンダー（.ics）ファイルか確認してください。',
+    'This file does not look like a Milestone Counter backup.': 'このファイルは Milestone Counter のバックアップではないようです。',
+    'The backup file contains no timers.': 'バックアップファイルにタイマーが含まれていません。',
+    'This backup has an unrecognised format version.': 'このバックアップの形式バージョンは認識できません。',
+    'This backup was made by a newer version of Milestone Counter. Please update the app and try again.': 'このバックアップは新しいバージョンの Milestone Counter で作成されました。アプリを更新してからもう一度お試しください。',
+    'Untitled timer': '無題のタイマー',
+    'not a timer': 'タイマーではありません',
+    'missing its ID': 'ID がありません',
+    'missing a name': '名前がありません',
+    'invalid date': '日付が無効です',
+    'invalid time': '時刻が無効です',
+    'unknown timer mode': '不明なタイマーモードです',
+    'unknown calendar': '不明な暦です',
+    'invalid {setting} setting': '設定 {setting} が無効です',
+    'unknown wallpaper': '不明な背景です',
+    'invalid photo position': '写真の位置が無効です',
+    'invalid messages': 'メッセージが無効です',
+    'invalid message': '無効なメッセージがあります',
+    'invalid message limit': 'メッセージの上限が無効です',
+    'more messages than its limit': 'メッセージが上限を超えています',
+    'invalid milestones': 'マイルストーンが無効です',
+    'invalid custom milestones': 'カスタムマイルストーンが無効です',
+    'invalid tags': 'タグが無効です',
+    'invalid created date': '作成日が無効です',
+    'invalid archive date': 'アーカイブ日が無効です',
+    'duplicate ID': 'ID が重複しています',
+    'Import Backup': 'バックアップを読み込む',
+    'Cancel import': '読み込みをキャンセル',
+    'Timers that differ': '異なるタイマー',
+    'Keep all mine': 'すべて自分のものを残す',
+    'Take all theirs': 'すべて相手のものにする',
+    'Import Selected': '選択したものを読み込む',
+    'New': '新規',
+    'Changed': '変更あり',
+    'Identical': '同一',
+    'Skipped': 'スキップ',
+    '{count} new': '新規 {count}',
+    '{count} changed': '変更 {count}',
+    '{count} already up to date': '最新 {count}',
+    '{count} skipped as invalid': '無効のためスキップ {count}',
+    '{count} timers in this file: {parts}.': 'このファイルのタイマー {count} 件: {parts}。',
+    'Also move {count} timers not in this backup to the trash': 'このバックアップにないタイマー {count} 件もゴミ箱に移動する',
+    'Can\u2019t import \u2014 {reason}': '読み込めません — {reason}',
+    'Which version to keep': '残すバージョン',
+    'Keep mine': '自分のものを残す',
+    'Take theirs': '相手のものにする',
+    '{count} added': '追加 {count}',
+    '{count} updated': '更新 {count}',
+    '{count} moved to the trash': 'ゴミ箱へ移動 {count}',
+    'Import complete \u2014 {summary}.': '読み込み完了 — {summary}。',
+    'Nothing was changed.': '変更はありませんでした。',
+
+    // Encrypted backups
+    'This encrypted backup is damaged or was made by a newer version of Milestone, so it can\u2019t be opened.': 'この暗号化バックアップは破損しているか新しいバージョンの Milestone で作成されたため、開けません。',
+    'That passphrase doesn\u2019t open this backup \u2014 or the file has been changed since it was exported.': 'このパスフレーズではバックアップを開けません — またはファイルが書き出し後に変更されています。',
+    'This encrypted backup opened, but what\u2019s inside isn\u2019t a Milestone Counter backup.': '暗号化バックアップは開けましたが、中身は Milestone Counter のバックアップではありません。',
+    'This backup is encrypted, and this browser can\u2019t decrypt it here. Open Milestone over https and try again.': 'このバックアップは暗号化されており、このブラウザーではここで復号できません。https で Milestone を開いてもう一度お試しください。',
+    'Export Backup': 'バックアップを書き出す',
+    'Encrypted Backup': '暗号化バックアップ',
+    'Backups hold every timer\u2019s name, dates and messages. A passphrase keeps them private wherever the file ends up \u2014 but without it, the file can\u2019t be opened at all.': 'バックアップにはすべてのタイマーの名前・日付・メッセージが含まれます。パスフレーズを付けるとファイルがどこにあっても内容は守られます — ただし、パスフレーズがないとファイルは開けません。',
+    'Enter the passphrase this backup was exported with.': 'このバックアップを書き出したときのパスフレーズを入力してください。',
+    'Export': '書き出す',
+    'Open Backup': 'バックアップを開く',
+    'Protect with a passphrase': 'パスフレーズで保護する',
+    'Passphrase': 'パスフレーズ',
+    'Type it again': 'もう一度入力',
+    'Enter a passphrase.': 'パスフレーズを入力してください。',
+    'Use at least {count} characters.': '{count}文字以上にしてください。',
+    'The two passphrases don\u2019t match.': '2つのパスフレーズが一致しません。',
+
+    // Trash and archive
+    'Trash': 'ゴミ箱',
+    'Back to settings': '設定に戻る',
+    'The trash is empty.': 'ゴミ箱は空です。',
+    'Empty Trash': 'ゴミ箱を空にする',
+    'Deleted today': '今日削除',
+    'Deleted yesterday': '昨日削除',
+    'Deleted {count} days ago': '{count}日前に削除',
+    'removed for good in {count} days': '{count}日後に完全に削除',
+    'Restore': '復元',
+    'Delete forever': '完全に削除',
+    'Delete \u201C{name}\u201D for good? This cannot be undone.': '「{name}」を完全に削除しますか？元に戻せません。',
+    'Delete {count} timers for good? This cannot be undone.': '{count}件のタイマーを完全に削除しますか？元に戻せません。',
+    'Archive countdowns automatically': 'カウントダウンを自動でアーカイブ',
+    'Never': 'しない',
+    '1 day after they arrive': '終了の1日後',
+    '1 week after they arrive': '終了の1週間後',
+    '30 days after they arrive': '終了の30日後',
+    'Nothing archived yet. Archive a timer from its edit screen, or from an arrived countdown.': 'アーカイブしたものはまだありません。タイマーは編集画面か、終了したカウントダウンからアーカイブできます。',
+    'Countdown': 'カウントダウン',
+    'Count-up': 'カウントアップ',
+    'Counted up {count} days from {date}': '{date}から{count}日カウントアップ',
+    'Arrived {date}': '{date}に終了',
+    'Counted down {count} days': '{count}日カウントダウン',
+    '{count} days to go when archived \u2014 {date}': 'アーカイブ時点であと{count}日 — {date}',
+    'Archived {date}': '{date}にアーカイブ',
+
+    // Photos
+    'Adjust photo position': '写真の位置を調整',
+    'Adjust Photo': '写真を調整',
+    'Drag to reposition \u00B7 Pinch to zoom': 'ドラッグで移動 · ピンチでズーム',
+    'Please choose an image file (JPEG, PNG, HEIC, etc.)': '画像ファイル（JPEG、PNG、HEIC など）を選択してください',
+    'No photo found. Please choose a photo first.': '写真が見つかりません。先に写真を選択してください。',
+
+    // Milestone celebrations
+    '{label} since {name}. Every single day counted.': '{name}から{label}。一日一日が積み重なりました。',
+    'You made it to {label}. That is worth celebrating.': '{label}に到達しました。お祝いしましょう。',
+    '{label} and still going strong.': '{label}、まだまだ続きます。',
+    'Look how far you have come \u2014 {label}!': 'ここまで来ました — {label}！',
+    'Another milestone reached: {label}. Keep going.': 'また一つマイルストーンに到達: {label}。この調子で。',
+    'Only {label} to go until {name}!': '{name}まであと{label}！',
+    '{label} left. It is getting close now.': '残り{label}。もうすぐです。',
+    'The countdown to {name} hits {label}.': '{name}までのカウントダウンが{label}になりました。',
+    '{label} to go \u2014 time to start getting excited.': 'あと{label} — わくわくしてきましたね。',
+    'Milestone reached: {label} until {name}.': 'マイルストーン到達: {name}まであと{label}。',
+    'A milestone': 'マイルストーン',
+    'One of your private timers has reached a milestone. Unlock Milestone to see which.': 'プライベートタイマーの1つがマイルストーンに達しました。どれかを見るには Milestone のロックを解除してください。',
+    'Next ({count} more)': '次へ（残り{count}）',
+
+    // Notifications and settings
+    'Open Milestone to see what\u2019s new.': 'Milestone を開いて新着を確認してください。',
+    'Today is the {occurrence}!': '今日は{occurrence}です！',
+    'The day has arrived!': 'その日がやってきました！',
+    'Language': '言語',
+    'Automatic': '自動',
+    'Notifications': '通知',
+    'This browser does not support notifications. On iPhone, add Milestone to your Home Screen first.': 'このブラウザーは通知に対応していません。iPhone では先に Milestone をホーム画面に追加してください。',
+    'Notifications are blocked. Allow them for this app in your device settings.': '通知がブロックされています。端末の設定でこのアプリの通知を許可してください。',
+    'Allow notifications to hear about milestones, messages and countdowns.': 'マイルストーン、メッセージ、カウントダウンのお知らせを受け取るには通知を許可してください。',
+    'Notifications are scheduled on this device and arrive on time.': '通知はこの端末でスケジュールされ、時間どおりに届きます。',
+    'Notifications are checked in the background where supported, and whenever you open the app.': '通知は対応している場合はバックグラウンドで、またアプリを開くたびに確認されます。',
+    'Allow notifications': '通知を許可',
+    'Send notifications': '通知を送る',
+    'Quiet hours': 'おやすみ時間',
+    'Hold notifications during quiet hours': 'おやすみ時間中は通知を保留する',
+    'From': '開始',
+    'to': '終了',
+    'Anything due during quiet hours arrives when they end.': 'おやすみ時間中の通知は終了後に届きます。',
+    'Calendar': 'カレンダー',
+    'Export all timers to calendar': 'すべてのタイマーをカレンダーに書き出す',
+    'Saves an .ics file with each timer\'s date, its milestones and message dates. Import .ics files with the \u2193 button on the timer list.': '各タイマーの日付、マイルストーン、メッセージの日付を .ics ファイルに保存します。.ics ファイルはタイマー一覧の ↓ ボタンで読み込めます。',
+    'Storage': 'ストレージ',
+    'This browser won\u2019t give Milestone a database, so timers are kept in its basic storage, without photos. Export a backup now and then.': 'このブラウザーは Milestone にデータベースを提供しないため、タイマーは写真なしで基本ストレージに保存されます。ときどきバックアップを書き出してください。',
+    'Timers and photos are saved on this device, and the browser won\u2019t clear them to free up space.': 'タイマーと写真はこの端末に保存され、容量確保のためにブラウザーが消去することはありません。',
+    'Timers and photos are saved on this device. The browser may clear them if space runs low \u2014 export a backup now and then.': 'タイマーと写真はこの端末に保存されます。容量が不足するとブラウザーが消去する場合があります — ときどきバックアップを書き出してください。',
+    'Sync between devices': '端末間で同期',
+    'Off': 'オフ',
+    'WebDAV folder': 'WebDAV フォルダー',
+    'Milestone sync server': 'Milestone 同期サーバー',
+    'Server address': 'サーバーのアドレス',
+    'Username': 'ユーザー名',
+    'Sync now': '今すぐ同期',
+    'Open trash ({count})': 'ゴミ箱を開く（{count}）',
+    'Open trash': 'ゴミ箱を開く',
+    'Deleted timers are kept for 30 days, photos included, before they\'re removed for good.': '削除したタイマーは写真も含めて30日間保管され、その後完全に削除されます。',
+
+    // Passcode
+    'Passcode': 'パスコード',
+    'That isn\u2019t the passcode.': 'パスコードが違います。',
+    'Show Private Timers': 'プライベートタイマーを表示',
+    'Change Passcode': 'パスコードを変更',
+    'Enter your current passcode.': '現在のパスコードを入力してください。',
+    'Set a Passcode': 'パスコードを設定',
+    'At least {count} characters. It can\u2019t be recovered, so pick one you\u2019ll remember.': '{count}文字以上。復元できないので、覚えられるものにしてください。',
+    'Turn Off Passcode': 'パスコードをオフにする',
+    'Enter your passcode to turn it off.': 'オフにするにはパスコードを入力してください。',
+    'Remove the passcode? {count} private timers will be deleted for good, here and on any device this one syncs with.': 'パスコードを削除しますか？プライベートタイマー {count} 件が、この端末と同期先のすべての端末から完全に削除されます。',
+    'Remove the passcode?': 'パスコードを削除しますか？',
+    'A passcode needs Milestone to be opened over https.': 'パスコードを使うには Milestone を https で開く必要があります。',
+    'Lock Milestone, or just its private timers, with a passcode.': 'Milestone 全体、またはプライベートタイマーだけをパスコードでロックします。',
+    'Milestone asks for the passcode when it opens.': 'Milestone を開くとパスコードを求められます。',
+    'Private timers stay hidden until the passcode is entered.': 'パスコードを入力するまでプライベートタイマーは表示されません。',
+    'Change passcode': 'パスコードを変更',
+    'Set a passcode': 'パスコードを設定',
+    'Lock the whole app, not just private timers': 'プライベートタイマーだけでなくアプリ全体をロック',
+    'Lock again after it\'s been in the background for': 'バックグラウンドに移ってから再ロックするまでの時間',
+    'No time at all': 'すぐに',
+    '1 minute': '1分',
+    '5 minutes': '5分',
+    '15 minutes': '15分',
+    '1 hour': '1時間',
+    'Turn off passcode': 'パスコードをオフにする',
+    'Milestone is Locked': 'Milestone はロックされています',
+    'Enter your passcode.': 'パスコードを入力してください。',
+    'Save Passcode': 'パスコードを保存',
+    'Unlock': 'ロック解除',
+    'Forgot passcode?': 'パスコードを忘れた場合',
+    'Enter the passcode.': 'パスコードを入力してください。',
+    'The two passcodes don\u2019t match.': '2つのパスコードが一致しません。',
+  },
+
+  he: {
+    // Saving and sync
+    'Couldn\u2019t save \u2014 this device is out of storage. Free up some space, then retry.': 'השמירה נכשלה — אין מקום פנוי במכשיר. יש לפנות מקום ולנסות שוב.',
+    'Couldn\u2019t save your latest changes. They\u2019ll be lost if you close the app.': 'לא ניתן היה לשמור את השינויים האחרונים. הם יאבדו אם האפליקציה תיסגר.',
+    'Retry': 'ניסיון חוזר',
+    'Couldn\u2019t reach the server': 'לא ניתן להתחבר לשרת',
+    'The server didn\u2019t accept the sign-in details': 'השרת לא קיבל את פרטי ההתחברות',
+    'The server answered {status}': 'השרת השיב {status}',
+    'The server\u2019s sync data isn\u2019t in a format Milestone understands': 'נתוני הסנכרון בשרת אינם בפורמט ש־Milestone מבין',
+    'Access token': 'אסימון גישה',
+    'Password': 'סיסמה',
+    '{count} changes waiting.': { one: 'שינוי אחד ממתין.', two: 'שני שינויים ממתינים.', other: '{count} שינויים ממתינים.' },
+    'Keep timers the same on all your devices by syncing them through a WebDAV folder or your own Milestone sync server.': 'אפשר לשמור על טיימרים זהים בכל המכשירים באמצעות סנכרון דרך תיקיית WebDAV או שרת סנכרון Milestone משלך.',
+    'Enter the server address to start syncing.': 'יש להזין את כתובת השרת כדי להתחיל לסנכרן.',
+    'Syncing\u2026': 'מסנכרן…',
+    'Offline \u2014 {count} changes will sync when you\u2019re back online.': { one: 'לא מקוון — שינוי אחד יסונכרן כשהחיבור יחזור.', two: 'לא מקוון — שני שינויים יסונכרנו כשהחיבור יחזור.', other: 'לא מקוון — {count} שינויים יסונכרנו כשהחיבור יחזור.' },
+    'Offline \u2014 syncing will resume when you\u2019re back online.': 'לא מקוון — הסנכרון יתחדש כשהחיבור יחזור.',
+    'Sync failed: {error}.': 'הסנכרון נכשל: {error}.',
+    'Last synced {when}.': 'סונכרן לאחרונה: {when}.',
+    'Not synced yet.': 'עדיין לא סונכרן.',
+
+    // Dates and counts
+    '{date} at {time}': '{date} בשעה {time}',
+    '{date} ({gregorianDate})': '{date} ({gregorianDate})',
+    'Until {date}': 'עד {date}',
+    'Since {date}': 'מאז {date}',
+    '{nth}th anniversary': 'יום השנה ה־{nth}',
+    '{list} and {last}': '{list} ו{last}',
+    '{count} years': { one: 'שנה', two: 'שנתיים', other: '{count} שנים' },
+    '{count} months': { one: 'חודש', two: 'חודשיים', other: '{count} חודשים' },
+    '{count} weeks': { one: 'שבוע', two: 'שבועיים', other: '{count} שבועות' },
+    '{count} days': { one: 'יום אחד', two: 'יומיים', other: '{count} ימים' },
+    '{count} hours': { one: 'שעה', two: 'שעתיים', other: '{count} שעות' },
+    '{count} minutes': { one: 'דקה', two: 'שתי דקות', other: '{count} דקות' },
+    'today': 'היום',
+    'Today': 'היום',
+    'Years': 'שנים',
+    'Months': 'חודשים',
+    'Weeks': 'שבועות',
+    'Days': 'ימים',
+    'Hours': 'שעות',
+    'Mins': 'דק׳',
+    'Secs': 'שנ׳',
+
+    // Built-in milestones
+    '1 week': 'שבוע',
+    '2 weeks': 'שבועיים',
+    '1 month': 'חודש',
+    '50 days': '50 ימים',
+    '2 months': 'חודשיים',
+    '3 months': '3 חודשים',
+    '100 days': '100 ימים',
+    '6 months': 'חצי שנה',
+    '200 days': '200 ימים',
+    '1 year': 'שנה',
+    '500 days': '500 ימים',
+    '2 years': 'שנתיים',
+    '1000 days': '1000 ימים',
+    '3 years': '3 שנים',
+    '5 years': '5 שנים',
+
+    // Timer list
+    'No timers yet': 'אין עדיין טיימרים',
+    'Tap \uFF0B to create your first milestone': 'יש להקיש על ＋ כדי ליצור את אבן הדרך הראשונה',
+    'Toggle light/dark mode': 'מעבר בין מצב בהיר לכהה',
+    'Export timers to backup file': 'ייצוא הטיימרים לקובץ גיבוי',
+    'Import timers from a backup or calendar file': 'ייבוא טיימרים מקובץ גיבוי או לוח שנה',
+    'Settings': 'הגדרות',
+    'Add new timer': 'הוספת טיימר חדש',
+    'Lock Milestone': 'נעילת Milestone',
+    'Unlock private timers': 'ביטול נעילת טיימרים פרטיים',
+    'Search names and messages': 'חיפוש בשמות ובהודעות',
+    'Search timers': 'חיפוש טיימרים',
+    'Filter by tag': 'סינון לפי תגית',
+    'Sort timers': 'מיון טיימרים',
+    'Soonest': 'הקרובים ביותר',
+    'Most days': 'הכי הרבה ימים',
+    'Name': 'שם',
+    'Newest': 'החדשים ביותר',
+    'My order': 'הסדר שלי',
+    'Group': 'קיבוץ',
+    'Pinned': 'מוצמדים',
+    'Upcoming': 'בקרוב',
+    'Counting up': 'סופרים קדימה',
+    'Arrived': 'הגיעו',
+    'Private': 'פרטי',
+    'All': 'הכול',
+    'Share \u201C{tag}\u201D collection': 'שיתוף האוסף „{tag}”',
+    'Share \u201C{tag}\u201D': 'שיתוף „{tag}”',
+    'Move {name} \u2014 drag, or use the arrow keys': 'הזזת {name} — גרירה או מקשי החצים',
+    'Repeats yearly': 'חוזר מדי שנה',
+    'Unpin': 'ביטול הצמדה',
+    'Pin to top': 'הצמדה למעלה',
+    'arrived': 'הגיע',
+    'days left': { one: 'יום נותר', two: 'ימים נותרו', other: 'ימים נותרו' },
+    'days': { one: 'יום', two: 'ימים', other: 'ימים' },
+    'Private timer': 'טיימר פרטי',
+    'Enter the passcode to see it': 'יש להזין את קוד הגישה כדי לראות אותו',
+    'Archive ({count})': 'ארכיון ({count})',
+    'No \u201C{tag}\u201D timers match \u201C{query}\u201D': 'אין טיימרים ב„{tag}” שתואמים ל„{query}”',
+    'No timers match \u201C{query}\u201D': 'אין טיימרים שתואמים ל„{query}”',
+    'Undo': 'ביטול',
+    '\u201C{name}\u201D moved to the trash': '„{name}” הועבר לאשפה',
+    '\u201C{name}\u201D archived': '„{name}” הועבר לארכיון',
+
+    // Timer detail, sharing and calendars
+    'Back to timer list': 'חזרה לרשימת הטיימרים',
+    'Share this timer': 'שיתוף הטיימר',
+    'Share this timer as an image': 'שיתוף הטיימר כתמונה',
+    'Add this timer to your calendar': 'הוספת הטיימר ללוח השנה',
+    'Edit this timer': 'עריכת הטיימר',
+    'Largest unit to display': 'היחידה הגדולה ביותר להצגה',
+    'Counting down to the {occurrence}': 'ספירה לאחור ל{occurrence}',
+    'Counting down to': 'ספירה לאחור עד',
+    'Counting up from': 'ספירה קדימה מאז',
+    'Counting down to {date}': 'ספירה לאחור עד {date}',
+    'Counting up from {date}': 'ספירה קדימה מאז {date}',
+    'This date has now passed.': 'התאריך הזה כבר עבר.',
+    'Counting down to the {occurrence}, {date}': 'ספירה לאחור ל{occurrence}, {date}',
+    'The {occurrence} is today!': '{occurrence} הוא היום!',
+    '{time} until the {occurrence}': 'עוד {time} עד {occurrence}',
+    '{time} to go': 'עוד {time}',
+    '{time} so far': '{time} עד כה',
+    'Add it to Milestone: {link}': 'הוספה ל־Milestone: {link}',
+    'Timer details copied to clipboard.': 'פרטי הטיימר הועתקו ללוח.',
+    'Count up from this date': 'ספירה קדימה מהתאריך הזה',
+    'Count up from it': 'ספירה קדימה ממנו',
+    'This countdown has arrived': 'הספירה לאחור הגיעה לסיומה',
+    'Archive': 'העברה לארכיון',
+    'Unarchive': 'הוצאה מהארכיון',
+    'Share as Image': 'שיתוף כתמונה',
+    'Card layout': 'פריסת הכרטיס',
+    'Story': 'סטורי',
+    'Square': 'ריבוע',
+    'Landscape': 'לרוחב',
+    'Preview of the image to share': 'תצוגה מקדימה של התמונה לשיתוף',
+    'Share Image': 'שיתוף התמונה',
+    'Cancel': 'ביטול',
+    'Sorry \u2014 the image could not be created.': 'מצטערים — לא ניתן היה ליצור את התמונה.',
+    'Counting down to this date in Milestone.': 'ספירה לאחור לתאריך הזה ב־Milestone.',
+    'Counting up from this date in Milestone.': 'ספירה קדימה מהתאריך הזה ב־Milestone.',
+    '{milestone} to go': 'עוד {milestone}',
+    'Milestone Calendar': 'לוח השנה של Milestone',
+    'Untitled event': 'אירוע ללא שם',
+
+    // Share links
+    'This share link is incomplete or damaged, so the timer could not be added.': 'קישור השיתוף חלקי או פגום, ולכן לא ניתן היה להוסיף את הטיימר.',
+    'Add this timer?': 'להוסיף את הטיימר?',
+    'This date has passed': 'התאריך הזה עבר',
+    '{count} days to go': { one: 'עוד יום אחד', two: 'עוד יומיים', other: 'עוד {count} ימים' },
+    '{count} days so far': { one: 'יום אחד עד כה', two: 'יומיים עד כה', other: '{count} ימים עד כה' },
+    'You already have a timer with this name and date.': 'כבר יש טיימר עם השם והתאריך האלה.',
+    'Add Timer': 'הוספת טיימר',
+    'Not Now': 'לא עכשיו',
+
+    // Timer form
+    'Edit Timer': 'עריכת טיימר',
+    'New Timer': 'טיימר חדש',
+    'Discard mine and load theirs': 'לבטל את שלי ולטעון את השינויים האחרים',
+    'This timer was deleted in another window. Saving will bring it back.': 'הטיימר נמחק בחלון אחר. שמירה תחזיר אותו.',
+    'This timer was changed in another window. Saving will overwrite those changes.': 'הטיימר שונה בחלון אחר. שמירה תדרוס את השינויים האלה.',
+    'This timer is also open in another window \u2014 whichever is saved last will overwrite the other.': 'הטיימר פתוח גם בחלון אחר — מה שיישמר אחרון ידרוס את השני.',
+    'Timer name': 'שם הטיימר',
+    'e.g. Weeks since surgery': 'למשל: שבועות מאז הניתוח',
+    'Gregorian': 'גרגוריאני',
+    'Hebrew': 'עברי',
+    'Islamic (Hijri)': 'מוסלמי (הג׳רי)',
+    'Chinese lunar': 'סיני (ירחי)',
+    'For dates kept on the Hebrew, Islamic or Chinese calendar \u2014 years and anniversaries are counted on it.': 'לתאריכים לפי הלוח העברי, המוסלמי או הסיני — השנים וימי השנה נספרים לפיו.',
+    'Date': 'תאריך',
+    'Day': 'יום',
+    'Month': 'חודש',
+    'Year': 'שנה',
+    '{date} on the Gregorian calendar': '{date} בלוח הגרגוריאני',
+    'Time (optional)': 'שעה (לא חובה)',
+    'Set a time for flights, launches and other exact moments. Leave blank to count whole days.': 'אפשר להגדיר שעה לטיסות, השקות ורגעים מדויקים אחרים. להשאיר ריק כדי לספור ימים שלמים.',
+    'Mode': 'מצב',
+    'Timer mode': 'מצב הטיימר',
+    'Countdown to': 'ספירה לאחור עד',
+    'Count up from': 'ספירה קדימה מ',
+    'Repeats every year': 'חוזר מדי שנה',
+    'For birthdays and anniversaries \u2014 the countdown rolls over to the same date every year. Enter the original date (e.g. the wedding day) to see which anniversary is next. Countdowns only.': 'לימי הולדת וימי נישואין — הספירה לאחור מתחילה מחדש באותו תאריך בכל שנה. יש להזין את התאריך המקורי (למשל יום החתונה) כדי לראות איזה יום שנה הבא. לספירה לאחור בלבד.',
+    'Tags': 'תגיות',
+    'Group timers into collections like Family or Work \u2014 filter by them on the list.': 'אפשר לקבץ טיימרים לאוספים כמו משפחה או עבודה — ולסנן לפיהם ברשימה.',
+    'e.g. Family': 'למשל: משפחה',
+    'Add': 'הוספה',
+    'Remove tag {tag}': 'הסרת התגית {tag}',
+    'Tags can be up to {max} characters.': 'תגית יכולה להכיל עד {max} תווים.',
+    'Background image': 'תמונת רקע',
+    'Built-in themes': 'ערכות נושא מובנות',
+    'Your photo': 'התמונה שלך',
+    '\u2715 No background': '✕ ללא רקע',
+    '\u2922 Adjust position & zoom': '⤢ התאמת מיקום וזום',
+    'Your chosen background': 'הרקע שבחרת',
+    '\u2715 Remove photo': '✕ הסרת התמונה',
+    'Tap to choose a photo': 'יש להקיש כדי לבחור תמונה',
+    'Saved inside the app \u2014 works offline': 'נשמרת בתוך האפליקציה — עובדת גם בלי חיבור',
+    'Dawn': 'שחר',
+    'Ocean': 'אוקיינוס',
+    'Sunset': 'שקיעה',
+    'Forest': 'יער',
+    'Gold': 'זהב',
+    'Aurora': 'זוהר צפוני',
+    'Notify me about this timer': 'התראות על הטיימר הזה',
+    'Milestones, message dates and the countdown reaching zero. Turn notifications on in Settings.': 'אבני דרך, תאריכי הודעות וסיום הספירה לאחור. את ההתראות מפעילים בהגדרות.',
+    'Hidden on the list, in notifications and from sharing until the passcode is entered.': 'מוסתר ברשימה, בהתראות ובשיתוף עד שמזינים את קוד הגישה.',
+    'Set a passcode in Settings to hide private timers \u2014 until then they show as usual.': 'כדי להסתיר טיימרים פרטיים יש להגדיר קוד גישה בהגדרות — עד אז הם מוצגים כרגיל.',
+    'Milestones': 'אבני דרך',
+    'Tick the day counts you want to celebrate.': 'יש לסמן את מספרי הימים שרוצים לחגוג.',
+    'Custom milestones': 'אבני דרך מותאמות',
+    'Number of days, e.g. 42': 'מספר ימים, למשל 42',
+    'No custom milestones added yet': 'עדיין לא נוספו אבני דרך מותאמות',
+    'Remove custom milestone': 'הסרת אבן הדרך',
+    'Please enter a whole number of days between 1 and {max}.': 'יש להזין מספר שלם של ימים בין 1 ל־{max}.',
+    '{milestone} is already a built-in milestone \u2014 tick it in the list above.': '{milestone} כבר קיים כאבן דרך מובנית — אפשר לסמן אותו ברשימה למעלה.',
+    'That milestone has already been added.': 'אבן הדרך הזו כבר נוספה.',
+    'Save Timer': 'שמירת הטיימר',
+    'Archive Timer': 'העברת הטיימר לארכיון',
+    'Delete Timer': 'מחיקת הטיימר',
+    'Please give your timer a name.': 'יש לתת לטיימר שם.',
+    'Please choose a date.': 'יש לבחור תאריך.',
+    'This timer was changed in another window while you were editing. Save your version over those changes?': 'הטיימר שונה בחלון אחר בזמן העריכה. לשמור את הגרסה שלך במקום השינויים האלה?',
+    'This timer was deleted in another window. Save it again?': 'הטיימר נמחק בחלון אחר. לשמור אותו שוב?',
+
+    // Messages
+    'Messages': 'הודעות',
+    'Add messages to display on the timer screen \u2014 from a specific date, a few days before the big day, at a day count or milestone, or on repeat. e.g. "Buy a card and gift for wife" showing 7 days before your anniversary.': 'אפשר להוסיף הודעות שיוצגו במסך הטיימר — מתאריך מסוים, כמה ימים לפני היום הגדול, במספר ימים או באבן דרך, או באופן חוזר. למשל „לקנות כרטיס ומתנה” שבעה ימים לפני יום הנישואין.',
+    'e.g. Buy a card and gift for wife': 'למשל: לקנות כרטיס ומתנה',
+    'Show this message': 'הצגת ההודעה',
+    'From a date': 'מתאריך מסוים',
+    'Days before or after the timer date': 'ימים לפני או אחרי תאריך הטיימר',
+    'When the day count reaches': 'כשמספר הימים מגיע ל־',
+    'When a milestone is reached': 'כשמגיעים לאבן דרך',
+    'Every few days or weeks': 'כל כמה ימים או שבועות',
+    'Display from this date': 'הצגה מהתאריך הזה',
+    'Message date': 'תאריך ההודעה',
+    'Number of days': 'מספר ימים',
+    'Before or after': 'לפני או אחרי',
+    'before': 'לפני',
+    'after': 'אחרי',
+    'the date': 'התאריך',
+    'At day': 'ביום',
+    'of the count': 'של הספירה',
+    'Milestone': 'אבן דרך',
+    'Every': 'כל',
+    'Repeat unit': 'יחידת החזרה',
+    'weeks': 'שבועות',
+    'Starting on': 'החל מ־',
+    'Stop showing after (optional)': 'הפסקת ההצגה אחרי (לא חובה)',
+    'Add message': 'הוספת הודעה',
+    'Maximum messages': 'מספר הודעות מרבי',
+    'No limit': 'ללא הגבלה',
+    '{count} of {limit}': '{count} מתוך {limit}',
+    'No messages added yet': 'עדיין לא נוספו הודעות',
+    'Remove message': 'הסרת ההודעה',
+    'Marked done': 'סומנה כבוצעה',
+    'Show again': 'הצגה מחדש',
+    'Showing from {start} until {end}': 'מוצגת מ־{start} עד {end}',
+    'Showing from {start}': 'מוצגת מ־{start}',
+    'Choose the timer date to preview until {end}': 'יש לבחור את תאריך הטיימר כדי לראות תצוגה מקדימה עד {end}',
+    'Choose the timer date to preview': 'יש לבחור את תאריך הטיימר לתצוגה מקדימה',
+    'This message will not show': 'ההודעה הזו לא תוצג',
+    'Showing now, next from {next} until {end}': 'מוצגת עכשיו, הבאה מ־{next} עד {end}',
+    'Showing now, next from {next}': 'מוצגת עכשיו, הבאה מ־{next}',
+    'No milestones enabled': 'אין אבני דרך פעילות',
+    'Please choose a date for this message.': 'יש לבחור תאריך להודעה.',
+    'Please enter how many days before or after the timer date.': 'יש להזין כמה ימים לפני או אחרי תאריך הטיימר.',
+    'Please enter the day count that should show this message.': 'יש להזין את מספר הימים שבו תוצג ההודעה.',
+    'Please tick or add a milestone first.': 'יש לסמן או להוסיף קודם אבן דרך.',
+    'Please enter how often this message repeats.': 'יש להזין באיזו תדירות ההודעה חוזרת.',
+    'Please choose when this message starts repeating.': 'יש לבחור מתי ההודעה מתחילה לחזור.',
+    'Please enter a message.': 'יש להזין הודעה.',
+    'The end date must be on or after the start date.': 'תאריך הסיום חייב להיות בתאריך ההתחלה או אחריו.',
+    'Maximum of {count} messages for this timer reached. Remove one or raise the limit to add another.': { one: 'הגעת למכסה של הודעה אחת לטיימר הזה. כדי להוסיף עוד יש להסיר אותה או להגדיל את המכסה.', two: 'הגעת למכסה של שתי הודעות לטיימר הזה. כדי להוסיף עוד יש להסיר אחת או להגדיל את המכסה.', other: 'הגעת למכסה של {count} הודעות לטיימר הזה. כדי להוסיף עוד יש להסיר אחת או להגדיל את המכסה.' },
+    'This timer has {count} messages but the limit is {limit}. Remove some messages or raise the limit.': { one: 'לטיימר יש הודעה אחת אבל המכסה היא {limit}. יש להסיר אותה או להגדיל את המכסה.', two: 'לטיימר יש שתי הודעות אבל המכסה היא {limit}. יש להסיר חלק מההודעות או להגדיל את המכסה.', other: 'לטיימר יש {count} הודעות אבל המכסה היא {limit}. יש להסיר חלק מההודעות או להגדיל את המכסה.' },
+    'No date set': 'לא נקבע תאריך',
+    'On the day': 'ביום עצמו',
+    '{count} days before': { one: 'יום אחד לפני', two: 'יומיים לפני', other: '{count} ימים לפני' },
+    '{count} days after': { one: 'יום אחד אחרי', two: 'יומיים אחרי', other: '{count} ימים אחרי' },
+    'At {count} days': { one: 'ביום הראשון', two: 'ביום השני', other: 'ביום ה־{count}' },
+    '{milestone} milestone': 'אבן הדרך {milestone}',
+    'Every {count} weeks': { one: 'כל שבוע', two: 'כל שבועיים', other: 'כל {count} שבועות' },
+    'Every {count} days': { one: 'כל יום', two: 'כל יומיים', other: 'כל {count} ימים' },
+    'No trigger set': 'לא נקבע מועד',
+    'Mark message as done': 'סימון ההודעה כבוצעה',
+    'Done': 'סיום',
+
+    // Import and export
+    'No timers to export.': 'אין טיימרים לייצוא.',
+    'Private Timer': 'טיימר פרטי',
+    'Private Timers': 'טיימרים פרטיים',
+    'Enter the passcode to include private timers.': 'כדי לכלול טיימרים פרטיים יש להזין את קוד הגישה.',
+    'Milestone Backup': 'גיבוי Milestone',
+    'No events were found in this calendar file.': 'לא נמצאו אירועים בקובץ לוח השנה.',
+    'Could not read the file. Please make sure it is a valid Milestone Counter backup or calendar (.ics) file.': 'לא ניתן היה לקרוא את הקובץ. יש לוודא שזה גיבוי תקין של Milestone Counter או קובץ לוח שנה (.ics).',
+    'This file does not look like a Milestone Counter backup.': 'הקובץ הזה לא נראה כמו גיבוי של Milestone Counter.',
+    'The backup file contains no timers.': 'קובץ הגיבוי לא מכיל טיימרים.',
+    'This backup has an unrecognised format version.': 'לגיבוי הזה יש גרסת פורמט לא מוכרת.',
+    'This backup was made by a newer version of Milestone Counter. Please update the app and try again.': 'הגיבוי נוצר בגרסה חדשה יותר של Milestone Counter. יש לעדכן את האפליקציה ולנסות שוב.',
+    'Untitled timer': 'טיימר ללא שם',
+    'not a timer': 'לא טיימר',
+    'missing its ID': 'חסר מזהה',
+    'missing a name': 'חסר שם',
+    'invalid date': 'תאריך לא תקין',
+    'invalid time': 'שעה לא תקינה',
+    'unknown timer mode': 'מצב טיימר לא מוכר',
+    'unknown calendar': 'לוח שנה לא מוכר',
+    'invalid {setting} setting': 'הגדרת {setting} לא תקינה',
+    'unknown wallpaper': 'רקע לא מוכר',
+    'invalid photo position': 'מיקום תמונה לא תקין',
+    'invalid messages': 'הודעות לא תקינות',
+    'invalid message': 'הודעה לא תקינה',
+    'invalid message limit': 'מכסת הודעות לא תקינה',
+    'more messages than its limit': 'יותר הודעות מהמכסה',
+    'invalid milestones': 'אבני דרך לא תקינות',
+    'invalid custom milestones': 'אבני דרך מותאמות לא תקינות',
+    'invalid tags': 'תגיות לא תקינות',
+    'invalid created date': 'תאריך יצירה לא תקין',
+    'invalid archive date': 'תאריך העברה לארכיון לא תקין',
+    'duplicate ID': 'מזהה כפול',
+    'Import Backup': 'ייבוא גיבוי',
+    'Cancel import': 'ביטול הייבוא',
+    'Timers that differ': 'טיימרים שונים',
+    'Keep all mine': 'לשמור את כל שלי',
+    'Take all theirs': 'לקחת את כל האחרים',
+    'Import Selected': 'ייבוא הנבחרים',
+    'New': 'חדש',
+    'Changed': 'שונה',
+    'Identical': 'זהה',
+    'Skipped': 'דולג',
+    '{count} new': '{count} חדשים',
+    '{count} changed': '{count} שונו',
+    '{count} already up to date': '{count} כבר מעודכנים',
+    '{count} skipped as invalid': '{count} דולגו כלא תקינים',
+    '{count} timers in this file: {parts}.': { one: 'טיימר אחד בקובץ: {parts}.', two: 'שני טיימרים בקובץ: {parts}.', other: '{count} טיימרים בקובץ: {parts}.' },
+    'Also move {count} timers not in this backup to the trash': { one: 'להעביר לאשפה גם טיימר אחד שלא נמצא בגיבוי', two: 'להעביר לאשפה גם שני טיימרים שלא נמצאים בגיבוי', other: 'להעביר לאשפה גם {count} טיימרים שלא נמצאים בגיבוי' },
+    'Can\u2019t import \u2014 {reason}': 'לא ניתן לייבא — {reason}',
+    'Which version to keep': 'איזו גרסה לשמור',
+    'Keep mine': 'לשמור את שלי',
+    'Take theirs': 'לקחת את האחר',
+    '{count} added': '{count} נוספו',
+    '{count} updated': '{count} עודכנו',
+    '{count} moved to the trash': '{count} הועברו לאשפה',
+    'Import complete \u2014 {summary}.': 'הייבוא הושלם — {summary}.',
+    'Nothing was changed.': 'שום דבר לא השתנה.',
+
+    // Encrypted backups
+    'This encrypted backup is damaged or was made by a newer version of Milestone, so it can\u2019t be opened.': 'הגיבוי המוצפן פגום או שנוצר בגרסה חדשה יותר של Milestone, ולכן אי אפשר לפתוח אותו.',
+    'That passphrase doesn\u2019t open this backup \u2014 or the file has been changed since it was exported.': 'משפט הסיסמה הזה לא פותח את הגיבוי — או שהקובץ שונה מאז שיוצא.',
+    'This encrypted backup opened, but what\u2019s inside isn\u2019t a Milestone Counter backup.': 'הגיבוי המוצפן נפתח, אבל התוכן שלו אינו גיבוי של Milestone Counter.',
+    'This backup is encrypted, and this browser can\u2019t decrypt it here. Open Milestone over https and try again.': 'הגיבוי מוצפן, והדפדפן הזה לא יכול לפענח אותו כאן. יש לפתוח את Milestone דרך https ולנסות שוב.',
+    'Export Backup': 'ייצוא גיבוי',
+    'Encrypted Backup': 'גיבוי מוצפן',
+    'Backups hold every timer\u2019s name, dates and messages. A passphrase keeps them private wherever the file ends up \u2014 but without it, the file can\u2019t be opened at all.': 'גיבויים מכילים את השם, התאריכים וההודעות של כל טיימר. משפט סיסמה שומר עליהם פרטיים בכל מקום שהקובץ יגיע אליו — אבל בלעדיו אי אפשר לפתוח את הקובץ בכלל.',
+    'Enter the passphrase this backup was exported with.': 'יש להזין את משפט הסיסמה שאיתו הגיבוי יוצא.',
+    'Export': 'ייצוא',
+    'Open Backup': 'פתיחת הגיבוי',
+    'Protect with a passphrase': 'הגנה במשפט סיסמה',
+    'Passphrase': 'משפט סיסמה',
+    'Type it again': 'הקלדה חוזרת',
+    'Enter a passphrase.': 'יש להזין משפט סיסמה.',
+    'Use at least {count} characters.': 'יש להשתמש בלפחות {count} תווים.',
+    'The two passphrases don\u2019t match.': 'שני משפטי הסיסמה אינם תואמים.',
+
+    // Trash and archive
+    'Trash': 'אשפה',
+    'Back to settings': 'חזרה להגדרות',
+    'The trash is empty.': 'האשפה ריקה.',
+    'Empty Trash': 'ריקון האשפה',
+    'Deleted today': 'נמחק היום',
+    'Deleted yesterday': 'נמחק אתמול',
+    'Deleted {count} days ago': { one: 'נמחק לפני יום', two: 'נמחק לפני יומיים', other: 'נמחק לפני {count} ימים' },
+    'removed for good in {count} days': { one: 'יימחק לצמיתות בעוד יום', two: 'יימחק לצמיתות בעוד יומיים', other: 'יימחק לצמיתות בעוד {count} ימים' },
+    'Restore': 'שחזור',
+    'Delete forever': 'מחיקה לצמיתות',
+    'Delete \u201C{name}\u201D for good? This cannot be undone.': 'למחוק את „{name}” לצמיתות? אי אפשר לבטל את הפעולה.',
+    'Delete {count} timers for good? This cannot be undone.': { one: 'למחוק טיימר אחד לצמיתות? אי אפשר לבטל את הפעולה.', two: 'למחוק שני טיימרים לצמיתות? אי אפשר לבטל את הפעולה.', other: 'למחוק {count} טיימרים לצמיתות? אי אפשר לבטל את הפעולה.' },
+    'Archive countdowns automatically': 'העברה אוטומטית של ספירות לאחור לארכיון',
+    'Never': 'אף פעם',
+    '1 day after they arrive': 'יום אחרי שהן מגיעות',
+    '1 week after they arrive': 'שבוע אחרי שהן מגיעות',
+    '30 days after they arrive': '30 ימים אחרי שהן מגיעות',
+    'Nothing archived yet. Archive a timer from its edit screen, or from an arrived countdown.': 'עדיין לא הועבר דבר לארכיון. אפשר להעביר טיימר לארכיון ממסך העריכה שלו, או מספירה לאחור שהגיעה לסיומה.',
+    'Countdown': 'ספירה לאחור',
+    'Count-up': 'ספירה קדימה',
+    'Counted up {count} days from {date}': { one: 'נספר יום אחד מאז {date}', two: 'נספרו יומיים מאז {date}', other: 'נספרו {count} ימים מאז {date}' },
+    'Arrived {date}': 'הגיע ב־{date}',
+    'Counted down {count} days': { one: 'נספר לאחור יום אחד', two: 'נספרו לאחור יומיים', other: 'נספרו לאחור {count} ימים' },
+    '{count} days to go when archived \u2014 {date}': { one: 'נותר יום אחד בעת ההעברה לארכיון — {date}', two: 'נותרו יומיים בעת ההעברה לארכיון — {date}', other: 'נותרו {count} ימים בעת ההעברה לארכיון — {date}' },
+    'Archived {date}': 'הועבר לארכיון ב־{date}',
+
+    // Photos
+    'Adjust photo position': 'התאמת מיקום התמונה',
+    'Adjust Photo': 'התאמת התמונה',
+    'Drag to reposition \u00B7 Pinch to zoom': 'גרירה להזזה · צביטה לזום',
+    'Please choose an image file (JPEG, PNG, HEIC, etc.)': 'יש לבחור קובץ תמונה (JPEG,‏ PNG,‏ HEIC וכו׳)',
+    'No photo found. Please choose a photo first.': 'לא נמצאה תמונה. יש לבחור תמונה קודם.',
+
+    // Milestone celebrations
+    '{label} since {name}. Every single day counted.': '{label} מאז {name}. כל יום נספר.',
+    'You made it to {label}. That is worth celebrating.': 'הגעת ל־{label}. זה שווה חגיגה.',
+    '{label} and still going strong.': '{label} וממשיכים בכל הכוח.',
+    'Look how far you have come \u2014 {label}!': 'תראו כמה רחוק הגעתם — {label}!',
+    'Another milestone reached: {label}. Keep going.': 'עוד אבן דרך: {label}. ממשיכים.',
+    'Only {label} to go until {name}!': 'רק עוד {label} עד {name}!',
+    '{label} left. It is getting close now.': 'נותרו {label}. זה כבר מתקרב.',
+    'The countdown to {name} hits {label}.': 'הספירה לאחור ל{name} הגיעה ל־{label}.',
+    '{label} to go \u2014 time to start getting excited.': 'עוד {label} — הגיע הזמן להתרגש.',
+    'Milestone reached: {label} until {name}.': 'אבן דרך: עוד {label} עד {name}.',
+    'A milestone': 'אבן דרך',
+    'One of your private timers has reached a milestone. Unlock Milestone to see which.': 'אחד הטיימרים הפרטיים שלך הגיע לאבן דרך. כדי לראות איזה יש לבטל את נעילת Milestone.',
+    'Next ({count} more)': 'הבא (עוד {count})',
+
+    // Notifications and settings
+    'Open Milestone to see what\u2019s new.': 'כדאי לפתוח את Milestone כדי לראות מה חדש.',
+    'Today is the {occurrence}!': 'היום {occurrence}!',
+    'The day has arrived!': 'היום הגיע!',
+    'Language': 'שפה',
+    'Automatic': 'אוטומטי',
+    'Notifications': 'התראות',
+    'This browser does not support notifications. On iPhone, add Milestone to your Home Screen first.': 'הדפדפן הזה לא תומך בהתראות. ב־iPhone יש להוסיף קודם את Milestone למסך הבית.',
+    'Notifications are blocked. Allow them for this app in your device settings.': 'ההתראות חסומות. יש לאפשר אותן לאפליקציה בהגדרות המכשיר.',
+    'Allow notifications to hear about milestones, messages and countdowns.': 'כדי לשמוע על אבני דרך, הודעות וספירות לאחור יש לאפשר התראות.',
+    'Notifications are scheduled on this device and arrive on time.': 'ההתראות מתוזמנות במכשיר הזה ומגיעות בזמן.',
+    'Notifications are checked in the background where supported, and whenever you open the app.': 'ההתראות נבדקות ברקע כשיש תמיכה בכך, ובכל פעם שפותחים את האפליקציה.',
+    'Allow notifications': 'אישור התראות',
+    'Send notifications': 'שליחת התראות',
+    'Quiet hours': 'שעות שקטות',
+    'Hold notifications during quiet hours': 'השהיית התראות בשעות השקטות',
+    'From': 'מ־',
+    'to': 'עד',
+    'Anything due during quiet hours arrives when they end.': 'מה שאמור להגיע בשעות השקטות יגיע כשהן יסתיימו.',
+    'Calendar': 'לוח שנה',
+    'Export all timers to calendar': 'ייצוא כל הטיימרים ללוח השנה',
+    'Saves an .ics file with each timer\'s date, its milestones and message dates. Import .ics files with the \u2193 button on the timer list.': 'שומר קובץ ‎.ics עם התאריך של כל טיימר, אבני הדרך שלו ותאריכי ההודעות. קובצי ‎.ics מייבאים בכפתור ↓ ברשימת הטיימרים.',
+    'Storage': 'אחסון',
+    'This browser won\u2019t give Milestone a database, so timers are kept in its basic storage, without photos. Export a backup now and then.': 'הדפדפן הזה לא מעמיד מסד נתונים לרשות Milestone, ולכן הטיימרים נשמרים באחסון הבסיסי שלו, בלי תמונות. כדאי לייצא גיבוי מדי פעם.',
+    'Timers and photos are saved on this device, and the browser won\u2019t clear them to free up space.': 'הטיימרים והתמונות נשמרים במכשיר הזה, והדפדפן לא ימחק אותם כדי לפנות מקום.',
+    'Timers and photos are saved on this device. The browser may clear them if space runs low \u2014 export a backup now and then.': 'הטיימרים והתמונות נשמרים במכשיר הזה. אם ייגמר המקום הדפדפן עלול למחוק אותם — כדאי לייצא גיבוי מדי פעם.',
+    'Sync between devices': 'סנכרון בין מכשירים',
+    'Off': 'כבוי',
+    'WebDAV folder': 'תיקיית WebDAV',
+    'Milestone sync server': 'שרת סנכרון Milestone',
+    'Server address': 'כתובת השרת',
+    'Username': 'שם משתמש',
+    'Sync now': 'סנכרון עכשיו',
+    'Open trash ({count})': 'פתיחת האשפה ({count})',
+    'Open trash': 'פתיחת האשפה',
+    'Deleted timers are kept for 30 days, photos included, before they\'re removed for good.': 'טיימרים שנמחקו נשמרים 30 יום, כולל התמונות, לפני שהם נמחקים לצמיתות.',
+
+    // Passcode
+    'Passcode': 'קוד גישה',
+    'That isn\u2019t the passcode.': 'זה לא קוד הגישה.',
+    'Show Private Timers': 'הצגת טיימרים פרטיים',
+    'Change Passcode': 'שינוי קוד הגישה',
+    'Enter your current passcode.': 'יש להזין את קוד הגישה הנוכחי.',
+    'Set a Passcode': 'הגדרת קוד גישה',
+    'At least {count} characters. It can\u2019t be recovered, so pick one you\u2019ll remember.': 'לפחות {count} תווים. אי אפשר לשחזר אותו, אז כדאי לבחור קוד שקל לזכור.',
+    'Turn Off Passcode': 'כיבוי קוד הגישה',
+    'Enter your passcode to turn it off.': 'כדי לכבות את קוד הגישה יש להזין אותו.',
+    'Remove the passcode? {count} private timers will be deleted for good, here and on any device this one syncs with.': { one: 'להסיר את קוד הגישה? טיימר פרטי אחד יימחק לצמיתות, כאן ובכל מכשיר שמסונכרן עם המכשיר הזה.', two: 'להסיר את קוד הגישה? שני טיימרים פרטיים יימחקו לצמיתות, כאן ובכל מכשיר שמסונכרן עם המכשיר הזה.', other: 'להסיר את קוד הגישה? {count} טיימרים פרטיים יימחקו לצמיתות, כאן ובכל מכשיר שמסונכרן עם המכשיר הזה.' },
+    'Remove the passcode?': 'להסיר את קוד הגישה?',
+    'A passcode needs Milestone to be opened over https.': 'כדי להשתמש בקוד גישה יש לפתוח את Milestone דרך https.',
+    'Lock Milestone, or just its private timers, with a passcode.': 'אפשר לנעול את Milestone, או רק את הטיימרים הפרטיים, בקוד גישה.',
+    'Milestone asks for the passcode when it opens.': 'Milestone מבקש את קוד הגישה כשהוא נפתח.',
+    'Private timers stay hidden until the passcode is entered.': 'טיימרים פרטיים נשארים מוסתרים עד שמזינים את קוד הגישה.',
+    'Change passcode': 'שינוי קוד הגישה',
+    'Set a passcode': 'הגדרת קוד גישה',
+    'Lock the whole app, not just private timers': 'נעילת כל האפליקציה, לא רק הטיימרים הפרטיים',
+    'Lock again after it\'s been in the background for': 'נעילה מחדש אחרי שהאפליקציה ברקע במשך',
+    'No time at all': 'מיד',
+    '1 minute': 'דקה',
+    '5 minutes': '5 דקות',
+    '15 minutes': '15 דקות',
+    '1 hour': 'שעה',
+    'Turn off passcode': 'כיבוי קוד הגישה',
+    'Milestone is Locked': 'Milestone נעול',
+    'Enter your passcode.': 'יש להזין את קוד הגישה.',
+    'Save Passcode': 'שמירת קוד הגישה',
+    'Unlock': 'ביטול נעילה',
+    'Forgot passcode?': 'שכחת את קוד הגישה?',
+    'Enter the passcode.': 'יש להזין את קוד הגישה.',
+    'The two passcodes don\u2019t match.': 'שני קודי הגישה אינם תואמים.',
+  },
+};
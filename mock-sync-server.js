@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/* ════════════════════════════════════════════════════
+   MILESTONE — Mock sync server
+
+   A stand-in sync server for trying sync locally. It keeps
+   everything in memory and speaks both kinds of server
+   the app supports (see section 4c of app.js):
+
+     WebDAV  http://localhost:8787/dav
+     REST    http://localhost:8787/api
+
+   Usage:  node mock-sync-server.js [port]
+
+   Sign-in is only checked when these are set:
+     SYNC_USER, SYNC_PASSWORD — Basic auth for /dav
+     SYNC_TOKEN               — bearer token for /api
+
+   Requirements: Node.js — nothing to install.
+════════════════════════════════════════════════════ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin':   '*',
+  'Access-Control-Allow-Methods':  'GET, PUT, DELETE, MKCOL, OPTIONS',
+  'Access-Control-Allow-Headers':  'Authorization, Content-Type, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+// What a real server would keep on disk
+const files   = new Map();   // WebDAV path → { body, etag }
+const folders = new Set();
+const api     = { records: [], version: 0, photos: new Map() };
+
+let nextEtag = 1;
+
+function send(res, status, body = '', headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+}
+
+function sendJson(res, status, data) {
+  send(res, status, JSON.stringify(data), { 'Content-Type': 'application/json' });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function isSignedIn(req, scheme) {
+  const header = req.headers.authorization || '';
+  if (scheme === 'Basic') {
+    if (!process.env.SYNC_USER) return true;
+    const expected = Buffer.from(`${process.env.SYNC_USER}:${process.env.SYNC_PASSWORD || ''}`).toString('base64');
+    return header === `Basic ${expected}`;
+  }
+  return !process.env.SYNC_TOKEN || header === `Bearer ${process.env.SYNC_TOKEN}`;
+}
+
+/* ── WebDAV: just the parts the app uses ── */
+async function handleDav(req, res, path) {
+  if (!isSignedIn(req, 'Basic')) return send(res, 401, '', { 'WWW-Authenticate': 'Basic realm="milestone"' });
+
+  const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+  const file   = files.get(path);
+
+  switch (req.method) {
+    case 'GET':
+      return file ? send(res, 200, file.body, { ETag: file.etag }) : send(res, 404);
+
+    case 'PUT': {
+      if (folder && !folders.has(folder)) return send(res, 409);
+      const ifMatch     = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+      if ((ifMatch && (!file || file.etag !== ifMatch)) || (ifNoneMatch === '*' && file)) return send(res, 412);
+
+      const etag = `"${nextEtag++}"`;
+      files.set(path, { body: await readBody(req), etag });
+      return send(res, file ? 204 : 201, '', { ETag: etag });
+    }
+
+    case 'DELETE':
+      return files.delete(path) ? send(res, 204) : send(res, 404);
+
+    case 'MKCOL': {
+      const name = path.replace(/\/$/, '');
+      if (folders.has(name)) return send(res, 405);
+      folders.add(name);
+      return send(res, 201);
+    }
+
+    default:
+      return send(res, 405);
+  }
+}
+
+/* ── REST: GET/PUT /timers, GET/PUT/DELETE /photos/<id> ── */
+async function handleApi(req, res, path) {
+  if (!isSignedIn(req, 'Bearer')) return send(res, 401);
+
+  if (path === 'timers') {
+    if (req.method === 'GET') return sendJson(res, 200, { records: api.records, version: String(api.version) });
+    if (req.method !== 'PUT') return send(res, 405);
+
+    let doc;
+    try {
+      doc = JSON.parse(await readBody(req));
+    } catch (e) {
+      return send(res, 400);
+    }
+    if (!Array.isArray(doc.records)) return send(res, 400);
+    // Someone else wrote since this client pulled
+    if (String(doc.baseVersion ?? 0) !== String(api.version)) return send(res, 409);
+
+    api.records = doc.records;
+    api.version++;
+    return sendJson(res, 200, { version: String(api.version) });
+  }
+
+  const photo = path.match(/^photos\/([^/]+)$/);
+  if (!photo) return send(res, 404);
+  const id = decodeURIComponent(photo[1]);
+
+  switch (req.method) {
+    case 'GET':
+      return api.photos.has(id) ? send(res, 200, api.photos.get(id), { 'Content-Type': 'text/plain' }) : send(res, 404);
+    case 'PUT':
+      api.photos.set(id, await readBody(req));
+      return send(res, 204);
+    case 'DELETE':
+      return api.photos.delete(id) ? send(res, 204) : send(res, 404);
+    default:
+      return send(res, 405);
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${url.pathname}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  try {
+    const [, root, ...rest] = url.pathname.split('/');
+    const path = rest.join('/');
+    if (root === 'dav') return await handleDav(req, res, path);
+    if (root === 'api') return await handleApi(req, res, path);
+    send(res, 404);
+  } catch (e) {
+    console.error(e);
+    send(res, 500);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log('──────────────────────────────────────');
+  console.log('  Milestone mock sync server');
+  console.log(`  WebDAV  http://localhost:${PORT}/dav`);
+  console.log(`  REST    http://localhost:${PORT}/api`);
+  console.log('');
+  console.log('  Press Ctrl+C to stop.');
+  console.log('──────────────────────────────────────');
+});
@@ -8,7 +8,7 @@
  *  IMPORTANT: increment this number every time you commit a change.
  *  e.g. milestone-v11 -> milestone-v12 -> milestone-v13 etc.
  *
- *  Current version: milestone-v11
+ *  Current version: milestone-v36
  *
  * Fetch strategy — NETWORK FIRST for app files:
  *  The previous version used cache-first, which meant the app could sit
@@ -26,11 +26,25 @@
  *
  *  Icons are still served cache-first (they almost never change and
  *  making an extra network request for them every load is wasteful).
+ *
+ * Notifications:
+ *  app.js posts the full list of upcoming notifications here whenever its
+ *  state is saved. The list and a log of what has already been shown are
+ *  kept in their own cache (NOTIFY_CACHE), which survives version bumps.
+ *  Anything due is shown when the schedule arrives (i.e. on app launch) and
+ *  on each periodic background sync. Where Notification Triggers exist,
+ *  future notifications are also handed to the browser to show on time.
  */
 
 'use strict';
 
-const CACHE_VERSION = 'milestone-v11';
+const CACHE_VERSION = 'milestone-v36';
+
+// Notification schedule storage — not versioned, so it is never purged on activate
+const NOTIFY_CACHE             = 'milestone-notifications';
+const NOTIFY_SCHEDULE_URL      = './notify/schedule.json';
+const NOTIFY_DELIVERED_URL     = './notify/delivered.json';
+const NOTIFY_PERIODIC_SYNC_TAG = 'milestone-notifications';
 
 // Files to pre-cache on install so the app works offline
 const PRECACHE_URLS = [
@@ -65,7 +79,7 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames =>
       Promise.all(
         cacheNames
-          .filter(name => name !== CACHE_VERSION)
+          .filter(name => name !== CACHE_VERSION && name !== NOTIFY_CACHE)
           .map(name => caches.delete(name))
       )
     // clients.claim() makes this service worker take control of open pages
@@ -80,6 +94,9 @@ self.addEventListener('fetch', event => {
 
   const url = event.request.url;
 
+  // Other origins — a sync server, say — go straight to the network, uncached
+  if (new URL(url).origin !== self.location.origin) return;
+
   // Icons: cache-first (they rarely change, no point hitting the network)
   if (CACHE_FIRST_PATTERNS.some(pattern => pattern.test(url))) {
     event.respondWith(
@@ -116,3 +133,106 @@ self.addEventListener('fetch', event => {
       })
   );
 });
+
+/* ── Notifications: schedule storage ── */
+async function readNotifyJson(url, fallback) {
+  const cache    = await caches.open(NOTIFY_CACHE);
+  const response = await cache.match(url);
+  return response ? response.json() : fallback;
+}
+
+async function writeNotifyJson(url, data) {
+  const cache = await caches.open(NOTIFY_CACHE);
+  await cache.put(url, new Response(JSON.stringify(data), {
+    headers: { 'Content-Type': 'application/json' },
+  }));
+}
+
+function notificationOptions(item) {
+  return {
+    tag:   item.tag,
+    body:  item.body,
+    icon:  './icons/icon-192.png',
+    badge: './icons/icon-192.png',
+    data:  { timerId: item.timerId },
+  };
+}
+
+/* ── Notifications: show anything now due that has not been shown yet ── */
+async function deliverDueNotifications() {
+  const schedule  = await readNotifyJson(NOTIFY_SCHEDULE_URL, []);
+  const delivered = new Set(await readNotifyJson(NOTIFY_DELIVERED_URL, []));
+  const now       = Date.now();
+
+  for (const item of schedule) {
+    if (item.at > now || delivered.has(item.tag)) continue;
+    await self.registration.showNotification(item.title, notificationOptions(item));
+    delivered.add(item.tag);
+  }
+
+  // Forget tags that have dropped out of the schedule so the log stays small
+  const scheduled = new Set(schedule.map(item => item.tag));
+  await writeNotifyJson(NOTIFY_DELIVERED_URL, [...delivered].filter(tag => scheduled.has(tag)));
+}
+
+/* ── Notifications: hand future items to the browser where triggers exist ── */
+async function scheduleTriggeredNotifications(schedule) {
+  if (typeof TimestampTrigger === 'undefined' || !('showTrigger' in Notification.prototype)) return;
+
+  // Drop everything still pending from the previous schedule, then re-add
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending
+    .filter(n => n.showTrigger && n.showTrigger.timestamp > Date.now())
+    .forEach(n => n.close());
+
+  // The browser shows these when due, so log them as delivered now or
+  // deliverDueNotifications() would show them a second time
+  const now       = Date.now();
+  const delivered = new Set(await readNotifyJson(NOTIFY_DELIVERED_URL, []));
+  for (const item of schedule) {
+    if (item.at <= now) continue;
+    await self.registration.showNotification(item.title, {
+      ...notificationOptions(item),
+      showTrigger: new TimestampTrigger(item.at),
+    });
+    delivered.add(item.tag);
+  }
+  await writeNotifyJson(NOTIFY_DELIVERED_URL, [...delivered]);
+}
+
+/* ── Message: a new schedule from the app ── */
+self.addEventListener('message', event => {
+  const data = event.data || {};
+  if (data.type !== 'notification-schedule' || !Array.isArray(data.schedule)) return;
+
+  event.waitUntil(
+    writeNotifyJson(NOTIFY_SCHEDULE_URL, data.schedule)
+      .then(() => scheduleTriggeredNotifications(data.schedule))
+      .then(() => deliverDueNotifications())
+      .catch(err => console.warn('[Milestone SW] Notification scheduling failed:', err))
+  );
+});
+
+/* ── Periodic background sync: wake up and show anything due ── */
+self.addEventListener('periodicsync', event => {
+  if (event.tag !== NOTIFY_PERIODIC_SYNC_TAG) return;
+  event.waitUntil(deliverDueNotifications());
+});
+
+/* ── Notification tap: focus the app (or open it) on that timer ── */
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const timerId = event.notification.data && event.notification.data.timerId;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      if (windows.length > 0) {
+        const client = windows[0];
+        client.postMessage({ type: 'open-timer', timerId });
+        return client.focus();
+      }
+      const url = timerId ? `./index.html?timer=${encodeURIComponent(timerId)}` : './index.html';
+      return self.clients.openWindow(url);
+    })
+  );
+});